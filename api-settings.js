@@ -2,6 +2,17 @@
 const settingsContainer = document.getElementById('settings-container');
 const cancelBtn = document.getElementById('cancel-btn');
 const saveBtn = document.getElementById('save-btn');
+const testConnectionBtn = document.getElementById('test-connection-btn');
+const connectionStatus = document.getElementById('connection-status');
+const modelOptions = document.getElementById('model-options');
+const apiKeyStatus = document.getElementById('api-key-status');
+const apiKeyInput = document.getElementById('api-key-input');
+const apiKeyError = document.getElementById('api-key-error');
+const saveKeyBtn = document.getElementById('save-key-btn');
+const clearKeyBtn = document.getElementById('clear-key-btn');
+
+// Same check as the main process, so mistakes show before saving
+const API_KEY_PATTERN = /^sk-ant-[A-Za-z0-9_-]{20,}$/;
 
 // Store the settings schema and values
 let settingsSchema = [];
@@ -29,6 +40,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     showError('Failed to load API settings. Please try again.');
   }
   
+  loadApiKeyStatus();
+  
   // Default to dark mode until we receive theme from main process
   document.body.classList.add('dark-mode');
   console.log('Initial theme set to dark mode');
@@ -96,6 +109,10 @@ function renderSettingsForm(schema, values) {
         input = document.createElement('input');
         input.type = 'text';
         input.value = values[setting.name] !== undefined ? values[setting.name] : (setting.default || '');
+        // Suggestions, e.g. the models found by Test Connection
+        if (setting.list) {
+          input.setAttribute('list', setting.list);
+        }
     }
     
     // Add common properties
@@ -168,7 +185,11 @@ saveBtn.addEventListener('click', async () => {
         case 'boolean':
           value = value === 'true';
           break;
-          
+
+        case 'url':
+          value = value.trim().replace(/\/+$/, '');
+          break;
+
         // Add other type conversions as needed
       }
       
@@ -190,6 +211,124 @@ saveBtn.addEventListener('click', async () => {
   }
 });
 
+// Show where the API key comes from, without showing the key
+async function loadApiKeyStatus() {
+  try {
+    const result = await window.electronAPI.getApiKeyStatus();
+    if (result && result.success) {
+      showApiKeyStatus(result.status);
+    } else {
+      apiKeyStatus.textContent = `Could not check the API key: ${(result && result.message) || 'unknown error'}`;
+    }
+  } catch (error) {
+    console.error('Error getting API key status:', error);
+    apiKeyStatus.textContent = 'Could not check the API key.';
+  }
+}
+
+function showApiKeyStatus(status) {
+  apiKeyStatus.classList.toggle('missing', !status.hasKey);
+  clearKeyBtn.disabled = status.source !== 'app';
+  
+  if (!status.hasKey) {
+    apiKeyStatus.textContent = 'No API key is set. Tools cannot run until you save one.';
+  } else if (status.source === 'app') {
+    apiKeyStatus.textContent = status.encrypted
+      ? `Using the saved key ${status.maskedKey}, encrypted by the operating system.`
+      : `Using the saved key ${status.maskedKey}. OS encryption is not available, so it is stored in a file only you can read.`;
+  } else {
+    apiKeyStatus.textContent = `Using ${status.maskedKey} from the ANTHROPIC_API_KEY environment variable. Save a key here to use it whenever the app starts.`;
+  }
+}
+
+function validateApiKey(key) {
+  if (!key) return 'Enter an API key';
+  if (/\s/.test(key)) return 'API key must not contain spaces';
+  if (!API_KEY_PATTERN.test(key)) return 'API key should start with "sk-ant-" followed by letters, digits, "-" or "_"';
+  return null;
+}
+
+saveKeyBtn.addEventListener('click', async () => {
+  const key = apiKeyInput.value.trim();
+  const error = validateApiKey(key);
+  if (error) {
+    showInputError(apiKeyError, error);
+    return;
+  }
+  apiKeyError.style.display = 'none';
+  
+  try {
+    const result = await window.electronAPI.saveApiKey(key);
+    if (result && result.success) {
+      apiKeyInput.value = '';
+      showApiKeyStatus(result.status);
+    } else {
+      showInputError(apiKeyError, (result && result.message) || 'Failed to save the API key');
+    }
+  } catch (error) {
+    console.error('Error saving API key:', error);
+    showInputError(apiKeyError, 'An error occurred while saving the API key');
+  }
+});
+
+clearKeyBtn.addEventListener('click', async () => {
+  if (!confirm('Remove the API key saved in the app?')) return;
+  
+  try {
+    const result = await window.electronAPI.clearApiKey();
+    if (result && result.success) {
+      showApiKeyStatus(result.status);
+    } else {
+      showError((result && result.message) || 'Failed to remove the API key');
+    }
+  } catch (error) {
+    console.error('Error removing API key:', error);
+    showError('An error occurred while removing the API key');
+  }
+});
+
+// Test the connection and offer the available models as suggestions
+testConnectionBtn.addEventListener('click', async () => {
+  testConnectionBtn.disabled = true;
+  showConnectionStatus('Connecting...', '');
+  
+  try {
+    const result = await window.electronAPI.listClaudeModels();
+    
+    if (!result || !result.success) {
+      showConnectionStatus(`Connection failed: ${(result && result.message) || 'unknown error'}`, 'error');
+      return;
+    }
+    
+    modelOptions.innerHTML = '';
+    result.models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.id;
+      option.textContent = model.name;
+      modelOptions.appendChild(option);
+    });
+    
+    // Warn if the chosen model isn't one the key can use
+    const modelInput = settingInputs.model && settingInputs.model.element;
+    const chosen = modelInput ? modelInput.value.trim() : '';
+    if (chosen && !result.models.some(model => model.id === chosen)) {
+      showConnectionStatus(`Connected, ${result.models.length} models available, but "${chosen}" is not one of them.`, 'error');
+    } else {
+      showConnectionStatus(`Connected, ${result.models.length} models available.`, 'success');
+    }
+  } catch (error) {
+    console.error('Error testing API connection:', error);
+    showConnectionStatus(`Connection failed: ${error.message}`, 'error');
+  } finally {
+    testConnectionBtn.disabled = false;
+  }
+});
+
+function showConnectionStatus(message, type) {
+  connectionStatus.textContent = message;
+  connectionStatus.className = type ? `connection-status ${type}` : 'connection-status';
+}
+
 // Handle cancel button click
 cancelBtn.addEventListener('click', () => {
   window.electronAPI.closeApiSettingsDialog('cancelled');
@@ -240,7 +379,14 @@ function validateAllInputs() {
           break;
         }
         break;
-        
+
+      case 'url':
+        if (value.trim() && !/^https?:\/\/[^\s/]+/.test(value.trim())) {
+          showInputError(errorElement, 'Please enter a URL starting with http:// or https://');
+          isValid = false;
+        }
+        break;
+
       // Add other validation types as needed
     }
   }
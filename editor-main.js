@@ -1,15 +1,14 @@
 const { app, BrowserWindow, dialog, ipcMain, Menu, screen } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const os = require('os');
+const appState = require('./src/state');
 
-// Define the restricted directory
-const WRITING_DIR = path.join(os.homedir(), 'writing');
+// Files may only be opened and saved inside the project roots configured in
+// the toolkit's settings; appState is initialized once the app is ready.
 
-// Ensure the writing directory exists
-if (!fs.existsSync(WRITING_DIR)) {
-  fs.mkdirSync(WRITING_DIR, { recursive: true });
-}
+// The editor runs as its own process; with the toolkit's name it finds the
+// toolkit's settings, which live in the userData folder named after the app
+app.name = "Writer's Toolkit";
 
 let mainWindow;
 
@@ -126,13 +125,18 @@ function createWindow() {
   Menu.setApplicationMenu(menu);
 }
 
+// Start file dialogs in the current project, or the primary project root
+function getDefaultDir() {
+  return appState.CURRENT_PROJECT_PATH || appState.PROJECTS_DIR;
+}
+
 // File opening function
 async function openFile() {
   if (!mainWindow) return;
 
   const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
     title: 'Open File',
-    defaultPath: WRITING_DIR,
+    defaultPath: getDefaultDir(),
     filters: [
       { name: 'Text Files', extensions: ['txt', 'md'] },
       { name: 'All Files', extensions: ['*'] }
@@ -144,11 +148,11 @@ async function openFile() {
 
   const filePath = filePaths[0];
   
-  // Verify file is within the allowed directory
-  if (!filePath.startsWith(WRITING_DIR)) {
+  // Verify file is within the allowed directories
+  if (!appState.isPathValid(filePath)) {
     dialog.showErrorBox(
       'Access Denied',
-      `Files can only be opened from the ${WRITING_DIR} directory.`
+      `Files can only be opened from your project roots:\n${appState.PROJECT_ROOTS.join('\n')}`
     );
     return;
   }
@@ -169,7 +173,7 @@ async function saveFile(event, { filePath, content, saveAs = false }) {
   if (!finalPath || saveAs) {
     const { canceled, filePath: newPath } = await dialog.showSaveDialog(mainWindow, {
       title: 'Save File',
-      defaultPath: WRITING_DIR,
+      defaultPath: getDefaultDir(),
       filters: [
         { name: 'Text Files', extensions: ['txt'] },
         { name: 'Markdown', extensions: ['md'] },
@@ -181,11 +185,11 @@ async function saveFile(event, { filePath, content, saveAs = false }) {
     finalPath = newPath;
   }
 
-  // Verify file is within the allowed directory
-  if (!finalPath.startsWith(WRITING_DIR)) {
+  // Verify file is within the allowed directories
+  if (!appState.isPathValid(finalPath)) {
     dialog.showErrorBox(
       'Access Denied',
-      `Files can only be saved to the ${WRITING_DIR} directory.`
+      `Files can only be saved to your project roots:\n${appState.PROJECT_ROOTS.join('\n')}`
     );
     return { success: false };
   }
@@ -215,7 +219,18 @@ function setupIPC() {
 }
 
 // App lifecycle events
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
+  try {
+    await appState.initialize();
+  } catch (error) {
+    console.error('Error loading settings, using the default project root:', error);
+  }
+  
+  // Ensure the primary projects directory exists
+  if (!fs.existsSync(appState.PROJECTS_DIR)) {
+    fs.mkdirSync(appState.PROJECTS_DIR, { recursive: true });
+  }
+  
   createWindow();
   setupIPC();
   
@@ -227,7 +242,7 @@ app.whenReady().then(() => {
   if (fileArg && fs.existsSync(fileArg)) {
     const filePath = path.resolve(fileArg);
     // Only open if in allowed directory
-    if (filePath.startsWith(WRITING_DIR)) {
+    if (appState.isPathValid(filePath)) {
       const content = fs.readFileSync(filePath, 'utf8');
       mainWindow.webContents.send('file-opened', { filePath, content });
     }
@@ -1,22 +1,39 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-const os = require('os');
-const { app, BrowserWindow, Menu, ipcMain, dialog, screen } = require('electron');
+const { app, BrowserWindow, Menu, ipcMain, dialog, screen, shell } = require('electron');
 const { v4: uuidv4 } = require('uuid');
 const appState = require('./src/state.js');
+const runHistory = require('./src/run-history.js');
+const usageLedger = require('./src/usage-ledger.js');
+const jobQueue = require('./src/job-queue.js');
+const pipelines = require('./src/pipelines.js');
+const pipelineRunner = require('./src/pipeline-runner.js');
+const manuscriptAudit = require('./src/manuscript-audit.js');
+const toolPresets = require('./src/presets.js');
+const projectManifest = require('./src/project-manifest.js');
+const projectTemplates = require('./src/project-templates.js');
+const projectManager = require('./src/project-manager.js');
+const claudeApi = require('./src/claude-api.js');
+const apiKeyStore = require('./src/api-key-store.js');
+const { resolvePathVariables } = require('./src/path-variables.js');
+const { checkModel } = require('./tools/model-limits.js');
 
 // Store references to windows
 let mainWindow = null;
 let projectDialogWindow = null;
 let apiSettingsWindow = null;
-let toolSetupRunWindow = null;
+
+// Open tool windows by webContents ID, each with its tool and the option
+// values it should open with (e.g. a re-run from history)
+const toolWindows = new Map();
+
+// The tool window that started each job, by run ID
+const jobWindows = new Map();
 
 // Flag to control whether to show the project dialog
 let shouldShowProjectDialog = true;
 
-// Store the currently selected tool
-let currentTool = null;
 
 // Set application name
 app.name = "Writer's Toolkit";
@@ -164,37 +181,96 @@ function setupProjectHandlers() {
   // Get list of projects
   ipcMain.handle('get-projects', async () => {
     try {
-      // Ensure projects directory exists
+      // Ensure the primary projects directory exists
       await fs.promises.mkdir(appState.PROJECTS_DIR, { recursive: true });
       
-      // List all directories in the projects folder
-      const items = await fs.promises.readdir(appState.PROJECTS_DIR);
-      
-      // Filter to only include directories and exclude hidden directories
       const projects = [];
-      for (const item of items) {
-        if (item.startsWith('.')) {
-          continue; // Skip hidden items
+      for (const root of appState.PROJECT_ROOTS) {
+        // A shared mount may be offline; skip it rather than fail
+        if (!fs.existsSync(root)) {
+          console.warn('Project root not found:', root);
+          continue;
         }
         
-        const itemPath = path.join(appState.PROJECTS_DIR, item);
-        const stats = await fs.promises.stat(itemPath);
-        if (stats.isDirectory()) {
-          projects.push(item);
+        // List all directories in the root, excluding hidden directories
+        const items = await fs.promises.readdir(root);
+        const names = [];
+        for (const item of items) {
+          if (item.startsWith('.')) {
+            continue; // Skip hidden items
+          }
+          
+          const stats = await fs.promises.stat(path.join(root, item));
+          if (stats.isDirectory()) {
+            names.push(item);
+          }
         }
+        
+        // Sort alphabetically within each root
+        names.sort().forEach(name => {
+          projects.push({ name, path: path.join(root, name), root });
+        });
       }
       
-      return projects.sort(); // Sort alphabetically
+      return projects;
     } catch (error) {
       console.error('Error listing projects:', error);
       return [];
     }
   });
   
-  // Open an existing project
-  ipcMain.handle('open-project', async (event, projectName) => {
+  // Folders that may hold projects
+  ipcMain.handle('get-project-roots', () => {
+    return {
+      roots: appState.PROJECT_ROOTS,
+      primary: appState.PROJECTS_DIR
+    };
+  });
+  
+  // Pick a folder and add it as a project root
+  ipcMain.handle('add-project-root', async () => {
+    try {
+      const result = await dialog.showOpenDialog(projectDialogWindow || mainWindow, {
+        title: 'Add Project Root',
+        buttonLabel: 'Add Root',
+        properties: ['openDirectory', 'createDirectory']
+      });
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, cancelled: true };
+      }
+      
+      appState.setProjectRoots([...appState.PROJECT_ROOTS, result.filePaths[0]]);
+      return { success: true, roots: appState.PROJECT_ROOTS };
+    } catch (error) {
+      console.error('Error adding project root:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Stop using a folder as a project root; its files are left alone
+  ipcMain.handle('remove-project-root', async (event, root) => {
+    try {
+      if (appState.PROJECT_ROOTS.length <= 1) {
+        return { success: false, message: 'At least one project root is required' };
+      }
+      
+      const hadProject = !!appState.CURRENT_PROJECT_PATH;
+      appState.setProjectRoots(appState.PROJECT_ROOTS.filter(item => item !== root));
+      if (hadProject && !appState.CURRENT_PROJECT_PATH) {
+        notifyProjectChanged('project-closed');
+      }
+      return { success: true, roots: appState.PROJECT_ROOTS };
+    } catch (error) {
+      console.error('Error removing project root:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Open an existing project, given by name or by path under any root
+  ipcMain.handle('open-project', async (event, project) => {
     try {
-      const projectPath = path.join(appState.PROJECTS_DIR, projectName);
+      const projectPath = appState.resolveProjectPath(project);
+      const projectName = path.basename(projectPath);
       
       // Check if the project directory exists
       if (!fs.existsSync(projectPath)) {
@@ -204,22 +280,12 @@ function setupProjectHandlers() {
         };
       }
       
-      // Update application state
-      appState.CURRENT_PROJECT = projectName;
-      appState.CURRENT_PROJECT_PATH = projectPath;
-      appState.DEFAULT_SAVE_DIR = projectPath;
-      
-      // Save to electron-store
-      if (appState.store) {
-        appState.store.set('settings', {
-          default_save_dir: projectPath,
-          current_project: projectName,
-          current_project_path: projectPath
-        });
-      }
+      // Update application state and save it to electron-store
+      appState.setCurrentProject(projectName, projectPath);
       
       return {
         success: true,
+        projectName,
         projectPath
       };
     } catch (error) {
@@ -231,10 +297,18 @@ function setupProjectHandlers() {
     }
   });
   
-  // Create a new project
-  ipcMain.handle('create-project', async (event, projectName) => {
+  // Create a new project in the given root, or the primary one
+  ipcMain.handle('create-project', async (event, projectName, templateId, root) => {
     try {
-      const projectPath = path.join(appState.PROJECTS_DIR, projectName);
+      const projectRoot = root || appState.PROJECTS_DIR;
+      if (!appState.PROJECT_ROOTS.includes(projectRoot)) {
+        return {
+          success: false,
+          message: `Not a project root: ${projectRoot}`
+        };
+      }
+      projectName = projectManager.validateProjectName(projectName);
+      const projectPath = path.join(projectRoot, projectName);
       
       // Check if the project already exists
       if (fs.existsSync(projectPath)) {
@@ -244,23 +318,19 @@ function setupProjectHandlers() {
         };
       }
       
-      // Create the project directory
+      // Create the project directory and scaffold it from the template
       await fs.promises.mkdir(projectPath, { recursive: true });
-      
-      // Update application state
-      appState.CURRENT_PROJECT = projectName;
-      appState.CURRENT_PROJECT_PATH = projectPath;
-      appState.DEFAULT_SAVE_DIR = projectPath;
-      
-      // Save to electron-store
-      if (appState.store) {
-        appState.store.set('settings', {
-          default_save_dir: projectPath,
-          current_project: projectName,
-          current_project_path: projectPath
-        });
+      try {
+        await projectTemplates.applyTemplate(projectPath, projectName, templateId);
+      } catch (error) {
+        // Don't leave a half-scaffolded project behind
+        await fs.promises.rm(projectPath, { recursive: true, force: true });
+        throw error;
       }
       
+      // Update application state and save it to electron-store
+      appState.setCurrentProject(projectName, projectPath);
+      
       return {
         success: true,
         projectPath
@@ -273,18 +343,143 @@ function setupProjectHandlers() {
       };
     }
   });
+  
+  // Rename a project folder; the current project follows it
+  ipcMain.handle('rename-project', async (event, projectName, newName) => {
+    try {
+      checkProjectIdle(appState.resolveProjectPath(projectName), 'rename');
+      const result = await projectManager.renameProject(projectName, newName);
+      if (result.wasCurrent) {
+        notifyProjectChanged('project-renamed');
+      }
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error renaming project:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Copy a project as a snapshot under a new name
+  ipcMain.handle('duplicate-project', async (event, projectName, newName) => {
+    try {
+      const result = await projectManager.duplicateProject(projectName, newName);
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error duplicating project:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Zip a project into the .archive folder of its root
+  ipcMain.handle('archive-project', async (event, projectName) => {
+    try {
+      const result = await projectManager.archiveProject(projectName);
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error archiving project:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Delete a project folder after the user confirms
+  ipcMain.handle('delete-project', async (event, projectName) => {
+    try {
+      const projectPath = appState.resolveProjectPath(projectName);
+      checkProjectIdle(projectPath, 'delete');
+      const confirmation = await dialog.showMessageBox(projectDialogWindow || mainWindow, {
+        type: 'warning',
+        title: 'Delete Project',
+        message: `Delete the project "${path.basename(projectPath)}"?`,
+        detail: `The folder ${projectPath} and everything in it will be deleted. This cannot be undone. Archive the project first if you may need it again.`,
+        buttons: ['Cancel', 'Delete'],
+        defaultId: 0,
+        cancelId: 0
+      });
+      if (confirmation.response !== 1) {
+        return { success: false, cancelled: true };
+      }
+      // A run may have been started while the dialog was open
+      checkProjectIdle(projectPath, 'delete');
+      
+      const result = await projectManager.deleteProject(projectName);
+      if (result.wasCurrent) {
+        notifyProjectChanged('project-deleted');
+      }
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error deleting project:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Templates available for new projects
+  ipcMain.handle('get-project-templates', async () => {
+    try {
+      return await projectTemplates.listTemplates();
+    } catch (error) {
+      console.error('Error listing project templates:', error);
+      return [];
+    }
+  });
+  
+  // Read a project's manifest, or a default one if it has none yet
+  ipcMain.handle('get-project-manifest', async (event, project) => {
+    try {
+      const projectPath = appState.resolveProjectPath(project);
+      const manifest = await projectManifest.load(projectPath);
+      return {
+        success: true,
+        exists: manifest !== null,
+        manifest: manifest || projectManifest.createDefault(path.basename(projectPath))
+      };
+    } catch (error) {
+      console.error('Error reading project manifest:', error);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  });
+  
+  // Write a project's manifest
+  ipcMain.handle('save-project-manifest', async (event, project, manifest) => {
+    try {
+      const projectPath = appState.resolveProjectPath(project);
+      if (!fs.existsSync(projectPath)) {
+        return {
+          success: false,
+          message: `Project directory does not exist: ${projectPath}`
+        };
+      }
+      
+      const saved = await projectManifest.save(projectPath, manifest);
+      return {
+        success: true,
+        manifest: saved
+      };
+    } catch (error) {
+      console.error('Error saving project manifest:', error);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  });
 }
 
-// Function to create the tool setup and run dialog
-function createToolSetupRunDialog(toolName) {
+// Function to create a tool setup and run window. Tool windows aren't modal,
+// so several tools can be set up and run side by side.
+function createToolSetupRunDialog(toolName, launchOptions) {
+  // Offset each new window a little so they don't hide each other
+  const offset = (toolWindows.size % 5) * 30;
+  
   // Create the dialog window
-  toolSetupRunWindow = new BrowserWindow({
+  const toolWindow = new BrowserWindow({
     width: mainWindow.getSize()[0],
     height: mainWindow.getSize()[1],
-    x: mainWindow.getPosition()[0],
-    y: mainWindow.getPosition()[1],
+    x: mainWindow.getPosition()[0] + offset,
+    y: mainWindow.getPosition()[1] + offset,
     parent: mainWindow,
-    modal: true,
     show: false,
     webPreferences: {
       nodeIntegration: false,
@@ -294,52 +489,61 @@ function createToolSetupRunDialog(toolName) {
     backgroundColor: '#121212', // Dark background
     autoHideMenuBar: true,
   });
+  
+  const windowId = toolWindow.webContents.id;
+  toolWindows.set(windowId, { window: toolWindow, toolName, launchOptions });
 
   // Load the HTML file
-  toolSetupRunWindow.loadFile(path.join(__dirname, 'tool-setup-run.html'));
+  toolWindow.loadFile(path.join(__dirname, 'tool-setup-run.html'));
 
   // Show the window when ready
-  toolSetupRunWindow.once('ready-to-show', () => {
-    toolSetupRunWindow.show();
+  toolWindow.once('ready-to-show', () => {
+    toolWindow.show();
     
     // Send the current theme as soon as the window is ready
     if (mainWindow) {
       mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
         .then(isLightMode => {
-          if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-            toolSetupRunWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          if (!toolWindow.isDestroyed()) {
+            toolWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
           }
         })
         .catch(err => console.error('Error getting theme:', err));
     }
   });
 
-  // Track window destruction
-  toolSetupRunWindow.on('closed', () => {
-    toolSetupRunWindow = null;
+  // Track window destruction; its jobs keep running in the jobs panel
+  toolWindow.on('closed', () => {
+    toolWindows.delete(windowId);
   });
   
-  // Prevent the tool window from being resized or moved
-  toolSetupRunWindow.setResizable(false);
-  toolSetupRunWindow.setMovable(false);
-  
-  return toolSetupRunWindow;
+  return toolWindow;
 }
 
-// Show the tool setup dialog - MODIFIED: always recreate the window
-function showToolSetupRunDialog(toolName) {
-  // Always close any existing tool window first
-  if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-    toolSetupRunWindow.destroy();
-    toolSetupRunWindow = null;
-  }
-  
-  // Store the selected tool
-  currentTool = toolName;
+// Show a new tool setup window
+function showToolSetupRunDialog(toolName, launchOptions = null) {
   console.log(`Creating new tool setup dialog for: ${toolName}`);
-  
-  // Create a new dialog window with the current tool
-  createToolSetupRunDialog(toolName);
+  createToolSetupRunDialog(toolName, launchOptions);
+}
+
+// The tool window entry for an IPC sender, or null
+function getToolWindow(webContents) {
+  return toolWindows.get(webContents.id) || null;
+}
+
+// Send a message to the tool window that started a job, if it's still open
+function sendToJobWindow(runId, channel, data) {
+  const entry = toolWindows.get(jobWindows.get(runId));
+  if (entry && !entry.window.isDestroyed()) {
+    entry.window.webContents.send(channel, data);
+  }
+}
+
+// Send a message to the main window's jobs panel
+function sendToMainWindow(channel, data) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, data);
+  }
 }
 
 function launchEditor() {
@@ -371,7 +575,6 @@ function launchEditor() {
 function setupToolHandlers() {
   // This local `database` reference is initially null, so we lazy-load it.
   let database = null;
-  let toolRunner = null;
 
   ipcMain.handle('get-tools', async () => {
     try {
@@ -392,6 +595,8 @@ function setupToolHandlers() {
     }
   });
 
+  // A tool's options with their defaults; a project manifest that can't be
+  // read leaves the database defaults in place, with a warning to show
   ipcMain.handle('get-tool-options', async (event, toolName) => {
     try {
       if (!database) {
@@ -399,10 +604,22 @@ function setupToolHandlers() {
         await database.init();
       }
       const tool = database.getToolByName(toolName);
-      return tool ? tool.options || [] : [];
+      if (!tool) {
+        return { success: false, message: `Tool not found: ${toolName}`, options: [] };
+      }
+      const options = tool.options || [];
+      
+      // Defaults declared in the project's manifest win over the database
+      try {
+        const withManifest = await projectManifest.applyToOptions(appState.CURRENT_PROJECT_PATH, options);
+        return { success: true, options: withManifest, warning: null };
+      } catch (error) {
+        console.error('Error applying project manifest:', error);
+        return { success: true, options, warning: `Project defaults were not applied: ${error.message}` };
+      }
     } catch (error) {
       console.error('Error getting tool options:', error);
-      return [];
+      return { success: false, message: error.message, options: [] };
     }
   });
   
@@ -411,27 +628,28 @@ function setupToolHandlers() {
     showToolSetupRunDialog(toolName);
   });
   
-  // Handle tool dialog closing - MODIFIED: now destroys the window
+  // Handle tool dialog closing; a job it started keeps running
   ipcMain.on('close-tool-dialog', (event, action, data) => {
     console.log('Tool dialog close action:', action);
     
-    if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
+    const entry = getToolWindow(event.sender);
+    if (entry && !entry.window.isDestroyed()) {
       // Destroy the window instead of hiding it
-      toolSetupRunWindow.destroy();
-      toolSetupRunWindow = null;
+      entry.window.destroy();
     }
   });
   
-  // Get current tool
-  ipcMain.handle('get-current-tool', () => {
+  // Get the tool of the window asking
+  ipcMain.handle('get-current-tool', (event) => {
     try {
       if (!database) {
         database = require('./src/database.js');
         database.init();
       }
       
-      if (currentTool) {
-        return database.getToolByName(currentTool);
+      const entry = getToolWindow(event.sender);
+      if (entry) {
+        return database.getToolByName(entry.toolName);
       }
       return null;
     } catch (error) {
@@ -440,61 +658,60 @@ function setupToolHandlers() {
     }
   });
   
-  // Run tool
+  // Queue a run of the tool; it starts as soon as a job slot is free
   ipcMain.handle('start-tool-run', async (event, toolName, optionValues) => {
     try {
-      // Lazy load the tool runner if not already loaded
-      if (!toolRunner) {
-        toolRunner = require('./src/tool-runner.js');
+      if (!database) {
+        database = require('./src/database.js');
+        await database.init();
       }
       
-      // Start the tool and get the run ID
       const runId = uuidv4();
+      const tool = database.getToolByName(toolName);
+      jobWindows.set(runId, event.sender.id);
       
-      // Run the tool and handle output
-      toolRunner.runTool(toolName, optionValues, (output) => {
-        // Send output to renderer
-        if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-          toolSetupRunWindow.webContents.send('tool-output', { runId, text: output });
-        }
-      })
-      .then(result => {
-        // Send completion notification
-        if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-          toolSetupRunWindow.webContents.send('tool-finished', { runId, ...result });
-        }
-      })
-      .catch(error => {
-        console.error(`Error running tool ${toolName}:`, error);
-        if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-          toolSetupRunWindow.webContents.send('tool-error', { 
-            runId, 
-            error: error.message 
-          });
-        }
-      });
-      
-      return runId;
+      return jobQueue.enqueue(runId, toolName, optionValues, { title: tool ? tool.title : toolName });
     } catch (error) {
       console.error('Error starting tool run:', error);
       throw error;
     }
   });
   
-  // Stop tool execution
+  // Stop tool execution, or take it out of the queue
   ipcMain.handle('stop-tool', async (event, runId) => {
     try {
-      if (!toolRunner) {
-        toolRunner = require('./src/tool-runner.js');
-      }
-      
-      return toolRunner.stopTool(runId);
+      return jobQueue.cancel(runId);
     } catch (error) {
       console.error('Error stopping tool:', error);
       throw error;
     }
   });
   
+  // Option values the tool window should open with: a re-run from history,
+  // otherwise the last preset used with this tool in the current project
+  ipcMain.handle('get-tool-launch-options', async (event) => {
+    const entry = getToolWindow(event.sender);
+    if (!entry) return null;
+    
+    const launchOptions = entry.launchOptions;
+    entry.launchOptions = null;
+    if (launchOptions) return launchOptions;
+    
+    try {
+      const preset = await toolPresets.getLastUsedPreset(appState.CURRENT_PROJECT_PATH, entry.toolName);
+      if (preset) {
+        return {
+          source: `preset "${preset.name}"`,
+          presetName: preset.name,
+          optionValues: preset.optionValues
+        };
+      }
+    } catch (error) {
+      console.error('Error loading last used preset:', error);
+    }
+    return null;
+  });
+  
   // Store tool options in app state
   ipcMain.handle('set-tool-options', (event, options) => {
     try {
@@ -507,6 +724,422 @@ function setupToolHandlers() {
   });
 }
 
+// Set up option preset handlers; presets belong to the current project
+function setupPresetHandlers() {
+  ipcMain.handle('get-tool-presets', async (event, toolName) => {
+    try {
+      const result = await toolPresets.listPresets(appState.CURRENT_PROJECT_PATH, toolName);
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error listing presets:', error);
+      return { success: false, message: error.message, presets: [], lastUsed: null };
+    }
+  });
+  
+  ipcMain.handle('save-tool-preset', async (event, toolName, name, optionValues) => {
+    try {
+      await toolPresets.savePreset(appState.CURRENT_PROJECT_PATH, toolName, name, optionValues);
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving preset:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.handle('rename-tool-preset', async (event, toolName, oldName, newName) => {
+    try {
+      await toolPresets.renamePreset(appState.CURRENT_PROJECT_PATH, toolName, oldName, newName);
+      return { success: true };
+    } catch (error) {
+      console.error('Error renaming preset:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.handle('delete-tool-preset', async (event, toolName, name) => {
+    try {
+      await toolPresets.deletePreset(appState.CURRENT_PROJECT_PATH, toolName, name);
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting preset:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.handle('use-tool-preset', async (event, toolName, name) => {
+    try {
+      await toolPresets.markUsed(appState.CURRENT_PROJECT_PATH, toolName, name);
+      return { success: true };
+    } catch (error) {
+      console.error('Error selecting preset:', error);
+      return { success: false, message: error.message };
+    }
+  });
+}
+
+// Refuse to rename or delete a project that runs are still using: they would
+// go on writing to its old folder
+function checkProjectIdle(projectPath, action) {
+  let work = null;
+  if (jobQueue.hasActiveJobs(projectPath)) work = 'tool runs are queued or running';
+  else if (pipelineRunner.isProjectRunning(projectPath)) work = 'a pipeline is running';
+  else if (manuscriptAudit.isRunning(projectPath)) work = 'an audit is running';
+
+  if (work) {
+    throw new Error(`Can't ${action} "${path.basename(projectPath)}" while ${work} in it. Try again once that has finished or been cancelled.`);
+  }
+}
+
+// Let the main window know the current project was renamed or removed
+function notifyProjectChanged(action) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('project-updated', {
+      action,
+      project: {
+        projectName: appState.CURRENT_PROJECT,
+        projectPath: appState.CURRENT_PROJECT_PATH
+      }
+    });
+  }
+}
+
+// Let the main window know the run history changed
+function notifyRunHistoryUpdated() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('run-history-updated');
+  }
+}
+
+// Set up run history handlers
+function setupRunHistoryHandlers() {
+  // List past runs for the current project
+  ipcMain.handle('get-run-history', async () => {
+    try {
+      return await runHistory.listRuns(appState.CURRENT_PROJECT_PATH);
+    } catch (error) {
+      console.error('Error listing run history:', error);
+      return [];
+    }
+  });
+  
+  // Search the logs and options of past runs
+  ipcMain.handle('search-run-history', async (event, query) => {
+    try {
+      return await runHistory.searchRuns(query, appState.CURRENT_PROJECT_PATH);
+    } catch (error) {
+      console.error('Error searching run history:', error);
+      return [];
+    }
+  });
+  
+  // Full record of one run, including its log
+  ipcMain.handle('get-run-details', async (event, runId) => {
+    try {
+      return await runHistory.getRun(runId, appState.CURRENT_PROJECT_PATH);
+    } catch (error) {
+      console.error('Error getting run details:', error);
+      return null;
+    }
+  });
+  
+  // Open a report created by a run with the system's default application
+  ipcMain.handle('open-run-file', async (event, filePath) => {
+    try {
+      if (!appState.isPathValid(filePath) || !fs.existsSync(filePath)) {
+        return { success: false, message: `Cannot open file: ${filePath}` };
+      }
+      
+      const errorMessage = await shell.openPath(filePath);
+      return errorMessage ? { success: false, message: errorMessage } : { success: true };
+    } catch (error) {
+      console.error('Error opening run file:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Reopen a tool window with the exact options of a past run
+  ipcMain.handle('rerun-from-history', async (event, runId) => {
+    try {
+      const record = await runHistory.getRun(runId, appState.CURRENT_PROJECT_PATH);
+      if (!record) {
+        return { success: false, message: 'Run not found in history' };
+      }
+      
+      showToolSetupRunDialog(record.toolName, {
+        source: `run from ${new Date(record.startTime).toLocaleString()}`,
+        optionValues: record.optionValues
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('Error re-running from history:', error);
+      return { success: false, message: error.message };
+    }
+  });
+}
+
+// Set up usage and budget handlers
+function setupUsageHandlers() {
+  // Spending per project, tool and day; per tool and day for the current
+  // project only unless allProjects is set
+  ipcMain.handle('get-usage-summary', async (event, allProjects) => {
+    try {
+      const projectPath = allProjects ? null : appState.CURRENT_PROJECT_PATH;
+      return { success: true, summary: await usageLedger.getSummary(projectPath) };
+    } catch (error) {
+      console.error('Error getting usage summary:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.handle('set-monthly-budget', async (event, amount) => {
+    try {
+      appState.setMonthlyBudget(amount);
+      return { success: true, budget: appState.MONTHLY_BUDGET };
+    } catch (error) {
+      console.error('Error setting monthly budget:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Warning if a run of the tool would likely go over the monthly budget
+  ipcMain.handle('check-usage-budget', async (event, toolName) => {
+    try {
+      return { success: true, warning: await usageLedger.checkBudget(toolName) };
+    } catch (error) {
+      console.error('Error checking budget:', error);
+      return { success: false, message: error.message };
+    }
+  });
+}
+
+// Set up the job queue and the jobs panel handlers
+function setupJobHandlers() {
+  // Pass each job's output and progress to the tool window that started it
+  // and to the jobs panel
+  jobQueue.setListeners({
+    onUpdate: (job) => sendToMainWindow('jobs-updated', job),
+    onStart: (job) => {
+      // Tell a tool window whose run was queued that it has started
+      sendToJobWindow(job.runId, 'tool-progress', { runId: job.runId, event: { event: 'phase', phase: 'starting' } });
+      notifyRunHistoryUpdated();
+    },
+    onOutput: (job, text) => {
+      sendToJobWindow(job.runId, 'tool-output', { runId: job.runId, text });
+      sendToMainWindow('job-output', { runId: job.runId, text });
+    },
+    onProgress: (job, event) => {
+      sendToJobWindow(job.runId, 'tool-progress', { runId: job.runId, event });
+      sendToMainWindow('job-progress', { runId: job.runId, progress: job.progress });
+    },
+    onFinish: (job, result) => {
+      sendToJobWindow(job.runId, 'tool-finished', { runId: job.runId, ...result });
+      jobWindows.delete(job.runId);
+      notifyRunHistoryUpdated();
+    },
+    onError: (job, error) => {
+      sendToJobWindow(job.runId, 'tool-error', { runId: job.runId, error: error.message });
+      jobWindows.delete(job.runId);
+      notifyRunHistoryUpdated();
+    }
+  });
+  
+  // Queued, running and finished jobs, oldest first
+  ipcMain.handle('get-jobs', () => {
+    return { success: true, jobs: jobQueue.listJobs(), maxConcurrent: appState.MAX_CONCURRENT_JOBS };
+  });
+  
+  // Output of a job so far
+  ipcMain.handle('get-job-output', (event, runId) => {
+    const job = jobQueue.getJob(runId);
+    if (!job) {
+      return { success: false, message: 'Job not found' };
+    }
+    return { success: true, output: job.output };
+  });
+  
+  ipcMain.handle('cancel-job', (event, runId) => {
+    try {
+      const cancelled = jobQueue.cancel(runId);
+      return cancelled
+        ? { success: true }
+        : { success: false, message: 'The job has already finished' };
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.handle('clear-finished-jobs', () => {
+    jobQueue.clearFinished();
+    return { success: true };
+  });
+  
+  ipcMain.handle('set-max-concurrent-jobs', (event, limit) => {
+    try {
+      appState.setMaxConcurrentJobs(limit);
+      // A higher limit may free slots for queued jobs
+      jobQueue.startNext();
+      return { success: true, maxConcurrent: appState.MAX_CONCURRENT_JOBS };
+    } catch (error) {
+      console.error('Error setting job limit:', error);
+      return { success: false, message: error.message };
+    }
+  });
+}
+
+// Set up pipeline handlers; pipelines belong to the current project
+function setupPipelineHandlers() {
+  // Keep the main window's pipeline panel up to date as steps finish
+  pipelineRunner.setListeners({
+    onUpdate: (update) => sendToMainWindow('pipeline-updated', update)
+  });
+  
+  // Pipelines of the current project, with whether each is running now
+  ipcMain.handle('get-pipelines', async () => {
+    try {
+      const projectPath = appState.CURRENT_PROJECT_PATH;
+      const list = await pipelines.listPipelines(projectPath);
+      return {
+        success: true,
+        pipelines: list.map(pipeline => ({ ...pipeline, running: pipelineRunner.isRunning(projectPath, pipeline.name) }))
+      };
+    } catch (error) {
+      console.error('Error listing pipelines:', error);
+      return { success: false, message: error.message, pipelines: [] };
+    }
+  });
+  
+  ipcMain.handle('save-pipeline', async (event, name, steps, oldName) => {
+    try {
+      if (oldName && oldName !== name && pipelineRunner.isRunning(appState.CURRENT_PROJECT_PATH, oldName)) {
+        return { success: false, message: `Pipeline '${oldName}' is running; rename it once it stops` };
+      }
+      const pipeline = await pipelines.savePipeline(appState.CURRENT_PROJECT_PATH, name, steps, oldName);
+      return { success: true, pipeline };
+    } catch (error) {
+      console.error('Error saving pipeline:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.handle('delete-pipeline', async (event, name) => {
+    try {
+      if (pipelineRunner.isRunning(appState.CURRENT_PROJECT_PATH, name)) {
+        return { success: false, message: `Pipeline '${name}' is running; stop it first` };
+      }
+      await pipelines.deletePipeline(appState.CURRENT_PROJECT_PATH, name);
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting pipeline:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Run a pipeline from its first step, or resume it from the step that
+  // failed or was stopped
+  ipcMain.handle('run-pipeline', async (event, name, resume) => {
+    try {
+      const project = { projectName: appState.CURRENT_PROJECT, projectPath: appState.CURRENT_PROJECT_PATH };
+      if (!project.projectPath) {
+        return { success: false, message: 'Open a project to run pipelines' };
+      }
+      
+      const toolNames = await pipelineRunner.getToolsToRun(project.projectPath, name, !!resume);
+      if (!await confirmBudget(toolNames, `Run the pipeline "${name}"`)) {
+        return { success: false, cancelled: true };
+      }
+      
+      const lastRun = await pipelineRunner.run(project, name, { resume: !!resume });
+      return { success: true, lastRun };
+    } catch (error) {
+      console.error('Error running pipeline:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.handle('stop-pipeline', async (event, name) => {
+    const stopped = pipelineRunner.stop(appState.CURRENT_PROJECT_PATH, name);
+    return stopped
+      ? { success: true }
+      : { success: false, message: `Pipeline '${name}' is not running` };
+  });
+}
+
+// Ask before queuing runs that would likely go over the monthly budget;
+// true if there is no warning or the user goes ahead
+async function confirmBudget(toolNames, action) {
+  const warning = await usageLedger.checkBudget(toolNames);
+  if (!warning) return true;
+  
+  const confirmation = await dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    title: 'Monthly Budget',
+    message: `${action} anyway?`,
+    detail: warning,
+    buttons: ['Cancel', 'Run Anyway'],
+    defaultId: 0,
+    cancelId: 0
+  });
+  return confirmation.response === 1;
+}
+
+// Set up the full manuscript audit handlers
+function setupAuditHandlers() {
+  // The audit panel only shows the current project's audit
+  manuscriptAudit.setListeners({
+    onUpdate: (audit) => {
+      if (audit.projectPath === appState.CURRENT_PROJECT_PATH) {
+        sendToMainWindow('audit-updated', audit);
+      }
+    }
+  });
+  
+  // Analyzers to choose from, the project's documents to start with, and
+  // the project's current or last audit
+  ipcMain.handle('get-audit-setup', async () => {
+    try {
+      const projectPath = appState.CURRENT_PROJECT_PATH;
+      if (!projectPath) {
+        return { success: false, message: 'Open a project to audit its manuscript' };
+      }
+      return {
+        success: true,
+        analyzers: await manuscriptAudit.listAnalyzers(),
+        documents: await manuscriptAudit.getDefaultDocuments(projectPath),
+        audit: manuscriptAudit.getAudit(projectPath)
+      };
+    } catch (error) {
+      console.error('Error getting audit setup:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.handle('start-audit', async (event, toolNames, documents, format) => {
+    try {
+      const project = { projectName: appState.CURRENT_PROJECT, projectPath: appState.CURRENT_PROJECT_PATH };
+      if (!project.projectPath) {
+        return { success: false, message: 'Open a project to audit its manuscript' };
+      }
+      if (Object.values(documents).some(filePath => filePath && !appState.isPathValid(filePath))) {
+        return { success: false, message: 'Audit documents must be inside your project roots' };
+      }
+      if (!await confirmBudget(toolNames, 'Run the audit')) {
+        return { success: false, cancelled: true };
+      }
+      return { success: true, audit: await manuscriptAudit.start(project, toolNames, documents, format) };
+    } catch (error) {
+      console.error('Error starting audit:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.handle('cancel-audit', () => {
+    return manuscriptAudit.cancel()
+      ? { success: true }
+      : { success: false, message: 'No audit is running' };
+  });
+}
+
 // Function to create the API settings dialog
 function createApiSettingsDialog() {
   // Create the dialog window
@@ -604,6 +1237,11 @@ function setupApiSettingsHandlers() {
   // Save Claude API settings
   ipcMain.handle('save-claude-api-settings', async (event, settings) => {
     try {
+      const modelError = settings.model ? checkModel(settings.model) : null;
+      if (modelError) {
+        return { success: false, message: modelError };
+      }
+      
       // Update app state with new settings
       appState.settings_claude_api_configuration = {
         ...appState.settings_claude_api_configuration,
@@ -627,6 +1265,71 @@ function setupApiSettingsHandlers() {
     }
   });
   
+  // API key status, without the key itself
+  ipcMain.handle('get-api-key-status', async () => {
+    try {
+      return {
+        success: true,
+        status: apiKeyStore.getStatus()
+      };
+    } catch (error) {
+      console.error('Error getting API key status:', error);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  });
+  
+  // Save the API key in encrypted storage
+  ipcMain.handle('save-api-key', async (event, key) => {
+    try {
+      return {
+        success: true,
+        status: apiKeyStore.saveKey(key)
+      };
+    } catch (error) {
+      console.error('Error saving API key:', error.message);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  });
+  
+  // Remove the API key saved in the app
+  ipcMain.handle('clear-api-key', async () => {
+    try {
+      return {
+        success: true,
+        status: apiKeyStore.clearKey()
+      };
+    } catch (error) {
+      console.error('Error removing API key:', error);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  });
+  
+  // Test the API connection by listing the models the key can use
+  ipcMain.handle('list-claude-models', async () => {
+    try {
+      const models = await claudeApi.listModels();
+      return {
+        success: true,
+        models
+      };
+    } catch (error) {
+      console.error('Error listing Claude models:', error);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  });
+  
   // Handle API settings dialog closing
   ipcMain.on('close-api-settings-dialog', (event, action, data) => {
     console.log('API settings dialog close action:', action);
@@ -646,6 +1349,12 @@ function setupApiSettingsHandlers() {
 function setupIPCHandlers() {
   setupProjectHandlers();
   setupToolHandlers();
+  setupPresetHandlers();
+  setupRunHistoryHandlers();
+  setupUsageHandlers();
+  setupJobHandlers();
+  setupPipelineHandlers();
+  setupAuditHandlers();
   setupApiSettingsHandlers();
   
   // Handle quit request from renderer
@@ -683,17 +1392,24 @@ function setupIPCHandlers() {
     };
   });
   
+  // Option values may hold placeholders such as ${PROJECT_PATH}
+  function resolveDialogPath(defaultPath) {
+    try {
+      return resolvePathVariables(defaultPath);
+    } catch (error) {
+      return null;
+    }
+  }
+  
   // File selection dialog
   ipcMain.handle('select-file', async (event, options) => {
     try {
-      // Ensure base directory is inside ~/writing
-      const homePath = os.homedir();
-      const writingPath = path.join(homePath, 'writing');
-      let startPath = options.defaultPath || appState.DEFAULT_SAVE_DIR || writingPath;
-      
-      // Force path to be within ~/writing
-      if (!startPath.startsWith(writingPath)) {
-        startPath = writingPath;
+      const parentWindow = BrowserWindow.fromWebContents(event.sender) || mainWindow;
+
+      // Start inside one of the project roots
+      let startPath = resolveDialogPath(options.defaultPath) || appState.DEFAULT_SAVE_DIR || appState.PROJECTS_DIR;
+      if (!appState.isPathValid(startPath)) {
+        startPath = appState.PROJECTS_DIR;
       }
       
       // Set default filters to only show .txt files
@@ -703,7 +1419,8 @@ function setupIPCHandlers() {
       ];
       
       // For tokens_words_counter.js, only allow .txt files
-      if (currentTool === 'tokens_words_counter.js') {
+      const toolWindow = getToolWindow(event.sender);
+      if (toolWindow && toolWindow.toolName === 'tokens_words_counter.js') {
         // Only use text files filter for this tool
         options.filters = [{ name: 'Text Files', extensions: ['txt', 'md'] }];
       }
@@ -714,12 +1431,12 @@ function setupIPCHandlers() {
         buttonLabel: options.buttonLabel || 'Select',
         filters: options.filters || defaultFilters,
         properties: ['openFile'],
-        // Restrict to ~/writing directory
+        // Restrict to the project roots
         message: 'Please select a file within your writing projects'
       };
       
       const result = await dialog.showOpenDialog(
-        options.parentWindow || toolSetupRunWindow || mainWindow, 
+        options.parentWindow || parentWindow, 
         dialogOptions
       );
       
@@ -729,16 +1446,16 @@ function setupIPCHandlers() {
       
       const selectedPath = result.filePaths[0];
       
-      // Verify the selected path is within ~/writing directory
-      if (!selectedPath.startsWith(writingPath)) {
+      // Verify the selected path is within a project root
+      if (!appState.isPathValid(selectedPath)) {
         console.warn('Selected file is outside allowed directory:', selectedPath);
         
         // Show error dialog to user
-        await dialog.showMessageBox(toolSetupRunWindow || mainWindow, {
+        await dialog.showMessageBox(parentWindow, {
           type: 'error',
           title: 'Invalid File Selection',
           message: 'File Selection Restricted',
-          detail: `You must select a file within the ~/writing directory. Please try again.`,
+          detail: `You must select a file within one of your project roots:\n${appState.PROJECT_ROOTS.join('\n')}\nPlease try again.`,
           buttons: ['OK']
         });
         
@@ -755,14 +1472,12 @@ function setupIPCHandlers() {
   // Directory selection dialog
   ipcMain.handle('select-directory', async (event, options) => {
     try {
-      // Ensure base directory is inside ~/writing
-      const homePath = os.homedir();
-      const writingPath = path.join(homePath, 'writing');
-      let startPath = options.defaultPath || appState.DEFAULT_SAVE_DIR || writingPath;
-      
-      // Force path to be within ~/writing
-      if (!startPath.startsWith(writingPath)) {
-        startPath = writingPath;
+      const parentWindow = BrowserWindow.fromWebContents(event.sender) || mainWindow;
+
+      // Start inside one of the project roots
+      let startPath = resolveDialogPath(options.defaultPath) || appState.DEFAULT_SAVE_DIR || appState.PROJECTS_DIR;
+      if (!appState.isPathValid(startPath)) {
+        startPath = appState.PROJECTS_DIR;
       }
       
       const dialogOptions = {
@@ -774,7 +1489,7 @@ function setupIPCHandlers() {
       };
       
       const result = await dialog.showOpenDialog(
-        options.parentWindow || toolSetupRunWindow || mainWindow, 
+        options.parentWindow || parentWindow, 
         dialogOptions
       );
       
@@ -784,16 +1499,16 @@ function setupIPCHandlers() {
       
       const selectedPath = result.filePaths[0];
       
-      // Verify the selected path is within ~/writing directory
-      if (!selectedPath.startsWith(writingPath)) {
+      // Verify the selected path is within a project root
+      if (!appState.isPathValid(selectedPath)) {
         console.warn('Selected directory is outside allowed directory:', selectedPath);
         
         // Show error dialog to user
-        await dialog.showMessageBox(toolSetupRunWindow || mainWindow, {
+        await dialog.showMessageBox(parentWindow, {
           type: 'error',
           title: 'Invalid Directory Selection',
           message: 'Directory Selection Restricted',
-          detail: `You must select a directory within the ~/writing directory. Please try again.`,
+          detail: `You must select a directory within one of your project roots:\n${appState.PROJECT_ROOTS.join('\n')}\nPlease try again.`,
           buttons: ['OK']
         });
         
@@ -870,6 +1585,20 @@ app.on('window-all-closed', () => {
   }
 });
 
+// Running tools get this long to save their partial output when the app
+// quits, so none are left running without it
+const QUIT_STOP_TIMEOUT = 2000;
+let jobsStopped = false;
+
+app.on('before-quit', (event) => {
+  if (jobsStopped || !jobQueue.hasActiveJobs()) return;
+  event.preventDefault();
+  jobsStopped = true;
+  jobQueue.stopAll(QUIT_STOP_TIMEOUT)
+    .catch(error => console.error('Error stopping jobs:', error))
+    .finally(() => app.quit());
+});
+
 app.on('activate', () => {
   // On macOS it's common to re-create a window in the app when the
   // dock icon is clicked and there are no other windows open
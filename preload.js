@@ -9,9 +9,19 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Project management
   getProjects: () => ipcRenderer.invoke('get-projects'),
   getProjectInfo: () => ipcRenderer.invoke('get-project-info'),
+  getProjectRoots: () => ipcRenderer.invoke('get-project-roots'),
+  addProjectRoot: () => ipcRenderer.invoke('add-project-root'),
+  removeProjectRoot: (root) => ipcRenderer.invoke('remove-project-root', root),
   selectProject: () => ipcRenderer.send('show-project-dialog'),
   openProject: (projectName) => ipcRenderer.invoke('open-project', projectName),
-  createProject: (projectName) => ipcRenderer.invoke('create-project', projectName),
+  createProject: (projectName, templateId, root) => ipcRenderer.invoke('create-project', projectName, templateId, root),
+  getProjectTemplates: () => ipcRenderer.invoke('get-project-templates'),
+  renameProject: (projectName, newName) => ipcRenderer.invoke('rename-project', projectName, newName),
+  duplicateProject: (projectName, newName) => ipcRenderer.invoke('duplicate-project', projectName, newName),
+  archiveProject: (projectName) => ipcRenderer.invoke('archive-project', projectName),
+  deleteProject: (projectName) => ipcRenderer.invoke('delete-project', projectName),
+  getProjectManifest: (projectName) => ipcRenderer.invoke('get-project-manifest', projectName),
+  saveProjectManifest: (projectName, manifest) => ipcRenderer.invoke('save-project-manifest', projectName, manifest),
   closeDialog: (action, data) => ipcRenderer.send('close-project-dialog', action, data),
   onProjectUpdated: (callback) => ipcRenderer.on('project-updated', (_, data) => callback(data)),
   // Launch the text editor
@@ -33,15 +43,66 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onToolOutput: (callback) => ipcRenderer.on('tool-output', (_, data) => callback(data)),
   onToolFinished: (callback) => ipcRenderer.on('tool-finished', (_, data) => callback(data)),
   onToolError: (callback) => ipcRenderer.on('tool-error', (_, data) => callback(data)),
+  onToolProgress: (callback) => ipcRenderer.on('tool-progress', (_, data) => callback(data)),
+  getToolLaunchOptions: () => ipcRenderer.invoke('get-tool-launch-options'),
   removeAllListeners: (channel) => {
     if (channel === 'tool-output') ipcRenderer.removeAllListeners('tool-output');
     if (channel === 'tool-finished') ipcRenderer.removeAllListeners('tool-finished');
     if (channel === 'tool-error') ipcRenderer.removeAllListeners('tool-error');
+    if (channel === 'tool-progress') ipcRenderer.removeAllListeners('tool-progress');
   },
   
+  // Option presets for the current project
+  getToolPresets: (toolName) => ipcRenderer.invoke('get-tool-presets', toolName),
+  saveToolPreset: (toolName, name, options) => ipcRenderer.invoke('save-tool-preset', toolName, name, options),
+  renameToolPreset: (toolName, oldName, newName) => ipcRenderer.invoke('rename-tool-preset', toolName, oldName, newName),
+  deleteToolPreset: (toolName, name) => ipcRenderer.invoke('delete-tool-preset', toolName, name),
+  useToolPreset: (toolName, name) => ipcRenderer.invoke('use-tool-preset', toolName, name),
+  
+  // Run history
+  getRunHistory: () => ipcRenderer.invoke('get-run-history'),
+  searchRunHistory: (query) => ipcRenderer.invoke('search-run-history', query),
+  getRunDetails: (runId) => ipcRenderer.invoke('get-run-details', runId),
+  openRunFile: (filePath) => ipcRenderer.invoke('open-run-file', filePath),
+  rerunFromHistory: (runId) => ipcRenderer.invoke('rerun-from-history', runId),
+  onRunHistoryUpdated: (callback) => ipcRenderer.on('run-history-updated', () => callback()),
+  
+  // Token usage, spending and the monthly budget
+  getUsageSummary: (allProjects) => ipcRenderer.invoke('get-usage-summary', allProjects),
+  setMonthlyBudget: (amount) => ipcRenderer.invoke('set-monthly-budget', amount),
+  checkUsageBudget: (toolName) => ipcRenderer.invoke('check-usage-budget', toolName),
+  
+  // Job queue: runs of all tool windows, queued, running and finished
+  getJobs: () => ipcRenderer.invoke('get-jobs'),
+  getJobOutput: (runId) => ipcRenderer.invoke('get-job-output', runId),
+  cancelJob: (runId) => ipcRenderer.invoke('cancel-job', runId),
+  clearFinishedJobs: () => ipcRenderer.invoke('clear-finished-jobs'),
+  setMaxConcurrentJobs: (limit) => ipcRenderer.invoke('set-max-concurrent-jobs', limit),
+  onJobsUpdated: (callback) => ipcRenderer.on('jobs-updated', (_, job) => callback(job)),
+  onJobOutput: (callback) => ipcRenderer.on('job-output', (_, data) => callback(data)),
+  onJobProgress: (callback) => ipcRenderer.on('job-progress', (_, data) => callback(data)),
+  
+  // Pipelines: named sequences of tools for the current project
+  getPipelines: () => ipcRenderer.invoke('get-pipelines'),
+  savePipeline: (name, steps, oldName) => ipcRenderer.invoke('save-pipeline', name, steps, oldName),
+  deletePipeline: (name) => ipcRenderer.invoke('delete-pipeline', name),
+  runPipeline: (name, resume) => ipcRenderer.invoke('run-pipeline', name, resume),
+  stopPipeline: (name) => ipcRenderer.invoke('stop-pipeline', name),
+  onPipelineUpdated: (callback) => ipcRenderer.on('pipeline-updated', (_, data) => callback(data)),
+  
+  // Full manuscript audit: several analyzers merged into one report
+  getAuditSetup: () => ipcRenderer.invoke('get-audit-setup'),
+  startAudit: (toolNames, documents, format) => ipcRenderer.invoke('start-audit', toolNames, documents, format),
+  cancelAudit: () => ipcRenderer.invoke('cancel-audit'),
+  onAuditUpdated: (callback) => ipcRenderer.on('audit-updated', (_, audit) => callback(audit)),
+  
   // API settings
   getClaudeApiSettings: () => ipcRenderer.invoke('get-claude-api-settings'),
   saveClaudeApiSettings: (settings) => ipcRenderer.invoke('save-claude-api-settings', settings),
+  listClaudeModels: () => ipcRenderer.invoke('list-claude-models'),
+  getApiKeyStatus: () => ipcRenderer.invoke('get-api-key-status'),
+  saveApiKey: (key) => ipcRenderer.invoke('save-api-key', key),
+  clearApiKey: () => ipcRenderer.invoke('clear-api-key'),
   showApiSettingsDialog: () => ipcRenderer.send('show-api-settings-dialog'),
   closeApiSettingsDialog: (action, data) => ipcRenderer.send('close-api-settings-dialog', action, data),
   onApiSettingsUpdated: (callback) => ipcRenderer.on('api-settings-updated', (_, data) => callback(data)),
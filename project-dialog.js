@@ -3,8 +3,34 @@ const projectSelect = document.getElementById('project-select');
 const newProjectNameInput = document.getElementById('new-project-name');
 const openProjectBtn = document.getElementById('open-project-btn');
 const createProjectBtn = document.getElementById('create-project-btn');
+const templateSelect = document.getElementById('template-select');
+const templateDescription = document.getElementById('template-description');
+const createRootGroup = document.getElementById('create-root-group');
+const createRootSelect = document.getElementById('create-root-select');
+const rootsList = document.getElementById('project-roots-list');
+const addRootBtn = document.getElementById('add-root-btn');
 const cancelBtn = document.getElementById('cancel-btn');
 
+// Project management elements
+const projectActions = document.getElementById('project-actions');
+const projectNewNameInput = document.getElementById('project-new-name');
+const renameProjectBtn = document.getElementById('rename-project-btn');
+const duplicateProjectBtn = document.getElementById('duplicate-project-btn');
+const archiveProjectBtn = document.getElementById('archive-project-btn');
+const deleteProjectBtn = document.getElementById('delete-project-btn');
+
+// Project details (manifest) elements
+const detailsCard = document.getElementById('project-details-card');
+const manifestStatus = document.getElementById('manifest-status');
+const saveManifestBtn = document.getElementById('save-manifest-btn');
+const manifestFields = {
+  title: document.getElementById('manifest-title'),
+  genre: document.getElementById('manifest-genre'),
+  language: document.getElementById('manifest-language'),
+  pov: document.getElementById('manifest-pov')
+};
+const documentInputs = document.querySelectorAll('[data-document]');
+
 // Disable the open button initially (until a project is selected)
 openProjectBtn.disabled = true;
 openProjectBtn.style.opacity = '0.6';
@@ -12,21 +38,112 @@ openProjectBtn.style.cursor = 'not-allowed';
 
 // When the page loads, fetch the list of existing projects
 document.addEventListener('DOMContentLoaded', async () => {
+  await loadProjectRoots();
+  await loadProjects();
+  loadTemplates();
+});
+
+// Show the project roots and offer them as places for new projects
+async function loadProjectRoots() {
+  try {
+    const { roots, primary } = await window.electronAPI.getProjectRoots();
+    
+    rootsList.innerHTML = '';
+    createRootSelect.innerHTML = '';
+    roots.forEach(root => {
+      const row = document.createElement('div');
+      row.className = 'root-row';
+      
+      const label = document.createElement('span');
+      label.textContent = root === primary ? `${root} (primary)` : root;
+      row.appendChild(label);
+      
+      if (roots.length > 1) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'secondary-button';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => removeProjectRoot(root));
+        row.appendChild(removeBtn);
+      }
+      rootsList.appendChild(row);
+      
+      const option = document.createElement('option');
+      option.value = root;
+      option.textContent = root;
+      createRootSelect.appendChild(option);
+    });
+    
+    createRootSelect.value = primary;
+    createRootGroup.style.display = roots.length > 1 ? 'block' : 'none';
+  } catch (error) {
+    console.error('Error fetching project roots:', error);
+    showError('Failed to load project roots');
+  }
+}
+
+addRootBtn.addEventListener('click', async () => {
+  try {
+    const result = await window.electronAPI.addProjectRoot();
+    if (result.success) {
+      await loadProjectRoots();
+      await loadProjects(projectSelect.value);
+    } else if (!result.cancelled) {
+      showError(result.message || 'Failed to add project root');
+    }
+  } catch (error) {
+    console.error('Error adding project root:', error);
+    showError('An error occurred while adding the project root');
+  }
+});
+
+// Projects under a removed root are left on disk, just no longer listed
+async function removeProjectRoot(root) {
+  try {
+    const result = await window.electronAPI.removeProjectRoot(root);
+    if (result.success) {
+      await loadProjectRoots();
+      await loadProjects(projectSelect.value);
+    } else {
+      showError(result.message || 'Failed to remove project root');
+    }
+  } catch (error) {
+    console.error('Error removing project root:', error);
+    showError('An error occurred while removing the project root');
+  }
+}
+
+// Name of the selected project, as shown in the dropdown
+function selectedProjectName() {
+  const option = projectSelect.options[projectSelect.selectedIndex];
+  return option && option.value ? option.dataset.name : '';
+}
+
+// Fill the project dropdown grouped by root, keeping the given project (by path) selected
+async function loadProjects(selectedPath = '') {
   try {
     // Get the list of projects from the main process
     const projects = await window.electronAPI.getProjects();
     
-    // Clear any existing options (except the placeholder)
-    while (projectSelect.options.length > 1) {
-      projectSelect.remove(1);
+    // Clear any existing options and groups (except the placeholder)
+    while (projectSelect.children.length > 1) {
+      projectSelect.removeChild(projectSelect.lastChild);
     }
     
-    // Add projects to the select dropdown
+    // Add projects to the select dropdown, one group per root
+    const groups = new Map();
     projects.forEach(project => {
+      if (!groups.has(project.root)) {
+        const group = document.createElement('optgroup');
+        group.label = project.root;
+        groups.set(project.root, group);
+        projectSelect.appendChild(group);
+      }
+      
       const option = document.createElement('option');
-      option.value = project;
-      option.textContent = project;
-      projectSelect.appendChild(option);
+      option.value = project.path;
+      option.dataset.name = project.name;
+      option.textContent = project.name;
+      groups.get(project.root).appendChild(option);
     });
     
     // If there are no projects, show a message
@@ -37,11 +154,51 @@ document.addEventListener('DOMContentLoaded', async () => {
       option.disabled = true;
       projectSelect.appendChild(option);
     }
+    
+    projectSelect.value = projects.some(project => project.path === selectedPath) ? selectedPath : '';
   } catch (error) {
     console.error('Error fetching projects:', error);
     showError('Failed to load projects. Please try again.');
   }
-});
+  
+  // Sync the buttons and details with the selection
+  projectSelect.dispatchEvent(new Event('change'));
+}
+
+let projectTemplates = [];
+
+// Fill the template dropdown with built-in and user templates
+async function loadTemplates() {
+  try {
+    projectTemplates = await window.electronAPI.getProjectTemplates();
+    
+    projectTemplates.forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.id;
+      option.textContent = template.source === 'user'
+        ? `${template.name} (from .templates)`
+        : template.name;
+      templateSelect.appendChild(option);
+    });
+    
+    // Most projects are novels
+    if (projectTemplates.some(template => template.id === 'novel')) {
+      templateSelect.value = 'novel';
+    }
+    updateTemplateDescription();
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+  }
+}
+
+function updateTemplateDescription() {
+  const template = projectTemplates.find(item => item.id === templateSelect.value);
+  templateDescription.textContent = template
+    ? template.description
+    : 'An empty folder with a project.json';
+}
+
+templateSelect.addEventListener('change', updateTemplateDescription);
 
 // Enable/disable the open button based on selection
 projectSelect.addEventListener('change', () => {
@@ -54,6 +211,148 @@ projectSelect.addEventListener('change', () => {
     openProjectBtn.style.opacity = '0.6';
     openProjectBtn.style.cursor = 'not-allowed';
   }
+  
+  projectActions.style.display = projectSelect.value ? 'block' : 'none';
+  projectNewNameInput.value = '';
+  loadProjectDetails(projectSelect.value);
+});
+
+// Rename the selected project
+renameProjectBtn.addEventListener('click', async () => {
+  const projectName = selectedProjectName();
+  const newName = projectNewNameInput.value.trim();
+  if (!newName) {
+    showError('Enter the new project name');
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.renameProject(projectSelect.value, newName);
+    if (result.success) {
+      await loadProjects(result.projectPath);
+      showMessage(`Renamed "${projectName}" to "${result.projectName}"`);
+    } else {
+      showError(result.message || 'Failed to rename project');
+    }
+  } catch (error) {
+    console.error('Error renaming project:', error);
+    showError('An error occurred while renaming the project');
+  }
+});
+
+// Copy the selected project under a new name
+duplicateProjectBtn.addEventListener('click', async () => {
+  const projectName = selectedProjectName();
+  const newName = projectNewNameInput.value.trim() || `${projectName} copy`;
+  
+  try {
+    const result = await window.electronAPI.duplicateProject(projectSelect.value, newName);
+    if (result.success) {
+      await loadProjects(result.projectPath);
+      showMessage(`Duplicated "${projectName}" as "${result.projectName}"`);
+    } else {
+      showError(result.message || 'Failed to duplicate project');
+    }
+  } catch (error) {
+    console.error('Error duplicating project:', error);
+    showError('An error occurred while duplicating the project');
+  }
+});
+
+// Zip the selected project into the archive folder
+archiveProjectBtn.addEventListener('click', async () => {
+  archiveProjectBtn.disabled = true;
+  
+  try {
+    const result = await window.electronAPI.archiveProject(projectSelect.value);
+    if (result.success) {
+      showMessage(`Archived to ${result.zipPath}`);
+    } else {
+      showError(result.message || 'Failed to archive project');
+    }
+  } catch (error) {
+    console.error('Error archiving project:', error);
+    showError('An error occurred while archiving the project');
+  } finally {
+    archiveProjectBtn.disabled = false;
+  }
+});
+
+// Delete the selected project; the main process asks for confirmation
+deleteProjectBtn.addEventListener('click', async () => {
+  const projectName = selectedProjectName();
+  
+  try {
+    const result = await window.electronAPI.deleteProject(projectSelect.value);
+    if (result.success) {
+      await loadProjects();
+      showMessage(`Deleted "${projectName}"`);
+    } else if (!result.cancelled) {
+      showError(result.message || 'Failed to delete project');
+    }
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    showError('An error occurred while deleting the project');
+  }
+});
+
+// Show the selected project's manifest for editing
+async function loadProjectDetails(projectPath) {
+  if (!projectPath) {
+    detailsCard.style.display = 'none';
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.getProjectManifest(projectPath);
+    if (!result.success) {
+      showError(result.message || 'Failed to load project details');
+      detailsCard.style.display = 'none';
+      return;
+    }
+    
+    const manifest = result.manifest;
+    Object.entries(manifestFields).forEach(([key, input]) => {
+      input.value = manifest[key] || '';
+    });
+    documentInputs.forEach(input => {
+      input.value = manifest.documents[input.dataset.document] || '';
+    });
+    
+    manifestStatus.textContent = result.exists
+      ? 'Tools fill in matching options from these details.'
+      : 'This project has no project.json yet. Save to create one.';
+    detailsCard.style.display = 'block';
+  } catch (error) {
+    console.error('Error loading project details:', error);
+    showError('An error occurred while loading the project details');
+  }
+}
+
+// Save the edited manifest
+saveManifestBtn.addEventListener('click', async () => {
+  const projectPath = projectSelect.value;
+  if (!projectPath) return;
+  
+  const manifest = { documents: {} };
+  Object.entries(manifestFields).forEach(([key, input]) => {
+    manifest[key] = input.value.trim();
+  });
+  documentInputs.forEach(input => {
+    manifest.documents[input.dataset.document] = input.value.trim();
+  });
+  
+  try {
+    const result = await window.electronAPI.saveProjectManifest(projectPath, manifest);
+    if (result.success) {
+      manifestStatus.textContent = 'Project details saved.';
+    } else {
+      showError(result.message || 'Failed to save project details');
+    }
+  } catch (error) {
+    console.error('Error saving project details:', error);
+    showError('An error occurred while saving the project details');
+  }
 });
 
 // Handle opening an existing project
@@ -71,7 +370,7 @@ openProjectBtn.addEventListener('click', async () => {
     if (result.success) {
       // Close the dialog and notify the parent window
       window.electronAPI.closeDialog('project-selected', { 
-        projectName: selectedProject,
+        projectName: result.projectName,
         projectPath: result.projectPath
       });
     } else {
@@ -100,7 +399,11 @@ createProjectBtn.addEventListener('click', async () => {
   }
   
   try {
-    const result = await window.electronAPI.createProject(projectName);
+    const result = await window.electronAPI.createProject(
+      projectName,
+      templateSelect.value,
+      createRootSelect.value
+    );
     
     if (result.success) {
       // Close the dialog and notify the parent window
@@ -125,7 +428,16 @@ cancelBtn.addEventListener('click', () => {
 
 // Helper function to show errors
 function showError(message) {
-  // Create a simple error notification
+  showNotification(message, '#f44336');
+}
+
+// Helper function to confirm that something worked
+function showMessage(message) {
+  showNotification(message, '#22c55e');
+}
+
+function showNotification(message, backgroundColor) {
+  // Create a simple notification
   const notification = document.createElement('div');
   notification.textContent = message;
   notification.style.cssText = `
@@ -133,7 +445,7 @@ function showError(message) {
     bottom: 20px;
     left: 50%;
     transform: translateX(-50%);
-    background-color: #f44336;
+    background-color: ${backgroundColor};
     color: white;
     padding: 12px 24px;
     border-radius: 4px;
@@ -96,15 +96,25 @@ window.electronAPI.onProjectUpdated((event) => {
       current_project_path: event.project.projectPath
     });
     
-    // Reload tools list after project change
+    // Reload tools list, pipelines, run history and spending after project change
     loadTools();
+    closePipelineEditor();
+    loadPipelines();
+    loadAuditSetup(true);
+    loadRunHistory();
+    loadUsageSummary();
   }
 });
 
+// Tools from the last load, for the pipeline editor
+let availableTools = [];
+
 // Load the list of tools
 async function loadTools() {
   try {
     const tools = await window.electronAPI.getTools();
+    availableTools = tools;
+    renderPipeline();
     
     // Clear any existing options
     toolSelect.innerHTML = '';
@@ -183,8 +193,999 @@ window.electronAPI.onApiSettingsUpdated((settings) => {
   // Could refresh any UI that depends on these settings
 });
 
+// Run history functionality
+const historySearch = document.getElementById('history-search');
+const refreshHistoryBtn = document.getElementById('refresh-history-btn');
+const historyList = document.getElementById('history-list');
+const historyDetails = document.getElementById('history-details');
+const historyDetailsTitle = document.getElementById('history-details-title');
+const historyDetailsMeta = document.getElementById('history-details-meta');
+const historyDetailsOptions = document.getElementById('history-details-options');
+const historyDetailsFiles = document.getElementById('history-details-files');
+const historyDetailsUsage = document.getElementById('history-details-usage');
+const historyDetailsLog = document.getElementById('history-details-log');
+const historyRerunBtn = document.getElementById('history-rerun-btn');
+const historyCloseBtn = document.getElementById('history-close-btn');
+
+// Run shown in the details panel
+let selectedRunId = null;
+
+// Load past runs, filtered by the search box
+async function loadRunHistory() {
+  try {
+    const query = historySearch.value.trim();
+    const runs = query
+      ? await window.electronAPI.searchRunHistory(query)
+      : await window.electronAPI.getRunHistory();
+    renderRunHistory(runs);
+  } catch (error) {
+    console.error('Error loading run history:', error);
+  }
+}
+
+// Render the list of past runs
+function renderRunHistory(runs) {
+  historyList.innerHTML = '';
+  
+  if (!runs || runs.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'history-empty';
+    empty.textContent = historySearch.value.trim()
+      ? 'No runs match your search.'
+      : 'No runs recorded for this project yet.';
+    historyList.appendChild(empty);
+    return;
+  }
+  
+  runs.forEach(run => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    
+    const info = document.createElement('div');
+    const title = document.createElement('div');
+    title.textContent = `${new Date(run.startTime).toLocaleString()} - ${run.toolName}`;
+    info.appendChild(title);
+    
+    if (run.snippet) {
+      const snippet = document.createElement('div');
+      snippet.className = 'history-snippet';
+      snippet.textContent = `...${run.snippet}...`;
+      info.appendChild(snippet);
+    }
+    
+    const status = document.createElement('span');
+    status.className = `history-status ${run.status}`;
+    status.textContent = run.exitCode !== null && run.exitCode !== undefined
+      ? `${run.status} (exit ${run.exitCode})`
+      : run.status;
+    if (run.cost !== null && run.cost !== undefined) {
+      status.textContent += ` - ${formatCost(run.cost)}`;
+    }
+    
+    item.appendChild(info);
+    item.appendChild(status);
+    item.addEventListener('click', () => showRunDetails(run.runId));
+    historyList.appendChild(item);
+  });
+}
+
+// Show the options, files and log of one run
+async function showRunDetails(runId) {
+  try {
+    const run = await window.electronAPI.getRunDetails(runId);
+    if (!run) {
+      alert('This run could not be found in the history.');
+      return;
+    }
+    
+    selectedRunId = runId;
+    historyDetailsTitle.textContent = run.toolName;
+    
+    const ended = run.endTime ? new Date(run.endTime).toLocaleString() : 'still running';
+    historyDetailsMeta.textContent =
+      `Started: ${new Date(run.startTime).toLocaleString()} | Ended: ${ended} | Status: ${run.status}` +
+      (run.exitCode !== null ? ` | Exit code: ${run.exitCode}` : '');
+    
+    historyDetailsOptions.textContent = Object.entries(run.optionValues || {})
+      .map(([key, value]) => `${key}: ${value}`)
+      .join('\n') || '(no options)';
+    
+    historyDetailsUsage.textContent = run.usage
+      ? `${run.usage.requests} request(s) to ${run.usage.models.join(', ')}: ` +
+        `${run.usage.input_tokens.toLocaleString()} input and ${run.usage.output_tokens.toLocaleString()} output tokens ` +
+        `(about ${run.usage.thinking_tokens.toLocaleString()} thinking), ` +
+        `${run.usage.cache_read_input_tokens.toLocaleString()} read from cache, estimated cost ${formatCost(run.usage.cost)}`
+      : 'No usage recorded';
+    
+    historyDetailsFiles.innerHTML = '';
+    if (run.createdFiles && run.createdFiles.length > 0) {
+      run.createdFiles.forEach(filePath => {
+        const fileBtn = document.createElement('button');
+        fileBtn.textContent = filePath;
+        fileBtn.addEventListener('click', async () => {
+          const result = await window.electronAPI.openRunFile(filePath);
+          if (!result.success) {
+            alert(result.message || 'Could not open file.');
+          }
+        });
+        historyDetailsFiles.appendChild(fileBtn);
+      });
+    } else {
+      historyDetailsFiles.textContent = 'None';
+    }
+    
+    historyDetailsLog.textContent = run.output || run.stdout || run.error || '(no output)';
+    historyDetails.style.display = 'block';
+  } catch (error) {
+    console.error('Error loading run details:', error);
+  }
+}
+
+// Search as the user types
+let historySearchTimer = null;
+historySearch.addEventListener('input', () => {
+  clearTimeout(historySearchTimer);
+  historySearchTimer = setTimeout(loadRunHistory, 300);
+});
+
+refreshHistoryBtn.addEventListener('click', () => {
+  loadRunHistory();
+});
+
+historyCloseBtn.addEventListener('click', () => {
+  historyDetails.style.display = 'none';
+  selectedRunId = null;
+});
+
+// Re-run the selected run with the exact same options
+historyRerunBtn.addEventListener('click', async () => {
+  if (!selectedRunId) return;
+  
+  const result = await window.electronAPI.rerunFromHistory(selectedRunId);
+  if (!result.success) {
+    alert(result.message || 'Could not re-run this tool.');
+  }
+});
+
+// Refresh the list and spending when a run starts or finishes
+window.electronAPI.onRunHistoryUpdated(() => {
+  loadRunHistory();
+  loadUsageSummary();
+});
+
+// Usage and spending
+const usageMonth = document.getElementById('usage-month');
+const usageBudgetInput = document.getElementById('usage-budget-input');
+const usageBudgetSaveBtn = document.getElementById('usage-budget-save-btn');
+const usageAllProjects = document.getElementById('usage-all-projects');
+const refreshUsageBtn = document.getElementById('refresh-usage-btn');
+const usageByProject = document.getElementById('usage-by-project');
+const usageByTool = document.getElementById('usage-by-tool');
+const usageByDay = document.getElementById('usage-by-day');
+const usageByToolTitle = document.getElementById('usage-by-tool-title');
+const usageByDayTitle = document.getElementById('usage-by-day-title');
+
+function formatCost(cost) {
+  return `$${(cost || 0).toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+async function loadUsageSummary() {
+  try {
+    const result = await window.electronAPI.getUsageSummary(usageAllProjects.checked);
+    if (!result.success) {
+      usageMonth.textContent = `Could not load usage: ${result.message}`;
+      return;
+    }
+    renderUsageSummary(result.summary);
+  } catch (error) {
+    console.error('Error loading usage summary:', error);
+  }
+}
+
+function renderUsageSummary(summary) {
+  const { spent, budget, remaining } = summary.month;
+  usageMonth.classList.toggle('over-budget', budget > 0 && remaining < 0);
+  usageMonth.textContent = budget > 0
+    ? `This month: ${formatCost(spent)} of ${formatCost(budget)} budget (${remaining >= 0 ? `${formatCost(remaining)} left` : `${formatCost(-remaining)} over`})`
+    : `This month: ${formatCost(spent)} (no budget set)`;
+  
+  if (document.activeElement !== usageBudgetInput) {
+    usageBudgetInput.value = budget || 0;
+  }
+  
+  const scope = usageAllProjects.checked ? 'all projects' : 'this project';
+  usageByToolTitle.textContent = `By tool (${scope})`;
+  usageByDayTitle.textContent = `By day (${scope}, last 30 days)`;
+  
+  renderUsageTable(usageByProject, 'Project', summary.byProject);
+  renderUsageTable(usageByTool, 'Tool', summary.byTool);
+  renderUsageTable(usageByDay, 'Day', summary.byDay);
+}
+
+function renderUsageTable(table, label, rows) {
+  table.innerHTML = '';
+  
+  const header = table.insertRow();
+  [label, 'Runs', 'Input tokens', 'Output tokens', 'Cost'].forEach((text, index) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    if (index > 0) th.className = 'number';
+    header.appendChild(th);
+  });
+  
+  if (rows.length === 0) {
+    const cell = table.insertRow().insertCell();
+    cell.colSpan = 5;
+    cell.className = 'history-empty';
+    cell.textContent = 'No usage recorded yet.';
+    return;
+  }
+  
+  rows.forEach(row => {
+    const tr = table.insertRow();
+    [row.key, row.runs, row.input_tokens.toLocaleString(), row.output_tokens.toLocaleString(), formatCost(row.cost)]
+      .forEach((text, index) => {
+        const cell = tr.insertCell();
+        cell.textContent = text;
+        if (index > 0) cell.className = 'number';
+      });
+  });
+}
+
+usageBudgetSaveBtn.addEventListener('click', async () => {
+  const result = await window.electronAPI.setMonthlyBudget(parseFloat(usageBudgetInput.value) || 0);
+  if (!result.success) {
+    alert(result.message || 'Could not save the budget.');
+    return;
+  }
+  loadUsageSummary();
+});
+
+usageAllProjects.addEventListener('change', loadUsageSummary);
+refreshUsageBtn.addEventListener('click', loadUsageSummary);
+
+// Jobs: runs from all tool windows, queued, running and finished
+const jobsList = document.getElementById('jobs-list');
+const jobsLimitInput = document.getElementById('jobs-limit-input');
+const jobsLimitSaveBtn = document.getElementById('jobs-limit-save-btn');
+const clearJobsBtn = document.getElementById('clear-jobs-btn');
+const jobDetails = document.getElementById('job-details');
+const jobDetailsTitle = document.getElementById('job-details-title');
+const jobDetailsCloseBtn = document.getElementById('job-details-close-btn');
+const jobOutput = document.getElementById('job-output');
+
+// Jobs by run ID, in the order they were queued
+const jobs = new Map();
+
+// Job whose output is shown
+let selectedJobId = null;
+
+async function loadJobs() {
+  try {
+    const result = await window.electronAPI.getJobs();
+    if (!result.success) return;
+    
+    jobs.clear();
+    result.jobs.forEach(job => jobs.set(job.runId, job));
+    if (document.activeElement !== jobsLimitInput) {
+      jobsLimitInput.value = result.maxConcurrent;
+    }
+    renderJobs();
+  } catch (error) {
+    console.error('Error loading jobs:', error);
+  }
+}
+
+// One line about where a job is: waiting, its progress, or how it ended
+function describeJob(job) {
+  const project = job.projectName ? `${job.projectName} - ` : '';
+  
+  if (job.status === 'queued') {
+    return `${project}waiting for a free slot`;
+  }
+  
+  if (job.stopping) {
+    return `${project}stopping, saving partial output`;
+  }
+  
+  if (job.status === 'running') {
+    const progress = job.progress || {};
+    const parts = [];
+    if (progress.chapter) parts.push(`chapter ${progress.chapter}`);
+    if (progress.message || progress.phase) parts.push(progress.message || progress.phase);
+    if (progress.percent !== undefined) parts.push(`${progress.percent}%`);
+    return `${project}${parts.join(', ') || 'running'}`;
+  }
+  
+  const parts = [`finished ${new Date(job.finishedAt).toLocaleTimeString()}`];
+  if (job.exitCode !== null) parts.push(`exit ${job.exitCode}`);
+  if (job.status === 'cancelled' && job.createdFiles.length > 0) {
+    parts.push(`${job.createdFiles.length} partial file(s) saved`);
+  }
+  if (job.cost !== null) parts.push(formatCost(job.cost));
+  if (job.error) parts.push(job.error);
+  return `${project}${parts.join(', ')}`;
+}
+
+function renderJobs() {
+  jobsList.innerHTML = '';
+  
+  if (jobs.size === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'history-empty';
+    empty.textContent = 'No jobs yet. Runs from every tool window are listed here.';
+    jobsList.appendChild(empty);
+    return;
+  }
+  
+  jobs.forEach(job => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    
+    const info = document.createElement('div');
+    const title = document.createElement('div');
+    title.textContent = `${new Date(job.queuedAt).toLocaleTimeString()} - ${job.title}`;
+    info.appendChild(title);
+    
+    const detail = document.createElement('div');
+    detail.className = 'history-snippet';
+    detail.textContent = describeJob(job);
+    info.appendChild(detail);
+    
+    const actions = document.createElement('div');
+    actions.className = 'job-actions';
+    
+    const status = document.createElement('span');
+    status.className = `history-status ${job.status}`;
+    status.textContent = job.status;
+    actions.appendChild(status);
+    
+    if ((job.status === 'queued' || job.status === 'running') && !job.stopping) {
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'text-button';
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        cancelJob(job);
+      });
+      actions.appendChild(cancelBtn);
+    }
+    
+    item.appendChild(info);
+    item.appendChild(actions);
+    item.addEventListener('click', () => showJobOutput(job.runId));
+    jobsList.appendChild(item);
+  });
+}
+
+async function cancelJob(job) {
+  if (job.status === 'running' && !confirm(`Stop ${job.title}? It is still running.`)) {
+    return;
+  }
+  
+  const result = await window.electronAPI.cancelJob(job.runId);
+  if (!result.success) {
+    alert(result.message || 'Could not cancel this job.');
+  }
+}
+
+// Show a job's output so far; new output is added as it arrives
+async function showJobOutput(runId) {
+  const job = jobs.get(runId);
+  if (!job) return;
+  
+  const result = await window.electronAPI.getJobOutput(runId);
+  if (!result.success) {
+    alert(result.message || 'Could not load the output of this job.');
+    return;
+  }
+  
+  selectedJobId = runId;
+  jobDetailsTitle.textContent = job.title;
+  jobOutput.textContent = result.output || (job.status === 'queued' ? 'Waiting for a free slot...' : '');
+  jobOutput.scrollTop = jobOutput.scrollHeight;
+  jobDetails.style.display = 'block';
+}
+
+window.electronAPI.onJobsUpdated((job) => {
+  jobs.set(job.runId, job);
+  renderJobs();
+  
+  // Clear the waiting message once the job starts
+  if (job.runId === selectedJobId && job.status === 'running') {
+    jobOutput.textContent = '';
+  }
+});
+
+window.electronAPI.onJobProgress(({ runId, progress }) => {
+  const job = jobs.get(runId);
+  if (!job) return;
+  job.progress = progress;
+  renderJobs();
+});
+
+window.electronAPI.onJobOutput(({ runId, text }) => {
+  if (runId !== selectedJobId) return;
+  
+  const atBottom = jobOutput.scrollTop + jobOutput.clientHeight >= jobOutput.scrollHeight - 5;
+  jobOutput.textContent += text;
+  if (atBottom) {
+    jobOutput.scrollTop = jobOutput.scrollHeight;
+  }
+});
+
+jobsLimitSaveBtn.addEventListener('click', async () => {
+  const result = await window.electronAPI.setMaxConcurrentJobs(parseInt(jobsLimitInput.value, 10));
+  if (!result.success) {
+    alert(result.message || 'Could not save the job limit.');
+  }
+  jobsLimitInput.value = '';
+  loadJobs();
+});
+
+clearJobsBtn.addEventListener('click', async () => {
+  await window.electronAPI.clearFinishedJobs();
+  await loadJobs();
+  if (selectedJobId && !jobs.has(selectedJobId)) {
+    selectedJobId = null;
+    jobDetails.style.display = 'none';
+  }
+});
+
+jobDetailsCloseBtn.addEventListener('click', () => {
+  selectedJobId = null;
+  jobDetails.style.display = 'none';
+});
+
+// Pipelines: named sequences of tools for the current project
+const pipelineSelect = document.getElementById('pipeline-select');
+const refreshPipelinesBtn = document.getElementById('refresh-pipelines-btn');
+const pipelineRunBtn = document.getElementById('pipeline-run-btn');
+const pipelineResumeBtn = document.getElementById('pipeline-resume-btn');
+const pipelineStopBtn = document.getElementById('pipeline-stop-btn');
+const pipelineEditBtn = document.getElementById('pipeline-edit-btn');
+const pipelineStatus = document.getElementById('pipeline-status');
+const pipelineRunSteps = document.getElementById('pipeline-run-steps');
+const pipelineEditor = document.getElementById('pipeline-editor');
+const pipelineNameInput = document.getElementById('pipeline-name');
+const pipelineEditorSteps = document.getElementById('pipeline-editor-steps');
+const pipelineAddStepBtn = document.getElementById('pipeline-add-step-btn');
+const pipelineSaveBtn = document.getElementById('pipeline-save-btn');
+const pipelineDeleteBtn = document.getElementById('pipeline-delete-btn');
+const pipelineCancelBtn = document.getElementById('pipeline-cancel-btn');
+
+// Pipelines from the last load
+let pipelineList = [];
+
+// Pipeline open in the editor; null for a new one
+let editingPipeline = null;
+
+// Load the project's pipelines, keeping the selection if it still exists
+async function loadPipelines(selectName = pipelineSelect.value) {
+  try {
+    const result = await window.electronAPI.getPipelines();
+    pipelineList = result.success ? result.pipelines : [];
+  } catch (error) {
+    console.error('Error loading pipelines:', error);
+    pipelineList = [];
+  }
+  
+  pipelineSelect.innerHTML = '';
+  pipelineList.forEach(pipeline => {
+    const option = document.createElement('option');
+    option.value = pipeline.name;
+    option.textContent = `${pipeline.name} (${pipeline.steps.length} step${pipeline.steps.length === 1 ? '' : 's'})`;
+    pipelineSelect.appendChild(option);
+  });
+  
+  const newOption = document.createElement('option');
+  newOption.value = '';
+  newOption.textContent = 'New pipeline...';
+  pipelineSelect.appendChild(newOption);
+  
+  // Stay on "New pipeline..." while one is being created
+  const creating = selectName === '' && pipelineEditor.style.display !== 'none' && !editingPipeline;
+  pipelineSelect.value = creating || pipelineList.some(pipeline => pipeline.name === selectName)
+    ? selectName
+    : (pipelineList.length > 0 ? pipelineList[0].name : '');
+  renderPipeline();
+}
+
+function getSelectedPipeline() {
+  return pipelineList.find(pipeline => pipeline.name === pipelineSelect.value) || null;
+}
+
+function getToolTitle(toolName) {
+  const tool = availableTools.find(item => item.name === toolName);
+  return tool ? tool.title : toolName;
+}
+
+// One line about a pipeline's last run
+function describePipelineRun(pipeline) {
+  const lastRun = pipeline.lastRun;
+  const total = pipeline.steps.length;
+  
+  if (!lastRun) {
+    return 'Not run yet.';
+  }
+  if (pipeline.running) {
+    const current = lastRun.steps.findIndex(step => step.status === 'running' || step.status === 'pending');
+    return `Running step ${current + 1} of ${total}...`;
+  }
+  
+  const finished = lastRun.finishedAt ? new Date(lastRun.finishedAt).toLocaleString() : '';
+  switch (lastRun.status) {
+    case 'completed':
+      return `Completed ${finished}${lastRun.resumedFrom ? `, resumed from step ${lastRun.resumedFrom}` : ''}.`;
+    case 'failed':
+      return `Failed at step ${lastRun.failedStep + 1} ${finished}: ${lastRun.error}`;
+    case 'stopped':
+      return `Stopped at step ${lastRun.failedStep + 1} ${finished}.`;
+    default:
+      return 'The last run was interrupted. Resume it to continue.';
+  }
+}
+
+// Show the selected pipeline's steps and how its last run went
+function renderPipeline() {
+  const pipeline = getSelectedPipeline();
+  pipelineRunSteps.innerHTML = '';
+  
+  if (!pipeline) {
+    pipelineStatus.classList.remove('failed');
+    pipelineStatus.textContent = pipelineList.length === 0
+      ? 'No pipelines for this project yet. Click New to create one.'
+      : '';
+    pipelineRunBtn.disabled = true;
+    pipelineResumeBtn.disabled = true;
+    pipelineStopBtn.disabled = true;
+    pipelineEditBtn.textContent = 'New';
+    return;
+  }
+  
+  const lastRun = pipeline.lastRun;
+  pipelineEditBtn.textContent = 'Edit';
+  pipelineRunBtn.disabled = pipeline.running;
+  pipelineResumeBtn.disabled = pipeline.running || !lastRun || lastRun.status === 'completed';
+  pipelineStopBtn.disabled = !pipeline.running;
+  pipelineStatus.classList.toggle('failed', !pipeline.running && !!lastRun && lastRun.status === 'failed');
+  pipelineStatus.textContent = describePipelineRun(pipeline);
+  
+  pipeline.steps.forEach((step, index) => {
+    const stepRun = lastRun && lastRun.steps[index] && lastRun.steps[index].tool === step.tool
+      ? lastRun.steps[index]
+      : null;
+    
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    
+    const info = document.createElement('div');
+    const title = document.createElement('div');
+    title.textContent = `${index + 1}. ${getToolTitle(step.tool)}${step.preset ? ` (preset "${step.preset}")` : ''}`;
+    info.appendChild(title);
+    
+    if (stepRun) {
+      const details = [];
+      Object.entries(stepRun.inputs || {}).forEach(([option, file]) => {
+        details.push(`${option} from ${file.split(/[\\/]/).pop()}`);
+      });
+      if (stepRun.createdFiles && stepRun.createdFiles.length > 0) {
+        details.push(`created ${stepRun.createdFiles.map(file => file.split(/[\\/]/).pop()).join(', ')}`);
+      }
+      if (stepRun.error) details.push(stepRun.error);
+      
+      if (details.length > 0) {
+        const snippet = document.createElement('div');
+        snippet.className = 'history-snippet';
+        snippet.textContent = details.join('; ');
+        info.appendChild(snippet);
+      }
+    }
+    
+    const status = document.createElement('span');
+    const stepStatus = stepRun ? stepRun.status : 'pending';
+    status.className = `history-status ${stepStatus}`;
+    status.textContent = stepStatus;
+    
+    item.appendChild(info);
+    item.appendChild(status);
+    pipelineRunSteps.appendChild(item);
+  });
+}
+
+// Open the editor for a pipeline, or for a new one
+function openPipelineEditor(pipeline) {
+  editingPipeline = pipeline;
+  pipelineNameInput.value = pipeline ? pipeline.name : '';
+  pipelineEditorSteps.innerHTML = '';
+  
+  const steps = pipeline ? pipeline.steps : [{ tool: availableTools.length > 0 ? availableTools[0].name : '', preset: null }];
+  steps.forEach(addEditorStep);
+  
+  pipelineDeleteBtn.style.display = pipeline ? '' : 'none';
+  pipelineEditor.style.display = 'block';
+}
+
+function closePipelineEditor() {
+  editingPipeline = null;
+  pipelineEditor.style.display = 'none';
+}
+
+// Add a step row to the editor: tool, preset, and buttons to move or remove it
+function addEditorStep(step) {
+  const row = document.createElement('div');
+  row.className = 'pipeline-step';
+  
+  const number = document.createElement('span');
+  number.className = 'pipeline-step-number';
+  
+  const toolWrapper = document.createElement('div');
+  toolWrapper.className = 'select-wrapper';
+  const toolSelectInput = document.createElement('select');
+  toolSelectInput.className = 'pipeline-tool';
+  availableTools.forEach(tool => {
+    const option = document.createElement('option');
+    option.value = tool.name;
+    option.textContent = tool.title;
+    toolSelectInput.appendChild(option);
+  });
+  toolSelectInput.value = step.tool;
+  toolWrapper.appendChild(toolSelectInput);
+  
+  const presetWrapper = document.createElement('div');
+  presetWrapper.className = 'select-wrapper';
+  const presetSelectInput = document.createElement('select');
+  presetSelectInput.className = 'pipeline-preset';
+  presetWrapper.appendChild(presetSelectInput);
+  loadStepPresets(presetSelectInput, toolSelectInput.value, step.preset);
+  
+  toolSelectInput.addEventListener('change', () => {
+    loadStepPresets(presetSelectInput, toolSelectInput.value, null);
+  });
+  
+  const upBtn = document.createElement('button');
+  upBtn.className = 'text-button';
+  upBtn.textContent = 'Up';
+  upBtn.addEventListener('click', () => {
+    if (row.previousElementSibling) {
+      pipelineEditorSteps.insertBefore(row, row.previousElementSibling);
+      renumberEditorSteps();
+    }
+  });
+  
+  const downBtn = document.createElement('button');
+  downBtn.className = 'text-button';
+  downBtn.textContent = 'Down';
+  downBtn.addEventListener('click', () => {
+    if (row.nextElementSibling) {
+      pipelineEditorSteps.insertBefore(row.nextElementSibling, row);
+      renumberEditorSteps();
+    }
+  });
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'text-button';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', () => {
+    row.remove();
+    renumberEditorSteps();
+  });
+  
+  [number, toolWrapper, presetWrapper, upBtn, downBtn, removeBtn].forEach(element => row.appendChild(element));
+  pipelineEditorSteps.appendChild(row);
+  renumberEditorSteps();
+}
+
+function renumberEditorSteps() {
+  [...pipelineEditorSteps.children].forEach((row, index) => {
+    row.querySelector('.pipeline-step-number').textContent = `${index + 1}.`;
+  });
+}
+
+// Fill a step's preset list with the tool's presets for this project
+async function loadStepPresets(select, toolName, selected) {
+  select.innerHTML = '';
+  const defaults = document.createElement('option');
+  defaults.value = '';
+  defaults.textContent = 'Tool defaults';
+  select.appendChild(defaults);
+  
+  try {
+    const result = await window.electronAPI.getToolPresets(toolName);
+    (result.presets || []).forEach(preset => {
+      const option = document.createElement('option');
+      option.value = preset.name;
+      option.textContent = `Preset: ${preset.name}`;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Error loading presets:', error);
+  }
+  
+  // Keep a preset that has since been deleted, so saving doesn't drop it silently
+  if (selected && ![...select.options].some(option => option.value === selected)) {
+    const missing = document.createElement('option');
+    missing.value = selected;
+    missing.textContent = `Preset: ${selected} (missing)`;
+    select.appendChild(missing);
+  }
+  select.value = selected || '';
+}
+
+pipelineSelect.addEventListener('change', () => {
+  renderPipeline();
+  if (pipelineSelect.value === '') {
+    openPipelineEditor(null);
+  } else {
+    closePipelineEditor();
+  }
+});
+
+pipelineEditBtn.addEventListener('click', () => {
+  openPipelineEditor(getSelectedPipeline());
+});
+
+pipelineAddStepBtn.addEventListener('click', () => {
+  const rows = pipelineEditorSteps.querySelectorAll('.pipeline-tool');
+  const lastTool = rows.length > 0 ? rows[rows.length - 1].value : '';
+  addEditorStep({ tool: lastTool || (availableTools.length > 0 ? availableTools[0].name : ''), preset: null });
+});
+
+pipelineSaveBtn.addEventListener('click', async () => {
+  const steps = [...pipelineEditorSteps.children].map(row => ({
+    tool: row.querySelector('.pipeline-tool').value,
+    preset: row.querySelector('.pipeline-preset').value || null
+  }));
+  
+  const result = await window.electronAPI.savePipeline(
+    pipelineNameInput.value,
+    steps,
+    editingPipeline ? editingPipeline.name : null
+  );
+  if (!result.success) {
+    alert(result.message || 'Could not save the pipeline.');
+    return;
+  }
+  
+  closePipelineEditor();
+  loadPipelines(result.pipeline.name);
+});
+
+pipelineDeleteBtn.addEventListener('click', async () => {
+  if (!editingPipeline || !confirm(`Delete the pipeline "${editingPipeline.name}"?`)) return;
+  
+  const result = await window.electronAPI.deletePipeline(editingPipeline.name);
+  if (!result.success) {
+    alert(result.message || 'Could not delete the pipeline.');
+    return;
+  }
+  
+  closePipelineEditor();
+  loadPipelines();
+});
+
+pipelineCancelBtn.addEventListener('click', () => {
+  closePipelineEditor();
+  if (pipelineSelect.value === '' && pipelineList.length > 0) {
+    pipelineSelect.value = pipelineList[0].name;
+    renderPipeline();
+  }
+});
+
+// Run the selected pipeline from the start, or resume it from the step that
+// failed or was stopped
+async function runSelectedPipeline(resume) {
+  const pipeline = getSelectedPipeline();
+  if (!pipeline) return;
+  
+  const result = await window.electronAPI.runPipeline(pipeline.name, resume);
+  if (!result.success && !result.cancelled) {
+    alert(result.message || 'Could not run the pipeline.');
+  }
+  loadPipelines(pipeline.name);
+}
+
+pipelineRunBtn.addEventListener('click', () => runSelectedPipeline(false));
+pipelineResumeBtn.addEventListener('click', () => runSelectedPipeline(true));
+
+pipelineStopBtn.addEventListener('click', async () => {
+  const pipeline = getSelectedPipeline();
+  if (!pipeline || !confirm(`Stop the pipeline "${pipeline.name}"? Its current step is cancelled.`)) return;
+  
+  const result = await window.electronAPI.stopPipeline(pipeline.name);
+  if (!result.success) {
+    alert(result.message || 'Could not stop the pipeline.');
+  }
+});
+
+refreshPipelinesBtn.addEventListener('click', () => loadPipelines());
+
+// Refresh the panel as the steps of a running pipeline finish
+window.electronAPI.onPipelineUpdated(() => loadPipelines());
+
+// Full manuscript audit
+const auditManuscriptInput = document.getElementById('audit-manuscript');
+const auditOutlineInput = document.getElementById('audit-outline');
+const auditWorldInput = document.getElementById('audit-world');
+const auditAnalyzers = document.getElementById('audit-analyzers');
+const auditFormatSelect = document.getElementById('audit-format');
+const auditRunBtn = document.getElementById('audit-run-btn');
+const auditCancelBtn = document.getElementById('audit-cancel-btn');
+const auditOpenBtn = document.getElementById('audit-open-btn');
+const auditStatus = document.getElementById('audit-status');
+const auditSteps = document.getElementById('audit-steps');
+const refreshAuditBtn = document.getElementById('refresh-audit-btn');
+
+// The project's current or last audit
+let currentAudit = null;
+
+// Load the analyzers and the project's documents; keeps the documents the
+// user already chose unless resetDocuments is set, e.g. for a new project
+async function loadAuditSetup(resetDocuments = false) {
+  try {
+    const result = await window.electronAPI.getAuditSetup();
+    if (!result.success) {
+      auditAnalyzers.innerHTML = '';
+      auditStatus.textContent = result.message;
+      auditRunBtn.disabled = true;
+      return;
+    }
+    
+    const checked = new Set(
+      [...auditAnalyzers.querySelectorAll('input:checked')].map(input => input.value)
+    );
+    const firstLoad = auditAnalyzers.children.length === 0;
+    
+    auditAnalyzers.innerHTML = '';
+    result.analyzers.forEach(analyzer => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = analyzer.name;
+      checkbox.checked = firstLoad || checked.has(analyzer.name);
+      label.appendChild(checkbox);
+      
+      const uses = [];
+      if (analyzer.outline) uses.push(`outline ${analyzer.outline}`);
+      if (analyzer.world) uses.push(`world ${analyzer.world}`);
+      label.appendChild(document.createTextNode(
+        uses.length > 0 ? `${analyzer.title} (${uses.join(', ')})` : analyzer.title
+      ));
+      label.title = analyzer.name;
+      auditAnalyzers.appendChild(label);
+    });
+    
+    // Fill in the manifest's documents where nothing was chosen yet
+    if (resetDocuments || !auditManuscriptInput.value) auditManuscriptInput.value = result.documents.manuscript;
+    if (resetDocuments || !auditOutlineInput.value) auditOutlineInput.value = result.documents.outline;
+    if (resetDocuments || !auditWorldInput.value) auditWorldInput.value = result.documents.world;
+    
+    renderAudit(result.audit);
+  } catch (error) {
+    console.error('Error loading audit setup:', error);
+  }
+}
+
+function renderAudit(audit) {
+  currentAudit = audit;
+  const running = !!audit && audit.status === 'running';
+  auditRunBtn.disabled = running;
+  auditCancelBtn.disabled = !running;
+  auditOpenBtn.disabled = !audit || !audit.bundleFile;
+  auditSteps.innerHTML = '';
+  auditStatus.classList.toggle('failed', !!audit && audit.status === 'failed');
+  
+  if (!audit) {
+    auditStatus.textContent = '';
+    return;
+  }
+  
+  const finished = audit.steps.filter(step => !['pending', 'queued', 'running'].includes(step.status)).length;
+  switch (audit.status) {
+    case 'running':
+      auditStatus.textContent = `Running: ${finished} of ${audit.steps.length} analyzers finished. Follow them in the Jobs panel.`;
+      break;
+    case 'completed':
+    case 'cancelled': {
+      const issues = audit.steps.reduce((sum, step) => sum + (step.issues || 0), 0);
+      auditStatus.textContent = `${audit.status === 'cancelled' ? 'Cancelled' : 'Finished'} ` +
+        `${new Date(audit.finishedAt).toLocaleString()}: ${issues} issues found. Report: ${audit.bundleFile}`;
+      break;
+    }
+    default:
+      auditStatus.textContent = `Failed: ${audit.error}`;
+  }
+  
+  audit.steps.forEach(step => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    
+    const info = document.createElement('div');
+    const title = document.createElement('div');
+    title.textContent = step.title;
+    info.appendChild(title);
+    if (step.error) {
+      const snippet = document.createElement('div');
+      snippet.className = 'history-snippet';
+      snippet.textContent = step.error;
+      info.appendChild(snippet);
+    }
+    
+    const status = document.createElement('span');
+    status.className = `history-status ${step.status}`;
+    status.textContent = step.issues !== null && step.issues !== undefined
+      ? `${step.issues} issue${step.issues === 1 ? '' : 's'}`
+      : step.status;
+    
+    item.appendChild(info);
+    item.appendChild(status);
+    auditSteps.appendChild(item);
+  });
+}
+
+document.querySelectorAll('.audit-browse-btn').forEach(button => {
+  button.addEventListener('click', async () => {
+    const input = document.getElementById(button.dataset.target);
+    const filePath = await window.electronAPI.selectFile({
+      title: 'Select a document for the audit',
+      defaultPath: input.value || undefined
+    });
+    if (filePath) input.value = filePath;
+  });
+});
+
+document.getElementById('audit-select-all-btn').addEventListener('click', () => {
+  auditAnalyzers.querySelectorAll('input').forEach(input => { input.checked = true; });
+});
+
+document.getElementById('audit-select-none-btn').addEventListener('click', () => {
+  auditAnalyzers.querySelectorAll('input').forEach(input => { input.checked = false; });
+});
+
+auditRunBtn.addEventListener('click', async () => {
+  const toolNames = [...auditAnalyzers.querySelectorAll('input:checked')].map(input => input.value);
+  const result = await window.electronAPI.startAudit(toolNames, {
+    manuscript: auditManuscriptInput.value.trim(),
+    outline: auditOutlineInput.value.trim(),
+    world: auditWorldInput.value.trim()
+  }, auditFormatSelect.value);
+  
+  if (!result.success) {
+    if (!result.cancelled) alert(result.message || 'Could not start the audit.');
+    return;
+  }
+  renderAudit(result.audit);
+});
+
+auditCancelBtn.addEventListener('click', async () => {
+  if (!confirm('Cancel the analyzers that have not finished? The report will cover the others.')) return;
+  
+  const result = await window.electronAPI.cancelAudit();
+  if (!result.success) {
+    alert(result.message || 'Could not cancel the audit.');
+  }
+});
+
+auditOpenBtn.addEventListener('click', async () => {
+  if (!currentAudit || !currentAudit.bundleFile) return;
+  
+  const result = await window.electronAPI.openRunFile(currentAudit.bundleFile);
+  if (!result.success) {
+    alert(result.message || 'Could not open the report.');
+  }
+});
+
+refreshAuditBtn.addEventListener('click', () => loadAuditSetup());
+
+window.electronAPI.onAuditUpdated(renderAudit);
+
 // Initialize when the page loads
 document.addEventListener('DOMContentLoaded', () => {
   loadProjectInfo();
   loadTools();
+  loadRunHistory();
+  loadUsageSummary();
+  loadJobs();
+  loadPipelines();
+  loadAuditSetup();
 });
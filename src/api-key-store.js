@@ -0,0 +1,123 @@
+// src/api-key-store.js
+// Keeps the Anthropic API key in the app's user data folder, encrypted with
+// Electron's safeStorage where the OS supports it. Without OS encryption the
+// key is kept in a file only the current user can read. A key saved in the
+// app takes precedence over ANTHROPIC_API_KEY from the environment.
+const fs = require('fs');
+const path = require('path');
+const { app, safeStorage } = require('electron');
+
+const KEY_FILE = 'api-key.json';
+
+// Anthropic keys look like sk-ant-api03-...
+const KEY_PATTERN = /^sk-ant-[A-Za-z0-9_-]{20,}$/;
+
+class ApiKeyStore {
+  getKeyFile() {
+    return path.join(app.getPath('userData'), KEY_FILE);
+  }
+
+  isEncryptionAvailable() {
+    try {
+      return safeStorage.isEncryptionAvailable();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Error message for a badly formed key, or null if it looks right
+  validateFormat(key) {
+    const value = (key || '').trim();
+    if (!value) {
+      return 'API key is required';
+    }
+    if (/\s/.test(value)) {
+      return 'API key must not contain spaces';
+    }
+    if (!KEY_PATTERN.test(value)) {
+      return 'API key should start with "sk-ant-" followed by letters, digits, "-" or "_"';
+    }
+    return null;
+  }
+
+  // Key saved in the app, or null
+  loadStoredKey() {
+    const keyFile = this.getKeyFile();
+    if (!fs.existsSync(keyFile)) return null;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+      if (data.encrypted) {
+        return safeStorage.decryptString(Buffer.from(data.value, 'base64'));
+      }
+      return data.value || null;
+    } catch (error) {
+      console.error('Error reading stored API key:', error);
+      return null;
+    }
+  }
+
+  saveKey(key) {
+    const error = this.validateFormat(key);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const value = key.trim();
+    const encrypted = this.isEncryptionAvailable();
+    const data = encrypted
+      ? { encrypted: true, value: safeStorage.encryptString(value).toString('base64') }
+      : { encrypted: false, value };
+
+    const keyFile = this.getKeyFile();
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(keyFile, JSON.stringify(data), { encoding: 'utf8', mode: 0o600 });
+    // The mode only applies to new files
+    fs.chmodSync(keyFile, 0o600);
+
+    return this.getStatus();
+  }
+
+  clearKey() {
+    const keyFile = this.getKeyFile();
+    if (fs.existsSync(keyFile)) {
+      fs.unlinkSync(keyFile);
+    }
+    return this.getStatus();
+  }
+
+  // Key tools should use: the app's own, else the environment's
+  getApiKey() {
+    return this.loadStoredKey() || process.env.ANTHROPIC_API_KEY || null;
+  }
+
+  // Where the key comes from, without revealing it
+  getStatus() {
+    const stored = this.loadStoredKey();
+    const key = stored || process.env.ANTHROPIC_API_KEY || null;
+
+    return {
+      hasKey: !!key,
+      source: stored ? 'app' : (key ? 'environment' : null),
+      encrypted: stored ? this.isStoredKeyEncrypted() : false,
+      encryptionAvailable: this.isEncryptionAvailable(),
+      maskedKey: key ? this.mask(key) : null
+    };
+  }
+
+  isStoredKeyEncrypted() {
+    try {
+      return JSON.parse(fs.readFileSync(this.getKeyFile(), 'utf8')).encrypted === true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // e.g. sk-ant-...Wx9z
+  mask(key) {
+    return key.length > 12 ? `${key.slice(0, 7)}...${key.slice(-4)}` : '****';
+  }
+}
+
+// Export a singleton instance
+module.exports = new ApiKeyStore();
@@ -0,0 +1,178 @@
+// src/audit-bundle.js
+// Merges the reports of a manuscript audit into one file: a summary of the
+// issues each analyzer found, a table of contents and every report in full.
+// Written as HTML or Markdown next to the reports.
+const fs = require('fs');
+const path = require('path');
+
+// Analyzers end their reports with this line (see tools/analyzer-framework.js)
+const ISSUE_COUNT_PATTERN = /ISSUES FOUND:\s*(\d+)/gi;
+
+const BUNDLE_FORMATS = ['html', 'markdown'];
+
+// Issue count from a report's last "ISSUES FOUND: N" line, or null
+function countIssues(text) {
+  const matches = [...(text || '').matchAll(ISSUE_COUNT_PATTERN)];
+  return matches.length > 0 ? parseInt(matches[matches.length - 1][1], 10) : null;
+}
+
+// Anchor for a report, e.g. "rhythm-analyzer"
+function anchorFor(title, index) {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug || `report-${index + 1}`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// What a row of the summary says about a report
+function describeResult(result) {
+  if (result.status !== 'completed') {
+    return result.error ? `${result.status}: ${result.error}` : result.status;
+  }
+  return result.issues === null ? 'no issue count in report' : String(result.issues);
+}
+
+function totalIssues(results) {
+  return results.reduce((sum, result) => sum + (result.issues || 0), 0);
+}
+
+function buildMarkdown(audit, results) {
+  const lines = [
+    `# Manuscript audit: ${audit.projectName}`,
+    '',
+    `- Manuscript: ${audit.documents.manuscript}`,
+    audit.documents.outline ? `- Outline: ${audit.documents.outline}` : null,
+    audit.documents.world ? `- World: ${audit.documents.world}` : null,
+    `- Date: ${new Date(audit.finishedAt).toLocaleString()}`,
+    '',
+    '## Summary',
+    '',
+    '| Analyzer | Issues found |',
+    '| --- | --- |',
+    ...results.map(result => `| ${result.title} | ${describeResult(result).replace(/\|/g, '\\|')} |`),
+    `| **Total** | **${totalIssues(results)}** |`,
+    '',
+    '## Contents',
+    '',
+    ...results.filter(result => result.text).map((result, index) => `${index + 1}. [${result.title}](#${result.anchor})`),
+    ''
+  ];
+
+  for (const result of results.filter(item => item.text)) {
+    const fileName = path.basename(result.reportFile);
+    lines.push(`<a id="${result.anchor}"></a>`, '', `## ${result.title}`, '', `Report: [${fileName}](${encodeURI(fileName)})`, '');
+    // Reports are plain text; a fence keeps their layout
+    lines.push('```text', result.text.trim().replace(/```/g, "'''"), '```', '');
+  }
+
+  return lines.filter(line => line !== null).join('\n');
+}
+
+function buildHtml(audit, results) {
+  const documents = ['manuscript', 'outline', 'world']
+    .filter(name => audit.documents[name])
+    .map(name => `<li>${name.charAt(0).toUpperCase()}${name.slice(1)}: ${escapeHtml(audit.documents[name])}</li>`)
+    .join('\n');
+
+  const summaryRows = results.map(result => {
+    const title = result.text
+      ? `<a href="#${result.anchor}">${escapeHtml(result.title)}</a>`
+      : escapeHtml(result.title);
+    const className = result.status === 'completed' ? '' : ' class="failed"';
+    return `<tr${className}><td>${title}</td><td>${escapeHtml(describeResult(result))}</td></tr>`;
+  }).join('\n');
+
+  const contents = results.filter(result => result.text)
+    .map(result => `<li><a href="#${result.anchor}">${escapeHtml(result.title)}</a></li>`)
+    .join('\n');
+
+  const sections = results.filter(result => result.text).map(result => `<section id="${result.anchor}">
+<h2>${escapeHtml(result.title)}</h2>
+<p class="file">Report: <a href="${escapeHtml(encodeURI(path.basename(result.reportFile)))}">${escapeHtml(path.basename(result.reportFile))}</a></p>
+<pre>${escapeHtml(result.text.trim())}</pre>
+<p><a href="#top">Back to top</a></p>
+</section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>Manuscript audit: ${escapeHtml(audit.projectName)}</title>
+<style>
+body { font-family: sans-serif; max-width: 900px; margin: 0 auto; padding: 20px; line-height: 1.5; }
+table { border-collapse: collapse; }
+td, th { padding: 4px 12px; border-bottom: 1px solid #ccc; text-align: left; }
+tr.failed td { color: #b91c1c; }
+pre { white-space: pre-wrap; background: #f5f5f5; padding: 12px; border-radius: 4px; }
+.file { color: #666; font-size: 0.9em; }
+</style>
+</head>
+<body>
+<h1 id="top">Manuscript audit: ${escapeHtml(audit.projectName)}</h1>
+<ul>
+${documents}
+<li>Date: ${escapeHtml(new Date(audit.finishedAt).toLocaleString())}</li>
+</ul>
+<h2>Summary</h2>
+<table>
+<tr><th>Analyzer</th><th>Issues found</th></tr>
+${summaryRows}
+<tr><th>Total</th><th>${totalIssues(results)}</th></tr>
+</table>
+<h2>Contents</h2>
+<ol>
+${contents}
+</ol>
+${sections}
+</body>
+</html>
+`;
+}
+
+// Read each completed analyzer's report and write the bundle in the audit's
+// folder, next to the reports; returns its path and the per-analyzer results
+async function writeBundle(audit, format = 'html') {
+  if (!BUNDLE_FORMATS.includes(format)) {
+    throw new Error(`Unknown audit format: ${format}`);
+  }
+
+  const results = [];
+  for (const [index, step] of audit.steps.entries()) {
+    const reportFile = (step.createdFiles || []).find(file => !path.basename(file).includes('_thinking'));
+    let text = null;
+    if (step.status === 'completed' && reportFile && fs.existsSync(reportFile)) {
+      text = await fs.promises.readFile(reportFile, 'utf8');
+    }
+
+    results.push({
+      title: step.title,
+      anchor: anchorFor(step.title, index),
+      status: step.status === 'completed' && !text ? 'failed' : step.status,
+      error: step.status === 'completed' && !text ? 'the report was not found' : step.error,
+      reportFile,
+      text,
+      issues: text ? countIssues(text) : null
+    });
+  }
+
+  const bundleFile = path.join(audit.auditDir, format === 'html' ? 'index.html' : 'index.md');
+  const content = format === 'html' ? buildHtml(audit, results) : buildMarkdown(audit, results);
+  await fs.promises.writeFile(bundleFile, content, 'utf8');
+
+  return {
+    bundleFile,
+    results: results.map(({ text, ...result }) => result)
+  };
+}
+
+module.exports = {
+  BUNDLE_FORMATS,
+  countIssues,
+  writeBundle
+};
@@ -0,0 +1,68 @@
+// src/claude-api.js
+// Claude API calls made by the app itself rather than by a tool, such as
+// checking the connection from the API Settings dialog.
+const Anthropic = require('@anthropic-ai/sdk');
+const apiKeyStore = require('./api-key-store');
+const appState = require('./state');
+
+// How long the app waits for a quick API check
+const CHECK_TIMEOUT = 30000;
+
+// The offline mock server ignores the key, so runs against it need none
+const MOCK_API_KEY = 'mock-api-key';
+
+class ClaudeApi {
+  // Base URL from the API settings, or null for the Anthropic API
+  getBaseUrl() {
+    const baseUrl = (appState.settings_claude_api_configuration.base_url || '').trim();
+    return baseUrl || null;
+  }
+
+  // True for a server on this machine, such as utilities/mock-anthropic-server.js
+  isLocalBaseUrl(baseUrl) {
+    if (!baseUrl) return false;
+    try {
+      return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(baseUrl).hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Key for requests: the saved or environment key, else a placeholder
+  // when the requests go to a local server
+  getApiKey() {
+    return apiKeyStore.getApiKey() || (this.isLocalBaseUrl(this.getBaseUrl()) ? MOCK_API_KEY : null);
+  }
+
+  createClient() {
+    const apiKey = this.getApiKey();
+    if (!apiKey) {
+      throw new Error('No Anthropic API key is set. Save your key above first.');
+    }
+    return new Anthropic({
+      apiKey,
+      baseURL: this.getBaseUrl() || undefined,
+      timeout: CHECK_TIMEOUT,
+      maxRetries: 0
+    });
+  }
+
+  // List the models the API key can use, newest first; a successful
+  // listing also shows that the key and connection work
+  async listModels() {
+    const client = this.createClient();
+    const models = [];
+
+    for await (const model of client.models.list({ limit: 100 })) {
+      models.push({
+        id: model.id,
+        name: model.display_name || model.id,
+        created: model.created_at
+      });
+    }
+    return models;
+  }
+}
+
+// Export a singleton instance
+module.exports = new ClaudeApi();
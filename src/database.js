@@ -4,6 +4,7 @@
 
 const path = require('path');
 const os = require('os');
+const { normalizeToolOptions } = require('./option-schema');
 
 let Store = null;
 
@@ -35,12 +36,15 @@ class Database {
               current_project: null,
               current_project_path: null,
               claude_api_configuration: {
+                model: 'claude-3-7-sonnet-20250219',
+                betas: 'output-128k-2025-02-19',
                 max_retries: 1,
                 request_timeout: 300,
                 context_window: 200000,
                 thinking_budget_tokens: 32000,
                 betas_max_tokens: 128000,
-                desired_output_tokens: 12000
+                desired_output_tokens: 12000,
+                base_url: ''
               }
             }
           }
@@ -75,7 +79,7 @@ class Database {
     return toolsList;
   }
 
-  // Retrieve a specific tool by name
+  // Retrieve a specific tool by name, with its options normalized for the setup form
   getToolByName(toolName) {
     if (!this.isInitialized || !this.store) {
       throw new Error('Store not initialized. Call init() first.');
@@ -86,7 +90,11 @@ class Database {
     // Search for the matching tool
     for (const toolId in tools) {
       if (tools[toolId].name === toolName) {
-        return tools[toolId];
+        const tool = tools[toolId];
+        return {
+          ...tool,
+          options: normalizeToolOptions(tool.options, tool.name)
+        };
       }
     }
 
@@ -180,6 +188,23 @@ class Database {
     }
 
     return [
+      {
+        name: 'model',
+        label: 'Model',
+        type: 'text',
+        list: 'model-options',
+        default: 'claude-3-7-sonnet-20250219',
+        required: true,
+        description: 'Claude model used by all tools, unless a tool sets its own model. Use "Test Connection" to list the available models.'
+      },
+      {
+        name: 'betas',
+        label: 'Betas',
+        type: 'text',
+        default: 'output-128k-2025-02-19',
+        required: false,
+        description: 'API beta features sent with each request, separated by commas. output-128k-2025-02-19 allows longer output with Claude 3.7 Sonnet. Leave empty for none.'
+      },
       {
         name: 'max_retries',
         label: 'Max Retries',
@@ -245,6 +270,14 @@ class Database {
         default: 12000,
         required: true,
         description: 'Target number of tokens for the model\'s output.'
+      },
+      {
+        name: 'base_url',
+        label: 'Base URL',
+        type: 'url',
+        default: '',
+        required: false,
+        description: 'Leave empty to use the Anthropic API. Set to e.g. http://127.0.0.1:8765 to run tools against the offline mock server (npm run mock-api).'
       }
     ];
   }
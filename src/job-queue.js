@@ -0,0 +1,250 @@
+// src/job-queue.js
+// Queue of tool runs. Each Run click becomes a job, which runs as soon as
+// fewer than MAX_CONCURRENT_JOBS jobs are running. A job belongs to the
+// project that was current when it was queued, keeps its own output and can
+// be cancelled whether or not its tool window is still open.
+const appState = require('./state');
+const toolRunner = require('./tool-runner');
+const runHistory = require('./run-history');
+const usageLedger = require('./usage-ledger');
+
+const FINISHED_STATES = ['completed', 'failed', 'cancelled', 'error'];
+
+class JobQueue {
+  constructor() {
+    // Jobs in the order they were queued, keyed by run ID
+    this.jobs = new Map();
+    // Callbacks set by the main process to update the windows
+    this.listeners = {};
+    // Promises waiting for a job to finish, by run ID
+    this.waiters = new Map();
+  }
+
+  // listeners: onUpdate(job), onStart(job), onOutput(job, text),
+  // onProgress(job, event), onFinish(job, result) and onError(job, error);
+  // each is optional
+  setListeners(listeners) {
+    this.listeners = listeners || {};
+  }
+
+  notify(name, ...args) {
+    const listener = this.listeners[name];
+    if (!listener) return;
+    try {
+      listener(...args);
+    } catch (error) {
+      console.error(`Error in job queue ${name} listener:`, error);
+    }
+  }
+
+  // Queue a run of a tool in the given project, by default the current one
+  enqueue(runId, toolName, optionValues, { title = null, project = null } = {}) {
+    const job = {
+      runId,
+      toolName,
+      title: title || toolName,
+      optionValues: { ...optionValues },
+      projectName: project ? project.projectName : appState.CURRENT_PROJECT,
+      projectPath: project ? project.projectPath : appState.CURRENT_PROJECT_PATH,
+      status: 'queued',
+      queuedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      exitCode: null,
+      progress: null,
+      output: '',
+      createdFiles: [],
+      cost: null,
+      cancelRequested: false,
+      error: null
+    };
+
+    this.jobs.set(runId, job);
+    this.notify('onUpdate', this.summarize(job));
+    this.startNext();
+    return this.summarize(job);
+  }
+
+  runningCount() {
+    return [...this.jobs.values()].filter(job => job.status === 'running').length;
+  }
+
+  // Start queued jobs, oldest first, while there are free slots
+  startNext() {
+    for (const job of this.jobs.values()) {
+      if (this.runningCount() >= appState.MAX_CONCURRENT_JOBS) return;
+      if (job.status === 'queued') {
+        this.startJob(job);
+      }
+    }
+  }
+
+  async startJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.notify('onUpdate', this.summarize(job));
+
+    const project = { projectName: job.projectName, projectPath: job.projectPath };
+
+    try {
+      await runHistory.startRun(job.runId, job.toolName, job.optionValues, project);
+    } catch (error) {
+      console.error('Error saving run history:', error);
+    }
+    this.notify('onStart', job);
+
+    const appendOutput = (text) => {
+      job.output += text;
+      runHistory.appendOutput(job.runId, text);
+      this.notify('onOutput', job, text);
+    };
+
+    try {
+      // Cancelled while its run was being recorded: don't start the tool
+      const result = job.cancelRequested
+        ? { code: null, cancelled: true, createdFiles: [] }
+        : await toolRunner.runTool(job.toolName, job.optionValues, appendOutput, job.runId, {
+          project,
+          onProgress: (event) => {
+            job.progress = { ...job.progress, ...this.progressFields(event) };
+            this.notify('onProgress', job, event);
+          }
+        });
+
+      job.status = job.cancelRequested || result.cancelled ? 'cancelled' : (result.code === 0 ? 'completed' : 'failed');
+      job.exitCode = result.code;
+      job.createdFiles = result.createdFiles || [];
+      job.cost = result.usage ? result.usage.cost : null;
+      job.finishedAt = new Date().toISOString();
+
+      await runHistory.finishRun(job.runId, result)
+        .then(record => record && usageLedger.addRun(record))
+        .catch(err => console.error('Error saving run history:', err));
+
+      this.notify('onFinish', job, result);
+    } catch (error) {
+      console.error(`Error running tool ${job.toolName}:`, error);
+      job.status = 'error';
+      job.error = error.message;
+      job.finishedAt = new Date().toISOString();
+
+      await runHistory.failRun(job.runId, error)
+        .catch(err => console.error('Error saving run history:', err));
+
+      this.notify('onError', job, error);
+    }
+
+    this.notify('onUpdate', this.summarize(job));
+    this.settle(job);
+    this.startNext();
+  }
+
+  // Wait for a job to finish; resolves with its summary, or null if unknown
+  waitFor(runId) {
+    const job = this.jobs.get(runId);
+    if (!job) return Promise.resolve(null);
+    if (FINISHED_STATES.includes(job.status)) return Promise.resolve(this.summarize(job));
+
+    return new Promise(resolve => {
+      const waiting = this.waiters.get(runId) || [];
+      waiting.push(resolve);
+      this.waiters.set(runId, waiting);
+    });
+  }
+
+  settle(job) {
+    const waiting = this.waiters.get(job.runId) || [];
+    this.waiters.delete(job.runId);
+    waiting.forEach(resolve => resolve(this.summarize(job)));
+  }
+
+  // The parts of a progress event worth showing in a job list
+  progressFields(event) {
+    switch (event.event) {
+      case 'phase':
+        return { phase: event.phase, message: event.message || '' };
+      case 'progress':
+        return { percent: event.percent };
+      case 'chapter':
+        return { chapter: `${event.number}: ${event.title} (${event.index} of ${event.total})` };
+      default:
+        return {};
+    }
+  }
+
+  // Cancel a queued job, or stop a running one
+  cancel(runId) {
+    const job = this.jobs.get(runId);
+    if (!job) return false;
+
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      // Finished like a stopped run, so its tool window hears of it
+      this.notify('onFinish', job, { cancelled: true, code: null, createdFiles: [] });
+      this.notify('onUpdate', this.summarize(job));
+      this.settle(job);
+      return true;
+    }
+
+    // The tool gets a few seconds to save its partial output. A job still
+    // starting is stopped as soon as its tool is spawned, or never starts it.
+    if (job.status === 'running') {
+      job.cancelRequested = true;
+      this.notify('onUpdate', this.summarize(job));
+      toolRunner.stopTool(runId);
+      return true;
+    }
+    return false;
+  }
+
+  // Stop all jobs, e.g. when the app quits. Running tools get timeout ms to
+  // save their partial output before their processes are killed; resolves
+  // once their runs are recorded.
+  async stopAll(timeout) {
+    // Queued jobs first, so none start as the running ones stop
+    for (const job of this.jobs.values()) {
+      if (job.status === 'queued') this.cancel(job.runId);
+    }
+
+    const running = [...this.jobs.values()].filter(job => job.status === 'running');
+    running.forEach(job => this.cancel(job.runId));
+
+    const killTimer = setTimeout(() => toolRunner.killAll(), timeout);
+    await Promise.all(running.map(job => this.waitFor(job.runId)));
+    clearTimeout(killTimer);
+  }
+
+  // Whether any job is queued or running, in the given project or any
+  hasActiveJobs(projectPath = null) {
+    return [...this.jobs.values()].some(job =>
+      !FINISHED_STATES.includes(job.status) && (!projectPath || job.projectPath === projectPath)
+    );
+  }
+
+  // Remove finished jobs from the list; their runs stay in the run history
+  clearFinished() {
+    for (const [runId, job] of this.jobs) {
+      if (FINISHED_STATES.includes(job.status)) {
+        this.jobs.delete(runId);
+      }
+    }
+  }
+
+  // A job without its output, for listing
+  summarize(job) {
+    const { output, cancelRequested, ...summary } = job;
+    return { ...summary, stopping: cancelRequested && job.status === 'running' };
+  }
+
+  listJobs() {
+    return [...this.jobs.values()].map(job => this.summarize(job));
+  }
+
+  getJob(runId) {
+    return this.jobs.get(runId) || null;
+  }
+}
+
+// Export a singleton instance
+module.exports = new JobQueue();
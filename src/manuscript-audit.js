@@ -0,0 +1,256 @@
+// src/manuscript-audit.js
+// Full manuscript audit: runs a set of analyzers on one manuscript, passing
+// the same outline and world to those that take them, then merges their
+// reports into one bundle (see audit-bundle.js). The analyzers are queued as
+// jobs, so they run as many at a time as the job queue allows. Each audit is
+// saved in its own folder under the project's audits folder.
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const projectManifest = require('./project-manifest');
+const jobQueue = require('./job-queue');
+const { BUNDLE_FORMATS, writeBundle } = require('./audit-bundle');
+
+// Folder in the project that holds one folder per audit
+const AUDITS_DIR = 'audits';
+
+// Shared documents and the analyzer options they are passed as
+const DOCUMENT_OPTIONS = {
+  manuscript: '--manuscript_file',
+  outline: '--outline_file',
+  world: '--world_file'
+};
+
+class ManuscriptAudit {
+  constructor() {
+    // The audit running now, or the last one
+    this.current = null;
+    // Callbacks set by the main process to update the windows
+    this.listeners = {};
+  }
+
+  // listeners: onUpdate(audit); optional
+  setListeners(listeners) {
+    this.listeners = listeners || {};
+  }
+
+  notify(name, ...args) {
+    const listener = this.listeners[name];
+    if (!listener) return;
+    try {
+      listener(...args);
+    } catch (error) {
+      console.error(`Error in manuscript audit ${name} listener:`, error);
+    }
+  }
+
+  // Tools that analyze a manuscript, with the shared documents each takes
+  async listAnalyzers() {
+    await database.init();
+    return database.getTools()
+      .map(tool => database.getToolByName(tool.name))
+      .filter(tool => tool && (tool.options || []).some(option => option.name === DOCUMENT_OPTIONS.manuscript))
+      .map(tool => {
+        const option = name => (tool.options || []).find(item => item.name === name);
+        return {
+          name: tool.name,
+          title: tool.title || tool.name,
+          outline: option(DOCUMENT_OPTIONS.outline) ? (option(DOCUMENT_OPTIONS.outline).required ? 'required' : 'optional') : null,
+          world: option(DOCUMENT_OPTIONS.world) ? (option(DOCUMENT_OPTIONS.world).required ? 'required' : 'optional') : null
+        };
+      })
+      .sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  // Manuscript, outline and world named in the project's manifest, where
+  // the files exist
+  async getDefaultDocuments(projectPath) {
+    const manifest = await projectManifest.load(projectPath) ||
+      projectManifest.createDefault(path.basename(projectPath));
+
+    const documents = {};
+    for (const name of Object.keys(DOCUMENT_OPTIONS)) {
+      const filePath = manifest.documents[name] ? path.resolve(projectPath, manifest.documents[name]) : '';
+      documents[name] = filePath && fs.existsSync(filePath) ? filePath : '';
+    }
+    return documents;
+  }
+
+  // Whether an audit is running, in the given project or any
+  isRunning(projectPath = null) {
+    return !!this.current && this.current.status === 'running' &&
+      (!projectPath || this.current.projectPath === projectPath);
+  }
+
+  // Queue the analyzers and return the new audit; the bundle is written once
+  // they have all finished
+  async start(project, toolNames, documents, format = 'html') {
+    if (this.isRunning()) {
+      throw new Error('An audit is already running');
+    }
+    if (!Array.isArray(toolNames) || toolNames.length === 0) {
+      throw new Error('Select at least one analyzer');
+    }
+    if (!BUNDLE_FORMATS.includes(format)) {
+      throw new Error(`Unknown audit format: ${format}`);
+    }
+    if (!documents.manuscript) {
+      throw new Error('Choose the manuscript to audit');
+    }
+    for (const name of Object.keys(DOCUMENT_OPTIONS)) {
+      if (documents[name] && !fs.existsSync(documents[name])) {
+        throw new Error(`The ${name} file does not exist: ${documents[name]}`);
+      }
+    }
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+    const auditDir = path.join(project.projectPath, AUDITS_DIR, `audit_${stamp}`);
+    await fs.promises.mkdir(auditDir, { recursive: true });
+
+    const audit = {
+      id: uuidv4(),
+      projectName: project.projectName,
+      projectPath: project.projectPath,
+      auditDir,
+      format,
+      documents: {
+        manuscript: documents.manuscript,
+        outline: documents.outline || '',
+        world: documents.world || ''
+      },
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      bundleFile: null,
+      error: null,
+      steps: []
+    };
+    this.current = audit;
+
+    await database.init();
+    for (const toolName of toolNames) {
+      const tool = database.getToolByName(toolName);
+      const step = {
+        toolName,
+        title: tool ? tool.title || toolName : toolName,
+        runId: null,
+        status: 'pending',
+        exitCode: null,
+        createdFiles: [],
+        issues: null,
+        error: null
+      };
+      audit.steps.push(step);
+
+      try {
+        if (!tool) {
+          throw new Error(`Tool not found: ${toolName}`);
+        }
+        const optionValues = await this.getOptionValues(project, tool, audit);
+        step.runId = uuidv4();
+        jobQueue.enqueue(step.runId, toolName, optionValues, { title: `Audit: ${step.title}`, project });
+        step.status = 'queued';
+      } catch (error) {
+        step.status = 'skipped';
+        step.error = error.message;
+      }
+    }
+
+    this.notify('onUpdate', this.summarize(audit));
+    this.finishWhenDone(audit)
+      .catch(error => console.error('Error finishing manuscript audit:', error));
+
+    return this.summarize(audit);
+  }
+
+  // Option values for one analyzer: its defaults and the project's manifest,
+  // then the audit's documents; reports are saved in the audit's folder
+  async getOptionValues(project, tool, audit) {
+    const options = await projectManifest.applyToOptions(project.projectPath, tool.options || []);
+
+    const values = {};
+    options.forEach(option => {
+      if (option.default !== undefined) values[option.name] = option.default;
+    });
+
+    for (const [name, optionName] of Object.entries(DOCUMENT_OPTIONS)) {
+      if (!options.some(option => option.name === optionName)) continue;
+      // Leave out documents the audit doesn't share rather than use the manifest's
+      values[optionName] = audit.documents[name] || null;
+    }
+    if (options.some(option => option.name === '--save_dir')) {
+      values['--save_dir'] = audit.auditDir;
+    }
+
+    const missing = options
+      .filter(option => option.required && [undefined, null, ''].includes(values[option.name]))
+      .map(option => option.name);
+    if (missing.length > 0) {
+      throw new Error(`needs ${missing.join(', ')}`);
+    }
+
+    return values;
+  }
+
+  async finishWhenDone(audit) {
+    await Promise.all(audit.steps.filter(step => step.runId).map(async step => {
+      const job = await jobQueue.waitFor(step.runId);
+      step.status = job ? job.status : 'error';
+      step.exitCode = job ? job.exitCode : null;
+      step.createdFiles = job ? job.createdFiles || [] : [];
+      if (!job) {
+        step.error = 'The job was lost';
+      } else if (job.status === 'failed') {
+        step.error = `exit code ${job.exitCode}`;
+      } else {
+        step.error = job.error;
+      }
+      this.notify('onUpdate', this.summarize(audit));
+    }));
+
+    audit.finishedAt = new Date().toISOString();
+    if (!audit.steps.some(step => step.status === 'completed')) {
+      audit.status = audit.cancelRequested ? 'cancelled' : 'failed';
+      audit.error = 'No analyzer finished, so there is nothing to bundle';
+      this.notify('onUpdate', this.summarize(audit));
+      return;
+    }
+
+    try {
+      const { bundleFile, results } = await writeBundle(audit, audit.format);
+      audit.bundleFile = bundleFile;
+      results.forEach((result, index) => { audit.steps[index].issues = result.issues; });
+      audit.status = audit.cancelRequested ? 'cancelled' : 'completed';
+    } catch (error) {
+      console.error('Error writing audit bundle:', error);
+      audit.status = 'failed';
+      audit.error = error.message;
+    }
+    this.notify('onUpdate', this.summarize(audit));
+  }
+
+  // Cancel the analyzers that haven't finished; the bundle covers the rest
+  cancel() {
+    if (!this.isRunning()) return false;
+
+    this.current.cancelRequested = true;
+    this.current.steps
+      .filter(step => step.runId && ['pending', 'queued', 'running'].includes(step.status))
+      .forEach(step => jobQueue.cancel(step.runId));
+    return true;
+  }
+
+  summarize(audit) {
+    const { cancelRequested, ...summary } = audit;
+    return { ...summary, steps: audit.steps.map(step => ({ ...step })) };
+  }
+
+  // The current or last audit of a project, or null
+  getAudit(projectPath) {
+    return this.current && this.current.projectPath === projectPath ? this.summarize(this.current) : null;
+  }
+}
+
+// Export a singleton instance
+module.exports = new ManuscriptAudit();
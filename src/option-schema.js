@@ -0,0 +1,165 @@
+// src/option-schema.js
+// Validates and normalizes tool option definitions as they are loaded, so
+// legacy argparse-style records ("str", "int", "bool") render as the right
+// form controls in the tool setup dialog.
+
+// Form types understood by generateOptionsForm in tool-setup-run.js
+const FORM_TYPES = ['text', 'number', 'boolean', 'select', 'file', 'directory', 'textarea'];
+
+// Legacy argparse types and the form types they map to
+const LEGACY_TYPES = {
+  str: 'text',
+  string: 'text',
+  int: 'number',
+  integer: 'number',
+  float: 'number',
+  bool: 'boolean',
+  path: 'file'
+};
+
+// Option names that hold a document path even though they don't end in _file
+const DOCUMENT_OPTIONS = ['manuscript', 'outline', 'world', 'chapters_to_write', 'example_outline'];
+
+// Bare option name without leading dashes, e.g. "--save_dir" -> "save_dir"
+function bareName(name) {
+  return name.replace(/^-+/, '');
+}
+
+// Guess a file or directory widget from the option name
+function inferPathType(name) {
+  const bare = bareName(name);
+  if (bare.endsWith('_dir') || bare.endsWith('_directory')) return 'directory';
+  if (bare.endsWith('_file') || DOCUMENT_OPTIONS.includes(bare)) return 'file';
+  return null;
+}
+
+// Read a "Choices: a, b, c" line from an option description
+function parseDescriptionChoices(description) {
+  if (!description) return null;
+  const match = description.match(/Choices:\s*(.+)$/im);
+  if (!match) return null;
+
+  const values = match[1].split(',').map(value => value.trim()).filter(Boolean);
+  return values.length > 1 ? values : null;
+}
+
+// Normalize choices to [{ value, label }]
+function normalizeChoices(choices) {
+  return choices.map(choice => {
+    if (choice !== null && typeof choice === 'object') {
+      return { value: String(choice.value), label: choice.label || String(choice.value) };
+    }
+    return { value: String(choice), label: String(choice) };
+  });
+}
+
+function normalizeDefault(value, option) {
+  if (value === undefined || value === null) return value;
+
+  switch (option.type) {
+    case 'boolean':
+      return value === true || value === 'true';
+    case 'number': {
+      if (value === '') return value;
+      const number = option.integer ? parseInt(value, 10) : parseFloat(value);
+      return isNaN(number) ? undefined : number;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Normalize a single option definition
+ * @param {Object} option - Option definition as stored in the database
+ * @returns {{option: Object|null, warnings: string[]}} Normalized option or null if invalid
+ */
+function normalizeOption(option) {
+  const warnings = [];
+
+  if (!option || typeof option !== 'object') {
+    return { option: null, warnings: ['option definition is not an object'] };
+  }
+  if (typeof option.name !== 'string' || !option.name.trim()) {
+    return { option: null, warnings: ['option definition has no name'] };
+  }
+
+  const normalized = { ...option };
+  const declaredType = option.type ? String(option.type).toLowerCase() : 'text';
+
+  if (LEGACY_TYPES[declaredType]) {
+    normalized.type = LEGACY_TYPES[declaredType];
+    if (declaredType === 'int' || declaredType === 'integer') {
+      normalized.integer = true;
+      if (normalized.step === undefined) normalized.step = 1;
+    }
+  } else if (FORM_TYPES.includes(declaredType)) {
+    normalized.type = declaredType;
+  } else {
+    warnings.push(`${option.name}: unknown type "${option.type}", using text`);
+    normalized.type = 'text';
+  }
+
+  // Plain text options named like paths get a Browse button
+  if (normalized.type === 'text' && declaredType !== 'text') {
+    normalized.type = inferPathType(option.name) || 'text';
+  }
+
+  // Choices turn a text option into a select
+  const choices = Array.isArray(option.choices) && option.choices.length > 0
+    ? option.choices
+    : (normalized.type === 'text' ? parseDescriptionChoices(option.description) : null);
+  if (choices && ['text', 'select'].includes(normalized.type)) {
+    normalized.type = 'select';
+    normalized.choices = normalizeChoices(choices);
+
+    // Keep a default that isn't one of the listed choices selectable
+    const defaultValue = option.default;
+    if (defaultValue !== undefined && defaultValue !== null && defaultValue !== '' &&
+        !normalized.choices.some(choice => choice.value === String(defaultValue))) {
+      normalized.choices.unshift({ value: String(defaultValue), label: String(defaultValue) });
+    }
+  } else if (normalized.type === 'select') {
+    warnings.push(`${option.name}: select has no choices, using text`);
+    normalized.type = 'text';
+  }
+
+  normalized.default = normalizeDefault(option.default, normalized);
+  normalized.required = option.required === true;
+
+  return { option: normalized, warnings };
+}
+
+/**
+ * Normalize every option definition of a tool, dropping invalid ones
+ * @param {Array} options - Option definitions as stored in the database
+ * @param {string} toolName - Tool name, used in warnings
+ * @returns {Array} Normalized option definitions
+ */
+function normalizeToolOptions(options, toolName) {
+  if (!Array.isArray(options)) return [];
+
+  const normalized = [];
+  const seen = new Set();
+
+  options.forEach(option => {
+    const result = normalizeOption(option);
+    result.warnings.forEach(warning => console.warn(`Tool ${toolName}: ${warning}`));
+
+    if (!result.option) return;
+    if (seen.has(result.option.name)) {
+      console.warn(`Tool ${toolName}: duplicate option ${result.option.name} ignored`);
+      return;
+    }
+
+    seen.add(result.option.name);
+    normalized.push(result.option);
+  });
+
+  return normalized;
+}
+
+module.exports = {
+  normalizeOption,
+  normalizeToolOptions
+};
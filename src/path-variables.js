@@ -0,0 +1,52 @@
+// src/path-variables.js
+// Placeholders allowed in tool option defaults and values, e.g.
+// "${PROJECT_PATH}/manuscript.txt". They are resolved when a tool runs,
+// so one tool definition works for every project and on every machine.
+const appState = require('./state');
+
+const VARIABLE_PATTERN = /\$\{([A-Z_]+)\}/g;
+
+// Current values of the supported variables; null when not available
+function getPathVariables() {
+  const now = new Date();
+  const pad = number => String(number).padStart(2, '0');
+
+  return {
+    PROJECT_PATH: appState.CURRENT_PROJECT_PATH,
+    PROJECT_NAME: appState.CURRENT_PROJECT,
+    PROJECTS_DIR: appState.PROJECTS_DIR,
+    DATE: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`
+  };
+}
+
+// Replace known ${NAME} placeholders in a string; other text is left alone
+function resolvePathVariables(value, variables = getPathVariables()) {
+  if (typeof value !== 'string' || !value.includes('${')) return value;
+
+  return value.replace(VARIABLE_PATTERN, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      return match;
+    }
+    if (!variables[name]) {
+      throw new Error(`Cannot resolve ${match}: open a project first`);
+    }
+    return variables[name];
+  });
+}
+
+// Resolve placeholders in every string (or list of strings) in a set of option values
+function resolveOptionValues(optionValues, variables = getPathVariables()) {
+  const resolved = {};
+  for (const [name, value] of Object.entries(optionValues)) {
+    resolved[name] = Array.isArray(value)
+      ? value.map(item => resolvePathVariables(item, variables))
+      : resolvePathVariables(value, variables);
+  }
+  return resolved;
+}
+
+module.exports = {
+  getPathVariables,
+  resolvePathVariables,
+  resolveOptionValues
+};
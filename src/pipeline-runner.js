@@ -0,0 +1,263 @@
+// src/pipeline-runner.js
+// Runs a pipeline unattended: each step is queued as a job once the step
+// before it has completed. A step's file options are filled from the files
+// earlier steps created, e.g. the outline written by Outline Writer becomes
+// World Writer's --outline_file. The pipeline stops at the first step that
+// fails and can be resumed from that step.
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const projectManifest = require('./project-manifest');
+const toolPresets = require('./presets');
+const pipelines = require('./pipelines');
+const jobQueue = require('./job-queue');
+
+// Options taken from earlier steps' created files, by file name
+const INPUT_FILES = [
+  { options: ['--concept_file'], pattern: /^concept_/ },
+  { options: ['--characters_file'], pattern: /^characters_/ },
+  { options: ['--outline_file', '--outline'], pattern: /^outline_/ },
+  { options: ['--world_file', '--world'], pattern: /^world_/ },
+  { options: ['--manuscript_file', '--manuscript'], pattern: /manuscript/i }
+];
+
+class PipelineRunner {
+  constructor() {
+    // Pipelines being run, keyed by project path and name
+    this.active = new Map();
+    // Callbacks set by the main process to update the windows
+    this.listeners = {};
+  }
+
+  // listeners: onUpdate({ projectPath, name, lastRun }); optional
+  setListeners(listeners) {
+    this.listeners = listeners || {};
+  }
+
+  notify(name, ...args) {
+    const listener = this.listeners[name];
+    if (!listener) return;
+    try {
+      listener(...args);
+    } catch (error) {
+      console.error(`Error in pipeline runner ${name} listener:`, error);
+    }
+  }
+
+  getKey(projectPath, name) {
+    return `${projectPath}\n${name}`;
+  }
+
+  isRunning(projectPath, name) {
+    return this.active.has(this.getKey(projectPath, name));
+  }
+
+  // Whether any pipeline of the project is running
+  isProjectRunning(projectPath) {
+    return [...this.active.values()].some(state => state.projectPath === projectPath);
+  }
+
+  // Start a pipeline from its first step, or with resume from the first
+  // step its last run didn't complete. Returns once the run is under way.
+  async run(project, name, { resume = false } = {}) {
+    const key = this.getKey(project.projectPath, name);
+    if (this.active.has(key)) {
+      throw new Error(`Pipeline '${name}' is already running`);
+    }
+
+    const pipeline = await pipelines.getPipeline(project.projectPath, name);
+    const previous = resume && pipeline.lastRun ? pipeline.lastRun.steps : [];
+    const startStep = this.getStartStep(pipeline, resume);
+
+    const lastRun = {
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      resumedFrom: resume ? startStep + 1 : null,
+      failedStep: null,
+      error: null,
+      steps: pipeline.steps.map((step, index) => (
+        index < startStep ? previous[index] : {
+          tool: step.tool,
+          preset: step.preset,
+          status: 'pending',
+          runId: null,
+          inputs: {},
+          createdFiles: [],
+          error: null
+        }
+      ))
+    };
+
+    const state = { projectPath: project.projectPath, runId: null, stopRequested: false };
+    this.active.set(key, state);
+    await this.saveState(project, name, lastRun);
+
+    this.runSteps(project, name, pipeline, lastRun, startStep, state)
+      .catch(error => console.error(`Error running pipeline ${name}:`, error))
+      .finally(() => this.active.delete(key));
+
+    return lastRun;
+  }
+
+  // Index of the step a run starts at: the first, or with resume the first
+  // step the last run didn't complete
+  getStartStep(pipeline, resume) {
+    if (!resume) return 0;
+
+    const previous = pipeline.lastRun ? pipeline.lastRun.steps : [];
+    const startStep = pipeline.steps.findIndex((step, index) => (
+      !previous[index] || previous[index].tool !== step.tool || previous[index].status !== 'completed'
+    ));
+    if (startStep === -1) {
+      throw new Error(`Pipeline '${pipeline.name}' has no steps left to resume`);
+    }
+    return startStep;
+  }
+
+  // Tools a run would queue, e.g. to check them against the monthly budget
+  async getToolsToRun(projectPath, name, resume) {
+    const pipeline = await pipelines.getPipeline(projectPath, name);
+    return pipeline.steps.slice(this.getStartStep(pipeline, resume)).map(step => step.tool);
+  }
+
+  async runSteps(project, name, pipeline, lastRun, startStep, state) {
+    const total = pipeline.steps.length;
+
+    for (let index = startStep; index < total; index++) {
+      const step = pipeline.steps[index];
+      const stepState = lastRun.steps[index];
+
+      if (state.stopRequested) {
+        return this.finish(project, name, lastRun, 'stopped', index, 'Stopped before this step started');
+      }
+
+      let optionValues;
+      let title;
+      try {
+        const tool = await this.getTool(step.tool);
+        title = `${name} ${index + 1}/${total}: ${tool.title || tool.name}`;
+        optionValues = await this.getOptionValues(project, tool, step, lastRun.steps.slice(0, index), stepState);
+      } catch (error) {
+        stepState.status = 'error';
+        stepState.error = error.message;
+        return this.finish(project, name, lastRun, 'failed', index, error.message);
+      }
+
+      const runId = uuidv4();
+      state.runId = runId;
+      stepState.runId = runId;
+      stepState.status = 'running';
+      jobQueue.enqueue(runId, step.tool, optionValues, { title, project });
+      await this.saveState(project, name, lastRun);
+
+      const job = await jobQueue.waitFor(runId);
+      state.runId = null;
+      stepState.status = job.status;
+      stepState.exitCode = job.exitCode;
+      stepState.createdFiles = job.createdFiles || [];
+      stepState.cost = job.cost;
+      stepState.error = job.error;
+
+      if (job.status !== 'completed') {
+        const stopped = job.status === 'cancelled';
+        const message = stopped
+          ? 'The step was cancelled'
+          : job.error || `The step failed with exit code ${job.exitCode}`;
+        return this.finish(project, name, lastRun, stopped ? 'stopped' : 'failed', index, message);
+      }
+
+      await this.saveState(project, name, lastRun);
+    }
+
+    return this.finish(project, name, lastRun, 'completed', null, null);
+  }
+
+  async getTool(toolName) {
+    await database.init();
+    const tool = database.getToolByName(toolName);
+    if (!tool) {
+      throw new Error(`Tool not found: ${toolName}`);
+    }
+    return tool;
+  }
+
+  // Option values for a step: the tool's defaults and the project's manifest,
+  // then the step's preset, then files created by earlier steps
+  async getOptionValues(project, tool, step, earlierSteps, stepState) {
+    const options = await projectManifest.applyToOptions(project.projectPath, tool.options || []);
+
+    const values = {};
+    options.forEach(option => {
+      if (option.default !== undefined) values[option.name] = option.default;
+    });
+
+    if (step.preset) {
+      const { presets } = await toolPresets.listPresets(project.projectPath, step.tool);
+      const preset = presets.find(item => item.name === step.preset);
+      if (!preset) {
+        throw new Error(`Preset '${step.preset}' of ${step.tool} not found`);
+      }
+      Object.assign(values, preset.optionValues);
+    }
+
+    // The newest matching file wins
+    const createdFiles = earlierSteps.flatMap(earlier => (earlier && earlier.createdFiles) || []).reverse();
+    for (const option of options) {
+      const input = INPUT_FILES.find(entry => entry.options.includes(option.name));
+      if (!input) continue;
+
+      const file = createdFiles.find(filePath => {
+        const fileName = path.basename(filePath);
+        return input.pattern.test(fileName) && !fileName.includes('_thinking_');
+      });
+      if (file) {
+        values[option.name] = file;
+        stepState.inputs[option.name] = file;
+      }
+    }
+
+    const missing = options
+      .filter(option => option.required && [undefined, null, ''].includes(values[option.name]))
+      .map(option => option.name);
+    if (missing.length > 0) {
+      throw new Error(`${step.tool} needs ${missing.join(', ')}; save a preset with them and use it in this step`);
+    }
+
+    return values;
+  }
+
+  // Stop a running pipeline: its current job is cancelled and no more steps start
+  stop(projectPath, name) {
+    const state = this.active.get(this.getKey(projectPath, name));
+    if (!state) return false;
+
+    state.stopRequested = true;
+    if (state.runId) {
+      jobQueue.cancel(state.runId);
+    }
+    return true;
+  }
+
+  async finish(project, name, lastRun, status, failedStep, error) {
+    // No longer running by the time the windows hear about it
+    this.active.delete(this.getKey(project.projectPath, name));
+    lastRun.status = status;
+    lastRun.failedStep = failedStep;
+    lastRun.error = error;
+    lastRun.finishedAt = new Date().toISOString();
+    await this.saveState(project, name, lastRun);
+  }
+
+  async saveState(project, name, lastRun) {
+    try {
+      await pipelines.saveLastRun(project.projectPath, name, lastRun);
+    } catch (error) {
+      console.error('Error saving pipeline state:', error);
+    }
+    this.notify('onUpdate', { projectPath: project.projectPath, name, lastRun });
+  }
+}
+
+// Export a singleton instance
+module.exports = new PipelineRunner();
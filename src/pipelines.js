@@ -0,0 +1,109 @@
+// src/pipelines.js
+// Named pipelines: a sequence of tools run one after another, stored per
+// project in .writers_toolkit/pipelines.json, e.g. "Draft" = Brainstorm,
+// Outline Writer, World Writer, Chapter Writer. Each step is a tool and an
+// optional preset of its options. The state of a pipeline's last run is kept
+// with it so a failed run can be resumed.
+const { readProjectJson, updateProjectJson, isReservedName } = require('./project-data');
+
+const PIPELINES_FILE = 'pipelines.json';
+
+class Pipelines {
+  async load(projectPath) {
+    if (!projectPath) {
+      throw new Error('Open a project to use pipelines');
+    }
+    return readProjectJson(projectPath, PIPELINES_FILE, {});
+  }
+
+  // Change the stored pipelines; pipelines running at the same time save
+  // their progress here, so each change is made on the latest data
+  async update(projectPath, change) {
+    if (!projectPath) {
+      throw new Error('Open a project to use pipelines');
+    }
+    return updateProjectJson(projectPath, PIPELINES_FILE, {}, change);
+  }
+
+  // Keep only the fields a step needs, and check each names a tool
+  normalizeSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('A pipeline needs at least one step');
+    }
+
+    return steps.map((step, index) => {
+      const tool = step && typeof step.tool === 'string' ? step.tool.trim() : '';
+      if (!tool) {
+        throw new Error(`Step ${index + 1} has no tool`);
+      }
+      const preset = step.preset && String(step.preset).trim();
+      return { tool, preset: preset || null };
+    });
+  }
+
+  // List a project's pipelines, sorted by name
+  async listPipelines(projectPath) {
+    const data = await this.load(projectPath);
+    return Object.entries(data)
+      .map(([name, pipeline]) => ({ name, ...pipeline }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async getPipeline(projectPath, name) {
+    const data = await this.load(projectPath);
+    if (!data[name]) {
+      throw new Error(`Pipeline '${name}' not found`);
+    }
+    return { name, ...data[name] };
+  }
+
+  // Create or update a pipeline; renaming keeps its last run
+  async savePipeline(projectPath, name, steps, oldName = null) {
+    const pipelineName = (name || '').trim();
+    if (!pipelineName) {
+      throw new Error('Pipeline name is required');
+    }
+    if (isReservedName(pipelineName)) {
+      throw new Error(`'${pipelineName}' can't be used as a pipeline name`);
+    }
+
+    const normalizedSteps = this.normalizeSteps(steps);
+
+    return this.update(projectPath, data => {
+      if (oldName && oldName !== pipelineName && data[pipelineName]) {
+        throw new Error(`Pipeline '${pipelineName}' already exists`);
+      }
+
+      const previous = data[oldName || pipelineName];
+      if (oldName && oldName !== pipelineName) {
+        delete data[oldName];
+      }
+
+      data[pipelineName] = {
+        steps: normalizedSteps,
+        updated: new Date().toISOString(),
+        lastRun: previous ? previous.lastRun || null : null
+      };
+      return { name: pipelineName, ...data[pipelineName] };
+    });
+  }
+
+  async deletePipeline(projectPath, name) {
+    await this.update(projectPath, data => {
+      if (!data[name]) {
+        throw new Error(`Pipeline '${name}' not found`);
+      }
+      delete data[name];
+    });
+  }
+
+  // Store the state of the pipeline's current or last run
+  async saveLastRun(projectPath, name, lastRun) {
+    await this.update(projectPath, data => {
+      if (data[name]) data[name].lastRun = lastRun;
+    });
+  }
+}
+
+// Export a singleton instance
+module.exports = new Pipelines();
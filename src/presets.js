@@ -0,0 +1,132 @@
+// src/presets.js
+// Named option presets, stored per project and per tool in the project's
+// .writers_toolkit/presets.json, e.g. "Full check, chapters 1-10".
+const { readProjectJson, writeProjectJson, isReservedName } = require('./project-data');
+
+const PRESETS_FILE = 'presets.json';
+
+class ToolPresets {
+  async load(projectPath) {
+    if (!projectPath) {
+      throw new Error('Open a project to use option presets');
+    }
+    return readProjectJson(projectPath, PRESETS_FILE, {});
+  }
+
+  async save(projectPath, data) {
+    await writeProjectJson(projectPath, PRESETS_FILE, data);
+  }
+
+  // Trimmed preset name, or an error if it can't be used
+  checkName(name, label = 'Preset name') {
+    const presetName = (name || '').trim();
+    if (!presetName) {
+      throw new Error(`${label} is required`);
+    }
+    if (isReservedName(presetName)) {
+      throw new Error(`'${presetName}' can't be used as a preset name`);
+    }
+    return presetName;
+  }
+
+  // Presets entry for one tool, created if missing
+  getToolEntry(data, toolName) {
+    if (!data[toolName]) {
+      data[toolName] = { presets: {}, lastUsed: null };
+    }
+    return data[toolName];
+  }
+
+  // List a tool's presets and which one was used last
+  async listPresets(projectPath, toolName) {
+    const data = await this.load(projectPath);
+    const entry = data[toolName] || { presets: {}, lastUsed: null };
+
+    const presets = Object.entries(entry.presets)
+      .map(([name, preset]) => ({ name, ...preset }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return { presets, lastUsed: entry.lastUsed };
+  }
+
+  // Create or overwrite a preset and make it the last used one
+  async savePreset(projectPath, toolName, name, optionValues) {
+    const presetName = this.checkName(name);
+
+    const data = await this.load(projectPath);
+    const entry = this.getToolEntry(data, toolName);
+    entry.presets[presetName] = {
+      optionValues: { ...optionValues },
+      updated: new Date().toISOString()
+    };
+    entry.lastUsed = presetName;
+
+    await this.save(projectPath, data);
+  }
+
+  async renamePreset(projectPath, toolName, oldName, newName) {
+    const presetName = this.checkName(newName, 'New preset name');
+
+    const data = await this.load(projectPath);
+    const entry = this.getToolEntry(data, toolName);
+    if (!entry.presets[oldName]) {
+      throw new Error(`Preset '${oldName}' not found`);
+    }
+    if (presetName !== oldName && entry.presets[presetName]) {
+      throw new Error(`Preset '${presetName}' already exists`);
+    }
+
+    entry.presets[presetName] = entry.presets[oldName];
+    if (presetName !== oldName) {
+      delete entry.presets[oldName];
+    }
+    if (entry.lastUsed === oldName) {
+      entry.lastUsed = presetName;
+    }
+
+    await this.save(projectPath, data);
+  }
+
+  async deletePreset(projectPath, toolName, name) {
+    const data = await this.load(projectPath);
+    const entry = this.getToolEntry(data, toolName);
+    if (!entry.presets[name]) {
+      throw new Error(`Preset '${name}' not found`);
+    }
+
+    delete entry.presets[name];
+    if (entry.lastUsed === name) {
+      entry.lastUsed = null;
+    }
+
+    await this.save(projectPath, data);
+  }
+
+  // Remember a preset as the one to apply when the tool window next opens
+  async markUsed(projectPath, toolName, name) {
+    const data = await this.load(projectPath);
+    const entry = this.getToolEntry(data, toolName);
+    if (!entry.presets[name]) {
+      throw new Error(`Preset '${name}' not found`);
+    }
+
+    entry.lastUsed = name;
+    await this.save(projectPath, data);
+  }
+
+  // The last used preset for a tool, or null
+  async getLastUsedPreset(projectPath, toolName) {
+    if (!projectPath) return null;
+
+    const data = await this.load(projectPath);
+    const entry = data[toolName];
+    if (!entry || !entry.lastUsed || !entry.presets[entry.lastUsed]) {
+      return null;
+    }
+
+    return { name: entry.lastUsed, ...entry.presets[entry.lastUsed] };
+  }
+}
+
+// Export a singleton instance
+module.exports = new ToolPresets();
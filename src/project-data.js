@@ -0,0 +1,99 @@
+// src/project-data.js
+// Helpers for the .writers_toolkit folder kept inside each project, where the
+// toolkit stores run history, presets and other per-project data.
+const fs = require('fs');
+const path = require('path');
+
+// Folder inside each project that holds toolkit data
+const PROJECT_DATA_DIR = '.writers_toolkit';
+
+// Numbers the temporary files of writes, which may overlap
+let tempFileCount = 0;
+
+// Last pending update of each data file, by path
+const pendingUpdates = new Map();
+
+// Path of the toolkit data folder, or of an entry inside it
+function getProjectDataPath(projectPath, ...parts) {
+  return path.join(projectPath, PROJECT_DATA_DIR, ...parts);
+}
+
+// Read a JSON file from the project's data folder, or fallback if there is
+// none. A file that can't be read is an error rather than empty, so the next
+// save doesn't overwrite what it holds.
+async function readProjectJson(projectPath, fileName, fallback) {
+  const filePath = getProjectDataPath(projectPath, fileName);
+
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw new Error(`Could not read ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${filePath} is not valid JSON (${error.message}). Fix or remove it; it was left unchanged.`);
+  }
+}
+
+// Write a JSON file to the project's data folder
+async function writeProjectJson(projectPath, fileName, data) {
+  await writeJsonFile(getProjectDataPath(projectPath, fileName), data);
+}
+
+// Write a JSON file next to its path and rename it into place, so readers
+// never see a half-written file
+async function writeJsonFile(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${++tempFileCount}.tmp`;
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  try {
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Read, change and write back a JSON file in the project's data folder.
+// Updates of the same file run one at a time, so none is lost to another
+// that read the file before it was written. change gets the data to modify
+// in place; resolves with what it returns.
+function updateProjectJson(projectPath, fileName, fallback, change) {
+  const filePath = getProjectDataPath(projectPath, fileName);
+  const previous = pendingUpdates.get(filePath) || Promise.resolve();
+
+  const update = previous.then(async () => {
+    const data = await readProjectJson(projectPath, fileName, fallback);
+    const result = await change(data);
+    await writeProjectJson(projectPath, fileName, data);
+    return result;
+  });
+
+  // The next update waits for this one whether or not it fails
+  const done = update.catch(() => {});
+  pendingUpdates.set(filePath, done);
+  done.then(() => {
+    if (pendingUpdates.get(filePath) === done) pendingUpdates.delete(filePath);
+  });
+  return update;
+}
+
+// Names that can't be keys in the data files, because they clash with the
+// properties every object has, e.g. "__proto__" or "constructor"
+function isReservedName(name) {
+  return name in Object.prototype;
+}
+
+module.exports = {
+  PROJECT_DATA_DIR,
+  getProjectDataPath,
+  readProjectJson,
+  writeProjectJson,
+  writeJsonFile,
+  updateProjectJson,
+  isReservedName
+};
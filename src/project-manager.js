@@ -0,0 +1,115 @@
+// src/project-manager.js
+// Rename, duplicate, archive and delete project folders under the project
+// roots, keeping the stored current project in step. Projects are given by
+// name (in the primary root) or by path.
+const fs = require('fs');
+const path = require('path');
+const appState = require('./state');
+const projectManifest = require('./project-manifest');
+const { zipDirectory } = require('./zip-writer');
+
+const ARCHIVE_DIR = '.archive';
+
+class ProjectManager {
+  // Archives go in the .archive folder of the project's own root
+  getArchiveDir(projectPath) {
+    return path.join(path.dirname(projectPath), ARCHIVE_DIR);
+  }
+
+  // Reject names that aren't a single, visible folder name
+  validateProjectName(projectName) {
+    const name = (projectName || '').trim();
+    if (!name) {
+      throw new Error('Project name is required');
+    }
+    if (/[<>:"/\\|?*]/.test(name) || name.startsWith('.')) {
+      throw new Error('Project name contains invalid characters');
+    }
+    return name;
+  }
+
+  // Path of an existing project
+  requireProject(project) {
+    const projectPath = appState.resolveProjectPath(project);
+    this.validateProjectName(path.basename(projectPath));
+    if (!fs.existsSync(projectPath)) {
+      throw new Error(`Project directory does not exist: ${projectPath}`);
+    }
+    return projectPath;
+  }
+
+  // Path for a new project next to an existing one, which must not exist yet
+  requireNewProject(projectName, rootDir) {
+    const projectPath = path.join(rootDir, this.validateProjectName(projectName));
+    if (fs.existsSync(projectPath)) {
+      throw new Error(`Project '${path.basename(projectPath)}' already exists`);
+    }
+    return projectPath;
+  }
+
+  isCurrentProject(projectPath) {
+    return !!appState.CURRENT_PROJECT_PATH &&
+      path.resolve(appState.CURRENT_PROJECT_PATH) === path.resolve(projectPath);
+  }
+
+  // Keep a manifest title that still matches the folder name in step with it
+  async retitle(projectPath, oldName, newName) {
+    const manifest = await projectManifest.load(projectPath);
+    if (manifest && manifest.title === oldName) {
+      await projectManifest.save(projectPath, { ...manifest, title: newName });
+    }
+  }
+
+  async renameProject(project, newName) {
+    const oldPath = this.requireProject(project);
+    const newPath = this.requireNewProject(newName, path.dirname(oldPath));
+    const wasCurrent = this.isCurrentProject(oldPath);
+
+    await fs.promises.rename(oldPath, newPath);
+    await this.retitle(newPath, path.basename(oldPath), path.basename(newPath));
+
+    if (wasCurrent) {
+      appState.setCurrentProject(path.basename(newPath), newPath);
+    }
+    return { projectName: path.basename(newPath), projectPath: newPath, wasCurrent };
+  }
+
+  // Copy a project as a snapshot under a new name
+  async duplicateProject(project, newName) {
+    const sourcePath = this.requireProject(project);
+    const newPath = this.requireNewProject(newName, path.dirname(sourcePath));
+
+    await fs.promises.cp(sourcePath, newPath, { recursive: true });
+    await this.retitle(newPath, path.basename(sourcePath), path.basename(newPath));
+
+    return { projectName: path.basename(newPath), projectPath: newPath };
+  }
+
+  // Zip a project into the archive folder; the project itself is kept
+  async archiveProject(project) {
+    const projectPath = this.requireProject(project);
+    const archiveDir = this.getArchiveDir(projectPath);
+    await fs.promises.mkdir(archiveDir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const zipPath = path.join(archiveDir, `${path.basename(projectPath)}-${stamp}.zip`);
+    await zipDirectory(projectPath, zipPath);
+
+    return { zipPath };
+  }
+
+  async deleteProject(project) {
+    const projectPath = this.requireProject(project);
+    const wasCurrent = this.isCurrentProject(projectPath);
+
+    await fs.promises.rm(projectPath, { recursive: true, force: true });
+
+    if (wasCurrent) {
+      appState.clearCurrentProject();
+    }
+    return { wasCurrent };
+  }
+}
+
+// Export a singleton instance
+module.exports = new ProjectManager();
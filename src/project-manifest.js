@@ -0,0 +1,148 @@
+// src/project-manifest.js
+// The project manifest, project.json in the project folder, declares the
+// project's key documents and details. Tool options with matching names are
+// filled in from it, so a tool doesn't have to ask for them every time.
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'project.json';
+
+// Documents a project can declare, with their default file names
+const DEFAULT_DOCUMENTS = {
+  ideas: 'ideas.txt',
+  outline: 'outline.txt',
+  world: 'world.txt',
+  characters: 'characters.txt',
+  manuscript: 'manuscript.txt',
+  chapters: 'chapters.txt'
+};
+
+// Tool options filled from manifest details
+const DETAIL_OPTIONS = {
+  '--title': 'title',
+  '--genre': 'genre',
+  '--lang': 'language',
+  '--pov': 'pov'
+};
+
+// Tool options filled from manifest documents
+const DOCUMENT_OPTIONS = {
+  '--ideas_file': 'ideas',
+  '--premise_file': 'ideas',
+  '--outline_file': 'outline',
+  '--outline': 'outline',
+  '--world_file': 'world',
+  '--world': 'world',
+  '--characters_file': 'characters',
+  '--manuscript_file': 'manuscript',
+  '--manuscript': 'manuscript',
+  '--chapters_to_write': 'chapters'
+};
+
+class ProjectManifest {
+  getManifestPath(projectPath) {
+    return path.join(projectPath, MANIFEST_FILE);
+  }
+
+  // Manifest for a project that doesn't have one yet
+  createDefault(projectName) {
+    return {
+      title: projectName || '',
+      genre: '',
+      language: 'English',
+      pov: '',
+      documents: { ...DEFAULT_DOCUMENTS }
+    };
+  }
+
+  // Fill in missing fields and drop unknown documents
+  normalize(manifest, projectName) {
+    const defaults = this.createDefault(projectName);
+    const documents = { ...defaults.documents };
+    const given = (manifest && manifest.documents) || {};
+
+    for (const key of Object.keys(documents)) {
+      if (typeof given[key] === 'string' && given[key].trim()) {
+        documents[key] = given[key].trim();
+      }
+    }
+
+    const text = (value, fallback) => (typeof value === 'string' ? value.trim() : fallback);
+    return {
+      title: text(manifest && manifest.title, defaults.title),
+      genre: text(manifest && manifest.genre, defaults.genre),
+      language: text(manifest && manifest.language, defaults.language) || defaults.language,
+      pov: text(manifest && manifest.pov, defaults.pov),
+      documents
+    };
+  }
+
+  // Read a project's manifest; null if the project doesn't have one
+  async load(projectPath) {
+    if (!projectPath) return null;
+
+    const manifestPath = this.getManifestPath(projectPath);
+    if (!fs.existsSync(manifestPath)) return null;
+
+    const content = await fs.promises.readFile(manifestPath, 'utf8');
+    let manifest;
+    try {
+      manifest = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid ${MANIFEST_FILE} in ${projectPath}: ${error.message}`);
+    }
+    return this.normalize(manifest, path.basename(projectPath));
+  }
+
+  async save(projectPath, manifest) {
+    const normalized = this.normalize(manifest, path.basename(projectPath));
+    await fs.promises.writeFile(
+      this.getManifestPath(projectPath),
+      JSON.stringify(normalized, null, 2),
+      'utf8'
+    );
+    return normalized;
+  }
+
+  // Option value for a document: relative names are kept project-relative
+  documentValue(fileName) {
+    if (path.isAbsolute(fileName)) return fileName;
+    return `\${PROJECT_PATH}/${fileName.split(path.sep).join('/')}`;
+  }
+
+  // Values the manifest supplies for a tool's options, keyed by option name.
+  // Optional document options are only filled when the document exists.
+  getOptionValues(projectPath, manifest, options) {
+    const values = {};
+    if (!manifest) return values;
+
+    for (const option of options) {
+      if (DETAIL_OPTIONS[option.name]) {
+        const value = manifest[DETAIL_OPTIONS[option.name]];
+        if (value) values[option.name] = value;
+      } else if (DOCUMENT_OPTIONS[option.name]) {
+        const fileName = manifest.documents[DOCUMENT_OPTIONS[option.name]];
+        if (!fileName) continue;
+        if (!option.required && !fs.existsSync(path.resolve(projectPath, fileName))) continue;
+        values[option.name] = this.documentValue(fileName);
+      }
+    }
+
+    return values;
+  }
+
+  // Tool options with their defaults taken from the project's manifest
+  async applyToOptions(projectPath, options) {
+    const manifest = await this.load(projectPath);
+    const values = this.getOptionValues(projectPath, manifest, options);
+
+    return options.map(option => (
+      Object.prototype.hasOwnProperty.call(values, option.name)
+        ? { ...option, default: values[option.name], fromManifest: true }
+        : option
+    ));
+  }
+}
+
+// Export a singleton instance
+module.exports = new ProjectManifest();
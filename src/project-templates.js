@@ -0,0 +1,175 @@
+// src/project-templates.js
+// Templates used to scaffold new projects. Besides the built-in templates,
+// every folder under .templates in the primary project root (normally
+// ~/writing/.templates) is a template whose contents are copied into the
+// new project, so a team can share its house standard.
+// A template folder may hold a template.json with its name and description.
+const fs = require('fs');
+const path = require('path');
+const appState = require('./state');
+const projectManifest = require('./project-manifest');
+
+const TEMPLATES_DIR = '.templates';
+const TEMPLATE_INFO_FILE = 'template.json';
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'novel',
+    name: 'Novel',
+    description: 'Ideas, outline, world and characters, with a chapters folder',
+    manifest: { genre: '' },
+    directories: ['chapters'],
+    files: {
+      'ideas.txt': 'Premise:\n\nThemes:\n\nWhat if...\n',
+      'outline.txt': 'Chapter 1: Title\n\nChapter 2: Title\n',
+      'world.txt': 'Setting:\n\nHistory:\n\nRules of the world:\n',
+      'characters.txt': 'Name:\nRole:\nWants:\nNeeds:\n',
+      'chapters.txt': '1. Chapter Title\n'
+    }
+  },
+  {
+    id: 'short-story-collection',
+    name: 'Short Story Collection',
+    description: 'One outline entry per story, with a chapters folder for the stories',
+    manifest: { genre: 'Short fiction' },
+    directories: ['chapters'],
+    files: {
+      'ideas.txt': 'Collection theme:\n\nStory ideas:\n- \n',
+      'outline.txt': 'Story 1: Title\nSummary:\n\nStory 2: Title\nSummary:\n',
+      'world.txt': 'Shared settings (if any):\n',
+      'characters.txt': 'Recurring characters (if any):\n',
+      'chapters.txt': '1. Story Title\n'
+    }
+  },
+  {
+    id: 'screenplay',
+    name: 'Screenplay',
+    description: 'Logline, act outline and cast list, with a chapters folder for scenes',
+    manifest: { genre: 'Screenplay', pov: 'camera' },
+    directories: ['chapters'],
+    files: {
+      'ideas.txt': 'Logline:\n\nTone and comparables:\n',
+      'outline.txt': 'Act 1:\n\nAct 2:\n\nAct 3:\n',
+      'world.txt': 'Locations:\n\nTime period:\n',
+      'characters.txt': 'Cast:\nNAME - description\n',
+      'chapters.txt': '1. Opening Scene\n'
+    }
+  },
+  {
+    id: 'non-fiction',
+    name: 'Non-fiction',
+    description: 'Thesis, chapter outline and research notes, with a chapters folder',
+    manifest: { genre: 'Non-fiction', pov: 'first person' },
+    directories: ['chapters'],
+    files: {
+      'ideas.txt': 'Thesis:\n\nAudience:\n\nKey arguments:\n',
+      'outline.txt': 'Chapter 1: Title\nMain point:\n\nChapter 2: Title\nMain point:\n',
+      'world.txt': 'Research notes and sources:\n',
+      'characters.txt': 'People featured or interviewed:\n',
+      'chapters.txt': '1. Chapter Title\n'
+    }
+  }
+];
+
+class ProjectTemplates {
+  // Folder holding user-defined templates
+  getTemplatesDir() {
+    return path.join(appState.PROJECTS_DIR, TEMPLATES_DIR);
+  }
+
+  // User templates: one folder per template
+  async loadUserTemplates() {
+    const templatesDir = this.getTemplatesDir();
+    if (!fs.existsSync(templatesDir)) return [];
+
+    const templates = [];
+    const entries = await fs.promises.readdir(templatesDir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+
+      const templatePath = path.join(templatesDir, entry.name);
+      let info = {};
+      const infoFile = path.join(templatePath, TEMPLATE_INFO_FILE);
+      if (fs.existsSync(infoFile)) {
+        try {
+          info = JSON.parse(await fs.promises.readFile(infoFile, 'utf8'));
+        } catch (error) {
+          console.error(`Error reading ${infoFile}:`, error);
+        }
+      }
+
+      templates.push({
+        id: `user:${entry.name}`,
+        name: info.name || entry.name,
+        description: info.description || `From ${templatePath}`,
+        source: 'user',
+        path: templatePath
+      });
+    }
+
+    return templates.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Every template, built-in first
+  async listTemplates() {
+    const builtIn = BUILT_IN_TEMPLATES.map(({ id, name, description }) => ({
+      id,
+      name,
+      description,
+      source: 'built-in'
+    }));
+    const user = await this.loadUserTemplates();
+    return [...builtIn, ...user.map(({ path: _path, ...template }) => template)];
+  }
+
+  // Scaffold a freshly created project folder from a template
+  async applyTemplate(projectPath, projectName, templateId) {
+    if (!templateId) {
+      await projectManifest.save(projectPath, projectManifest.createDefault(projectName));
+      return;
+    }
+
+    if (templateId.startsWith('user:')) {
+      const user = await this.loadUserTemplates();
+      const template = user.find(item => item.id === templateId);
+      if (!template) {
+        throw new Error(`Template not found: ${templateId.slice('user:'.length)}`);
+      }
+      await this.copyUserTemplate(template.path, projectPath, projectName);
+      return;
+    }
+
+    const template = BUILT_IN_TEMPLATES.find(item => item.id === templateId);
+    if (!template) {
+      throw new Error(`Template not found: ${templateId}`);
+    }
+
+    for (const dir of template.directories) {
+      await fs.promises.mkdir(path.join(projectPath, dir), { recursive: true });
+    }
+    for (const [fileName, content] of Object.entries(template.files)) {
+      await fs.promises.writeFile(path.join(projectPath, fileName), content, 'utf8');
+    }
+    await projectManifest.save(projectPath, {
+      ...projectManifest.createDefault(projectName),
+      ...template.manifest
+    });
+  }
+
+  // Copy a user template; its project.json, if any, is kept but retitled
+  async copyUserTemplate(templatePath, projectPath, projectName) {
+    await fs.promises.cp(templatePath, projectPath, {
+      recursive: true,
+      filter: source => path.basename(source) !== TEMPLATE_INFO_FILE
+    });
+
+    const manifest = await projectManifest.load(projectPath);
+    await projectManifest.save(projectPath, {
+      ...(manifest || projectManifest.createDefault(projectName)),
+      title: projectName
+    });
+  }
+}
+
+// Export a singleton instance
+module.exports = new ProjectTemplates();
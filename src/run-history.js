@@ -0,0 +1,248 @@
+// src/run-history.js
+// Persistent history of tool runs. Each run is saved as one JSON file under
+// the project's .writers_toolkit/runs folder, so the log of a run survives
+// the tool window being closed and the run can be repeated later. The log of
+// a running run is saved every few seconds, so a crash loses little of it;
+// a run still marked running from an earlier session shows as interrupted.
+const fs = require('fs');
+const path = require('path');
+const { validate: isUuid } = require('uuid');
+const appState = require('./state');
+const { getProjectDataPath, writeJsonFile } = require('./project-data');
+
+// How often the log of a running run is saved while it writes output
+const FLUSH_INTERVAL = 2000;
+
+class RunHistory {
+  constructor() {
+    // Runs that haven't finished yet, keyed by run ID
+    this.activeRuns = new Map();
+    // Timers of the pending log saves of running runs, by run ID
+    this.flushTimers = new Map();
+    // Last pending save of each run, by run ID, so saves don't overlap
+    this.pendingSaves = new Map();
+  }
+
+  // Directory where runs for a project are stored
+  getHistoryDir(projectPath) {
+    const baseDir = projectPath || appState.CURRENT_PROJECT_PATH || appState.PROJECTS_DIR;
+    return getProjectDataPath(baseDir, 'runs');
+  }
+
+  // Run IDs come from the windows too, so only UUIDs make it into a path
+  getRunFile(runId, projectPath) {
+    if (!isUuid(runId)) {
+      throw new Error(`Invalid run ID: ${runId}`);
+    }
+    return path.join(this.getHistoryDir(projectPath), `${runId}.json`);
+  }
+
+  // Save a run after any save of it still in progress, under its project
+  // or the given one
+  saveRun(record, projectPath = record.projectPath) {
+    const previous = this.pendingSaves.get(record.runId) || Promise.resolve();
+    const save = previous.then(() => this.writeRun(record, projectPath));
+
+    const done = save.catch(() => {});
+    this.pendingSaves.set(record.runId, done);
+    done.then(() => {
+      if (this.pendingSaves.get(record.runId) === done) this.pendingSaves.delete(record.runId);
+    });
+    return save;
+  }
+
+  async writeRun(record, projectPath) {
+    await writeJsonFile(this.getRunFile(record.runId, projectPath), record);
+  }
+
+  // Record the start of a run under its project, by default the current one
+  async startRun(runId, toolName, optionValues, project = null) {
+    const record = {
+      runId,
+      toolName,
+      optionValues: { ...optionValues },
+      projectName: project ? project.projectName : appState.CURRENT_PROJECT,
+      projectPath: project ? project.projectPath : appState.CURRENT_PROJECT_PATH,
+      startTime: new Date().toISOString(),
+      endTime: null,
+      status: 'running',
+      exitCode: null,
+      output: '',
+      stdout: '',
+      stderr: '',
+      createdFiles: [],
+      usage: null,
+      error: null
+    };
+
+    this.activeRuns.set(runId, record);
+    await this.saveRun(record);
+    return record;
+  }
+
+  // Append text shown in the tool window to the run's log, which is saved
+  // within FLUSH_INTERVAL
+  appendOutput(runId, text) {
+    const record = this.activeRuns.get(runId);
+    if (!record) return;
+
+    record.output += text;
+    if (!this.flushTimers.has(runId)) {
+      this.flushTimers.set(runId, setTimeout(() => this.flushOutput(runId), FLUSH_INTERVAL));
+    }
+  }
+
+  flushOutput(runId) {
+    this.flushTimers.delete(runId);
+    const record = this.activeRuns.get(runId);
+    if (!record) return;
+
+    this.saveRun(record).catch(error => console.error('Error saving run log:', error));
+  }
+
+  // Stop a finished run's pending log save; the final save includes the log
+  endRun(runId) {
+    clearTimeout(this.flushTimers.get(runId));
+    this.flushTimers.delete(runId);
+    this.activeRuns.delete(runId);
+  }
+
+  // Record a run that finished, whatever its exit code; a stopped run is
+  // cancelled, with the partial files it saved
+  async finishRun(runId, result) {
+    const record = this.activeRuns.get(runId);
+    if (!record) return null;
+
+    record.endTime = new Date().toISOString();
+    record.exitCode = result.code;
+    if (result.cancelled) {
+      record.status = 'cancelled';
+    } else {
+      record.status = result.code === 0 ? 'completed' : 'failed';
+    }
+    record.stdout = result.stdout || '';
+    record.stderr = result.stderr || '';
+    record.createdFiles = result.createdFiles || [];
+    record.usage = result.usage || null;
+
+    this.endRun(runId);
+    await this.saveRun(record);
+    return record;
+  }
+
+  // Record a run that could not be started or crashed
+  async failRun(runId, error) {
+    const record = this.activeRuns.get(runId);
+    if (!record) return null;
+
+    record.endTime = new Date().toISOString();
+    record.status = 'error';
+    record.error = error.message;
+
+    this.endRun(runId);
+    await this.saveRun(record);
+    return record;
+  }
+
+  // Summary of a run without its logs, for listing
+  summarize(record) {
+    return {
+      runId: record.runId,
+      toolName: record.toolName,
+      projectName: record.projectName,
+      startTime: record.startTime,
+      endTime: record.endTime,
+      status: record.status,
+      exitCode: record.exitCode,
+      createdFiles: record.createdFiles,
+      cost: record.usage ? record.usage.cost : null
+    };
+  }
+
+  // A run saved as running that isn't running or being saved now was cut
+  // off, e.g. by a crash or the app being killed, in an earlier session. It
+  // is saved back where it was read, as the project may have been renamed.
+  markInterrupted(record, projectPath) {
+    if (record.status !== 'running') return record;
+    if (this.activeRuns.has(record.runId) || this.pendingSaves.has(record.runId)) return record;
+
+    record.status = 'interrupted';
+    record.error = 'The app closed before the run finished';
+    this.saveRun(record, projectPath).catch(error => console.error('Error saving run history:', error));
+    return record;
+  }
+
+  async loadRuns(projectPath) {
+    const historyDir = this.getHistoryDir(projectPath);
+    if (!fs.existsSync(historyDir)) return [];
+
+    const runs = [];
+    const files = await fs.promises.readdir(historyDir);
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const content = await fs.promises.readFile(path.join(historyDir, file), 'utf8');
+        runs.push(this.markInterrupted(JSON.parse(content), projectPath));
+      } catch (error) {
+        console.error(`Error reading run history file ${file}:`, error);
+      }
+    }
+
+    // Newest first
+    return runs.sort((a, b) => b.startTime.localeCompare(a.startTime));
+  }
+
+  // List runs for a project, newest first
+  async listRuns(projectPath) {
+    const runs = await this.loadRuns(projectPath);
+    return runs.map(record => this.summarize(record));
+  }
+
+  // Full record of a single run, including logs and options
+  async getRun(runId, projectPath) {
+    if (this.activeRuns.has(runId)) {
+      return this.activeRuns.get(runId);
+    }
+
+    const runFile = this.getRunFile(runId, projectPath);
+    if (!fs.existsSync(runFile)) return null;
+
+    const content = await fs.promises.readFile(runFile, 'utf8');
+    return this.markInterrupted(JSON.parse(content), projectPath);
+  }
+
+  // Find runs whose tool name, options or logs contain the query
+  async searchRuns(query, projectPath) {
+    const runs = await this.loadRuns(projectPath);
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) return runs.map(record => this.summarize(record));
+
+    const matches = [];
+    for (const record of runs) {
+      const fields = [
+        record.toolName,
+        JSON.stringify(record.optionValues),
+        record.output,
+        record.stderr,
+        record.error || ''
+      ];
+      const haystack = fields.join('\n');
+      const index = haystack.toLowerCase().indexOf(needle);
+      if (index === -1) continue;
+
+      // Show a little context around the first match
+      const start = Math.max(0, index - 60);
+      const end = Math.min(haystack.length, index + needle.length + 60);
+      matches.push({
+        ...this.summarize(record),
+        snippet: haystack.slice(start, end).replace(/\s+/g, ' ')
+      });
+    }
+
+    return matches;
+  }
+}
+
+// Export a singleton instance
+module.exports = new RunHistory();
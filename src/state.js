@@ -5,14 +5,37 @@ const os = require('os');
 // Create a placeholder for Store that will be filled in later
 let Store = null;
 
+const DEFAULT_PROJECTS_DIR = path.join(os.homedir(), 'writing');
+
+// Default Claude API settings; tools may override the model per tool
+const DEFAULT_CLAUDE_API_CONFIGURATION = {
+  model: 'claude-3-7-sonnet-20250219',
+  // Comma-separated; the output-128k beta only applies to Claude 3.7 Sonnet
+  betas: 'output-128k-2025-02-19',
+  max_retries: 1,
+  request_timeout: 300,
+  context_window: 200000,
+  thinking_budget_tokens: 32000,
+  betas_max_tokens: 128000,
+  desired_output_tokens: 12000,
+  base_url: ''
+};
+
+// Tool runs allowed at the same time, by default and at most
+const DEFAULT_MAX_CONCURRENT_JOBS = 2;
+const MAX_CONCURRENT_JOBS_LIMIT = 8;
+
 // Create the AppState class
 class AppState {
   constructor() {
     // Application paths
     this.APP_ROOT = path.resolve(path.join(__dirname, '..'));
     
-    // File system paths
-    this.PROJECTS_DIR = path.join(os.homedir(), 'writing');
+    // File system paths: every root folder that may hold projects.
+    // PROJECTS_DIR is the primary root, used for new projects, templates
+    // and archives.
+    this.PROJECT_ROOTS = [DEFAULT_PROJECTS_DIR];
+    this.PROJECTS_DIR = DEFAULT_PROJECTS_DIR;
     this.DEFAULT_SAVE_DIR = this.PROJECTS_DIR;
     
     // Project tracking
@@ -30,14 +53,13 @@ class AppState {
     this.initialized = false;
     
     // Default Claude API settings
-    this.settings_claude_api_configuration = {
-      max_retries: 1,
-      request_timeout: 300,
-      context_window: 200000,
-      thinking_budget_tokens: 32000,
-      betas_max_tokens: 128000,
-      desired_output_tokens: 12000
-    };
+    this.settings_claude_api_configuration = { ...DEFAULT_CLAUDE_API_CONFIGURATION };
+    
+    // Monthly spending limit in dollars for all projects; 0 means none
+    this.MONTHLY_BUDGET = 0;
+    
+    // How many tool runs may run at the same time; the rest wait in the queue
+    this.MAX_CONCURRENT_JOBS = DEFAULT_MAX_CONCURRENT_JOBS;
   }
   
   // Async initialization method
@@ -73,6 +95,9 @@ class AppState {
       return;
     }
     
+    // Project roots come first, since they decide which saved paths are valid
+    this.applyProjectRoots(this.store.get('project_roots', [DEFAULT_PROJECTS_DIR]));
+    
     // Load settings from electron-store
     const settings = this.store.get('settings', {});
     
@@ -89,30 +114,119 @@ class AppState {
       }
     }
     
-    // Load Claude API settings
-    this.settings_claude_api_configuration = 
-      this.store.get('claude_api_configuration', {
-        max_retries: 1,
-        request_timeout: 300,
-        context_window: 200000,
-        thinking_budget_tokens: 32000,
-        betas_max_tokens: 128000,
-        desired_output_tokens: 12000
-      });
+    // Load Claude API settings; settings saved before a setting existed get its default
+    this.settings_claude_api_configuration = {
+      ...DEFAULT_CLAUDE_API_CONFIGURATION,
+      ...this.store.get('claude_api_configuration', {})
+    };
+    
+    this.MONTHLY_BUDGET = this.store.get('monthly_budget', 0);
+    this.MAX_CONCURRENT_JOBS = this.store.get('max_concurrent_jobs', DEFAULT_MAX_CONCURRENT_JOBS);
   }
   
-  isPathValid(filePath) {
-    // Verify path exists and is within PROJECTS_DIR
+  setMaxConcurrentJobs(count) {
+    const limit = Number(count);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CONCURRENT_JOBS_LIMIT) {
+      throw new Error(`Concurrent jobs must be a whole number from 1 to ${MAX_CONCURRENT_JOBS_LIMIT}`);
+    }
+    this.MAX_CONCURRENT_JOBS = limit;
+    if (this.store) {
+      this.store.set('max_concurrent_jobs', limit);
+    }
+  }
+  
+  setMonthlyBudget(amount) {
+    const budget = Number(amount);
+    if (!Number.isFinite(budget) || budget < 0) {
+      throw new Error('The monthly budget must be a positive amount, or 0 for none');
+    }
+    this.MONTHLY_BUDGET = budget;
+    if (this.store) {
+      this.store.set('monthly_budget', budget);
+    }
+  }
+  
+  // Clean up a list of roots: absolute, ~ expanded, no duplicates
+  normalizeProjectRoots(roots) {
+    const normalized = [];
+    for (const root of roots || []) {
+      if (typeof root !== 'string' || !root.trim()) continue;
+      
+      const expanded = root.trim().replace(/^~(?=$|[\\/])/, os.homedir());
+      const resolved = path.resolve(expanded);
+      if (!normalized.includes(resolved)) {
+        normalized.push(resolved);
+      }
+    }
+    return normalized.length > 0 ? normalized : [DEFAULT_PROJECTS_DIR];
+  }
+  
+  applyProjectRoots(roots) {
+    this.PROJECT_ROOTS = this.normalizeProjectRoots(roots);
+    this.PROJECTS_DIR = this.PROJECT_ROOTS[0];
+  }
+  
+  // Replace the project roots and remember them
+  setProjectRoots(roots) {
+    this.applyProjectRoots(roots);
+    if (this.store) {
+      this.store.set('project_roots', this.PROJECT_ROOTS);
+    }
+    
+    // The current project must still live under one of the roots
+    if (this.CURRENT_PROJECT_PATH && !this.isPathValid(this.CURRENT_PROJECT_PATH)) {
+      this.clearCurrentProject();
+    }
+  }
+  
+  // The project root containing a path, or null if it is outside all of them
+  getProjectRoot(filePath) {
     try {
       const realPath = path.resolve(filePath);
-      const realProjectsDir = path.resolve(this.PROJECTS_DIR);
-      return realPath.startsWith(realProjectsDir);
+      return this.PROJECT_ROOTS.find(root =>
+        realPath === root || realPath.startsWith(root.endsWith(path.sep) ? root : root + path.sep)
+      ) || null;
     } catch (error) {
       console.error('Path validation error:', error);
-      return false;
+      return null;
     }
   }
   
+  isPathValid(filePath) {
+    // Verify path is within one of the project roots
+    return this.getProjectRoot(filePath) !== null;
+  }
+  
+  // Folder of a project given by name (in the primary root) or by path
+  resolveProjectPath(project) {
+    const projectPath = path.resolve(this.PROJECTS_DIR, project);
+    if (!this.PROJECT_ROOTS.includes(path.dirname(projectPath))) {
+      throw new Error(`Not a project in any project root: ${projectPath}`);
+    }
+    return projectPath;
+  }
+  
+  // Make a project current and remember it in the stored settings
+  setCurrentProject(projectName, projectPath) {
+    this.CURRENT_PROJECT = projectName;
+    this.CURRENT_PROJECT_PATH = projectPath;
+    this.DEFAULT_SAVE_DIR = projectPath || this.PROJECTS_DIR;
+    
+    if (this.store) {
+      this.store.set('settings', {
+        ...this.store.get('settings', {}),
+        default_save_dir: this.DEFAULT_SAVE_DIR,
+        current_project: projectName,
+        current_project_path: projectPath
+      });
+    }
+  }
+  
+  // Forget the current project, e.g. after it was deleted
+  clearCurrentProject() {
+    this.setCurrentProject(null, null);
+  }
+  
   // ... other methods to manage state
 }
 
@@ -0,0 +1,137 @@
+// src/tool-arguments.js
+// Builds a tool's command line from the option schema stored in the database.
+//
+// Each option may carry a "cli" object describing how it maps to arguments:
+//   flag       - flag to pass instead of the option name, e.g. "--text_file"
+//   positional - slot number; the value is passed without a flag
+//   boolean    - "flag" (default, pass the flag when true), "negate" (pass the
+//                flag when false) or "value" (pass "true"/"false" after the flag)
+//   repeat     - "nargs" (--flag a b), "flag" (--flag a --flag b) or "join"
+//   separator  - splits string values for repeat, and joins for "join" (default ",")
+//   transform  - one name or a list of: trim, lower, upper, resolve, basename, int, float
+//   skip       - never pass this option to the tool
+const path = require('path');
+
+const TRANSFORMS = {
+  trim: value => String(value).trim(),
+  lower: value => String(value).toLowerCase(),
+  upper: value => String(value).toUpperCase(),
+  resolve: value => path.resolve(String(value)),
+  basename: value => path.basename(String(value)),
+  int: value => String(parseInt(value, 10)),
+  float: value => String(parseFloat(value))
+};
+
+// Empty values are left out so the tool falls back to its own default
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+// Flag used for an option when the schema doesn't name one
+function defaultFlag(name) {
+  return name.startsWith('-') ? name : `--${name}`;
+}
+
+function applyTransforms(value, transform) {
+  if (!transform) return String(value);
+
+  const names = Array.isArray(transform) ? transform : [transform];
+  return names.reduce((result, name) => {
+    const fn = TRANSFORMS[name];
+    if (!fn) {
+      throw new Error(`Unknown argument transform: ${name}`);
+    }
+    return fn(result);
+  }, value);
+}
+
+// Turn a value into the list of strings it stands for
+function toValueList(value, cli) {
+  let items = value;
+  if (!Array.isArray(items)) {
+    items = cli.repeat ? String(items).split(cli.separator || ',') : [items];
+  }
+  return items
+    .map(item => (typeof item === 'string' ? item.trim() : item))
+    .filter(item => !isEmpty(item))
+    .map(item => applyTransforms(item, cli.transform));
+}
+
+// Arguments for a single option value, or null for a positional value
+function buildOptionArguments(name, value, cli) {
+  const flag = cli.flag || defaultFlag(name);
+
+  if (typeof value === 'boolean') {
+    switch (cli.boolean || 'flag') {
+      case 'negate':
+        return value ? [] : [flag];
+      case 'value':
+        return [flag, String(value)];
+      case 'flag':
+      default:
+        return value ? [flag] : [];
+    }
+  }
+
+  const values = toValueList(value, cli);
+  if (values.length === 0) return [];
+
+  switch (cli.repeat) {
+    case 'flag':
+      return values.flatMap(item => [flag, item]);
+    case 'join':
+      return [flag, values.join(cli.separator || ',')];
+    case 'nargs':
+      return [flag, ...values];
+    default:
+      return [flag, values[0]];
+  }
+}
+
+/**
+ * Build the argument list for a tool run
+ * @param {Array} optionDefs - Option definitions from the tool's database record
+ * @param {Object} optionValues - Option values keyed by option name
+ * @returns {string[]} Command-line arguments
+ */
+function buildToolArguments(optionDefs, optionValues) {
+  const defsByName = new Map((optionDefs || []).map(def => [def.name, def]));
+  const positionals = [];
+  const args = [];
+
+  // Check required options before building anything
+  for (const def of defsByName.values()) {
+    if (def.required && isEmpty(optionValues[def.name])) {
+      throw new Error(`Missing required option: ${def.name}`);
+    }
+  }
+
+  for (const [name, value] of Object.entries(optionValues)) {
+    if (isEmpty(value)) continue;
+
+    const def = defsByName.get(name);
+    const cli = (def && def.cli) || {};
+    if (cli.skip) continue;
+
+    if (cli.positional !== undefined) {
+      toValueList(value, cli).forEach(item => {
+        positionals.push({ slot: cli.positional, value: item });
+      });
+      continue;
+    }
+
+    args.push(...buildOptionArguments(name, value, cli));
+  }
+
+  // Positional arguments go first, in slot order
+  const ordered = positionals
+    .sort((a, b) => a.slot - b.slot)
+    .map(item => item.value);
+
+  return [...ordered, ...args];
+}
+
+module.exports = {
+  buildToolArguments
+};
@@ -0,0 +1,82 @@
+// src/tool-progress.js
+// Splits a tool's stdout into plain output and progress events. Tools write
+// each event as a ::wt:: line of JSON (see tools/progress-events.js), which
+// may start in the middle of streamed text; everything else is passed on
+// unchanged as it arrives.
+
+// The tools' side of the protocol defines it, so the two can't drift apart
+const { PROGRESS_ENV, PROGRESS_PREFIX } = require('../tools/progress-events');
+
+// Length of the longest end of text that could be the start of the prefix
+function partialPrefixLength(text) {
+  const max = Math.min(text.length, PROGRESS_PREFIX.length - 1);
+  for (let length = max; length > 0; length--) {
+    if (PROGRESS_PREFIX.startsWith(text.slice(-length))) return length;
+  }
+  return 0;
+}
+
+class ProgressStream {
+  constructor(onText, onEvent) {
+    this.onText = onText;
+    this.onEvent = onEvent;
+    this.buffer = '';
+  }
+
+  write(chunk) {
+    this.buffer += chunk;
+
+    for (;;) {
+      const start = this.buffer.indexOf(PROGRESS_PREFIX);
+      if (start === -1) {
+        // Hold back only what might be the start of an event
+        const keep = partialPrefixLength(this.buffer);
+        this.emitText(this.buffer.slice(0, this.buffer.length - keep));
+        this.buffer = this.buffer.slice(this.buffer.length - keep);
+        return;
+      }
+
+      this.emitText(this.buffer.slice(0, start));
+      const end = this.buffer.indexOf('\n', start);
+      if (end === -1) {
+        // Wait for the rest of the event line
+        this.buffer = this.buffer.slice(start);
+        return;
+      }
+
+      this.emitLine(this.buffer.slice(start, end));
+      this.buffer = this.buffer.slice(end + 1);
+    }
+  }
+
+  // Pass on whatever is left when the tool exits
+  end() {
+    const rest = this.buffer;
+    this.buffer = '';
+    if (rest.startsWith(PROGRESS_PREFIX)) {
+      this.emitLine(rest);
+    } else {
+      this.emitText(rest);
+    }
+  }
+
+  emitText(text) {
+    if (text) this.onText(text);
+  }
+
+  // A line that isn't a valid event is shown as ordinary output
+  emitLine(line) {
+    try {
+      const event = JSON.parse(line.slice(PROGRESS_PREFIX.length));
+      if (event && typeof event.event === 'string') {
+        this.onEvent(event);
+        return;
+      }
+    } catch (error) {
+      // Fall through to plain text
+    }
+    this.onText(`${line}\n`);
+  }
+}
+
+module.exports = { ProgressStream, PROGRESS_ENV, PROGRESS_PREFIX };
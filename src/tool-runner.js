@@ -1,44 +1,144 @@
 // src/tool-runner.js
-const { spawn } = require('child_process');
+const { spawn, spawnSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 const { app } = require('electron');
 const appState = require('./state');
+const claudeApi = require('./claude-api');
+const usageLedger = require('./usage-ledger');
+const database = require('./database');
+const { buildToolArguments } = require('./tool-arguments');
+const { getPathVariables, resolveOptionValues } = require('./path-variables');
+const { ProgressStream, PROGRESS_ENV } = require('./tool-progress');
+const { checkModel } = require('../tools/model-limits');
+
+// How long a stopped tool has to save its partial output before its
+// processes are killed
+const STOP_TIMEOUT = 5000;
+
+// Outside Windows each tool leads its own process group, so stopping it
+// reaches any processes it started too
+const USE_PROCESS_GROUPS = process.platform !== 'win32';
 
 class ToolRunner {
   constructor() {
     this.runningProcesses = new Map();
+    // Project and progress listener of each run being started, keyed by run ID
+    this.runContexts = new Map();
+    // Runs not spawned yet, and those of them asked to stop meanwhile
+    this.startingRuns = new Set();
+    this.pendingStops = new Set();
+    // Python interpreter, resolved on first use
+    this.pythonInterpreter = null;
     // Store app root directory for relative path resolution
     this.appRoot = path.resolve(path.join(__dirname, '..'));
   }
   
-  async runTool(toolName, optionValues, logCallback) {
-    // Generate unique ID for this tool run
-    const runId = uuidv4();
+  // The caller may pass its own run ID so it can later stop or look up the
+  // run. Options: onProgress, called with the progress events the tool
+  // writes, and project ({ projectName, projectPath }) to run the tool in
+  // instead of the current project, e.g. for a job queued before the
+  // project was changed.
+  async runTool(toolName, optionValues, logCallback, runId = uuidv4(), options = {}) {
+    this.startingRuns.add(runId);
+    try {
+      return await this.startTool(toolName, optionValues, logCallback, runId, options);
+    } finally {
+      this.startingRuns.delete(runId);
+      this.pendingStops.delete(runId);
+    }
+  }
+
+  async startTool(toolName, optionValues, logCallback, runId, { onProgress = null, project = null }) {
+    const projectName = project ? project.projectName : appState.CURRENT_PROJECT;
+    const projectPath = project ? project.projectPath : appState.CURRENT_PROJECT_PATH;
     
     // Create tracking file for outputs
     const tempDir = app.getPath('temp') || os.tmpdir();
     const trackingFile = path.join(tempDir, `${runId}.txt`);
     
+    // Every tool calls the Claude API, so fail now rather than deep in the run
+    const apiKey = claudeApi.getApiKey();
+    if (!apiKey) {
+      const message = 'No Anthropic API key is set. Add your key in Settings > API Settings, or set ANTHROPIC_API_KEY before starting the app.';
+      if (logCallback) logCallback(`ERROR: ${message}`);
+      return Promise.reject(new Error(message));
+    }
+    
+    // Resolve ${PROJECT_PATH} and the other placeholders against the run's project
+    let options;
+    try {
+      options = resolveOptionValues(optionValues, {
+        ...getPathVariables(),
+        PROJECT_PATH: projectPath,
+        PROJECT_NAME: projectName
+      });
+    } catch (error) {
+      if (logCallback) logCallback(`ERROR: ${error.message}`);
+      return Promise.reject(error);
+    }
+    
     // Add output tracking to options
-    const options = { ...optionValues };
     options['--output_tracking'] = trackingFile;
     
-    // Check if the tool is a JavaScript tool
+    // The tool's option schema declares how each option maps to arguments
+    const tool = await this.getToolRecord(toolName);
+    const optionDefs = tool ? tool.options || [] : [];
+    
+    // A tool's own model overrides the one in the API settings
+    const apiConfig = this.getApiConfiguration(tool);
+    if (logCallback) logCallback(`Model: ${apiConfig.model}${tool && tool.model ? ' (set for this tool)' : ''}`);
+    
+    // Betas and token limits are fitted to the model by the tool, but a
+    // model that can't think can't run any tool
+    const modelError = checkModel(apiConfig.model);
+    if (modelError) {
+      if (logCallback) logCallback(`ERROR: ${modelError}`);
+      return Promise.reject(new Error(modelError));
+    }
+    
+    // spawnTool picks this up and removes it when the process ends
+    this.runContexts.set(runId, { projectPath, onProgress });
+    
+    // Dispatch on the tool type
+    let run;
     if (toolName.endsWith('.js')) {
-      return this.runJavaScriptTool(toolName, options, trackingFile, runId, logCallback);
+      run = this.runJavaScriptTool(toolName, optionDefs, options, apiConfig, apiKey, trackingFile, runId, logCallback);
+    } else if (toolName.endsWith('.py')) {
+      run = this.runPythonTool(toolName, optionDefs, options, apiConfig, apiKey, trackingFile, runId, logCallback);
     } else {
       if (logCallback) {
         logCallback(`ERROR: Unsupported tool type: ${toolName}`);
-        logCallback('Only JavaScript (.js) tools are supported.');
+        logCallback('Only JavaScript (.js) and Python (.py) tools are supported.');
       }
-      return Promise.reject(new Error(`Unsupported tool type: ${toolName}`));
+      run = Promise.reject(new Error(`Unsupported tool type: ${toolName}`));
     }
+    
+    // A run that never started has nothing to clean up its context
+    return run.catch(error => {
+      this.runContexts.delete(runId);
+      throw error;
+    });
   }
   
-  async runJavaScriptTool(toolName, optionValues, trackingFile, runId, logCallback) {
+  // Load a tool's database record, with its option definitions
+  async getToolRecord(toolName) {
+    await database.init();
+    return database.getToolByName(toolName);
+  }
+  
+  // API settings for a run of a tool, with the tool's model if it sets one
+  getApiConfiguration(tool) {
+    const config = { ...appState.settings_claude_api_configuration };
+    if (tool && typeof tool.model === 'string' && tool.model.trim()) {
+      config.model = tool.model.trim();
+    }
+    return config;
+  }
+  
+  async runJavaScriptTool(toolName, optionDefs, optionValues, apiConfig, apiKey, trackingFile, runId, logCallback) {
     try {
       // Get the tool path - using relative path from app root
       const toolPath = path.join(this.appRoot, 'tools', toolName);
@@ -50,106 +150,22 @@ class ToolRunner {
         return Promise.reject(new Error(`Tool not found: ${toolPath}`));
       }
       
-      // Special handling for tokens_words_counter.js
-      if (toolName === 'tokens_words_counter.js') {
-        return this.runTokensWordsCounter(toolPath, optionValues, trackingFile, runId, logCallback);
-      }
-      
-      // Build arguments list for node.js
-      const args = [];
+      // Script path followed by the arguments declared in the option schema
+      const args = [toolPath, ...buildToolArguments(optionDefs, optionValues)];
       
-      // Add the script path
-      args.push(toolPath);
-      
-      // Add all the options
-      for (const [name, value] of Object.entries(optionValues)) {
-        if (name.startsWith('--')) {
-          // This is a flag argument like --verbose
-          if (typeof value === 'boolean') {
-            if (value) args.push(name);
-          } else {
-            args.push(name);
-            args.push(String(value));
-          }
-        } else if (name === 'input_file' || name === 'output_file') {
-          // For file paths, add them as positional or named arguments
-          if (name === 'input_file') {
-            args.push(String(value)); // Positional argument
-          } else {
-            args.push(`--${name}`);
-            args.push(String(value));
-          }
-        } else {
-          // Convert to flag format for other options
-          args.push(`--${name}`);
-          args.push(String(value));
-        }
-      }
+      // Add module type flag to avoid warnings
+      const nodeArgs = ['--no-warnings'];
       
       // Log the command
-      const cmdString = `node ${args.join(' ')}`;
+      const cmdString = `node ${nodeArgs.join(' ')} ${args.join(' ')}`;
       if (logCallback) logCallback(`Running command: ${cmdString}`);
       
-      return new Promise((resolve, reject) => {
-        // Spawn the node process
-        const process = spawn('node', args);
-        
-        // Store reference to the process
-        this.runningProcesses.set(runId, process);
-        
-        let stdout = '';
-        let stderr = '';
-        
-        // Capture stdout
-        process.stdout.on('data', (data) => {
-          const text = data.toString();
-          stdout += text;
-          if (logCallback) logCallback(text);
-        });
-        
-        // Capture stderr
-        process.stderr.on('data', (data) => {
-          const text = data.toString();
-          stderr += text;
-          if (logCallback) logCallback(`ERROR: ${text}`);
-        });
-        
-        // Handle process completion
-        process.on('close', (code) => {
-          this.runningProcesses.delete(runId);
-          
-          if (logCallback) {
-            logCallback(`\nProcess finished with return code ${code}`);
-            logCallback(`\nTool finished with exit code: ${code}`);
-          }
-          
-          // Check for output tracking file
-          let createdFiles = [];
-          if (fs.existsSync(trackingFile)) {
-            try {
-              const fileContent = fs.readFileSync(trackingFile, 'utf8');
-              createdFiles = fileContent.split('\n')
-                .filter(line => line.trim())
-                .map(line => {
-                  const filePath = line.trim();
-                  return path.resolve(filePath);
-                })
-                .filter(filePath => fs.existsSync(filePath));
-            } catch (error) {
-              if (logCallback) {
-                logCallback(`Error reading output files list: ${error.message}`);
-              }
-            }
-          }
-          
-          resolve({ stdout, stderr, createdFiles, code });
-        });
-        
-        process.on('error', (error) => {
-          this.runningProcesses.delete(runId);
-          if (logCallback) logCallback(`ERROR: ${error.message}`);
-          reject(error);
-        });
+      // Spawn the node process with the --no-warnings flag
+      return this.spawnTool('node', [...nodeArgs, ...args], trackingFile, runId, logCallback, {
+        cwd: this.getWorkingDirectory(runId),
+        env: this.getToolEnvironment(apiConfig, apiKey, { WRITERS_TOOLKIT_USAGE_FILE: this.getUsageFile(trackingFile) }),
+        // Filter out module type warnings
+        ignoreStderr: text => text.includes('MODULE_TYPELESS_PACKAGE_JSON')
       });
     } catch (error) {
       if (logCallback) {
@@ -159,126 +175,315 @@ class ToolRunner {
     }
   }
   
-  // Special handler for the tokens_words_counter.js tool
-  async runTokensWordsCounter(toolPath, optionValues, trackingFile, runId, logCallback) {
+  async runPythonTool(toolName, optionDefs, optionValues, apiConfig, apiKey, trackingFile, runId, logCallback) {
     try {
-      // Clean up args to match what the tool expects
-      const args = [toolPath];
+      // Python tools live alongside the JavaScript tools
+      const toolPath = path.join(this.appRoot, 'tools', toolName);
       
-      // Add required --text_file parameter (converted from input_file)
-      if (optionValues.input_file) {
-        args.push('--text_file');
-        args.push(optionValues.input_file);
-      } else {
-        if (logCallback) logCallback('ERROR: Missing required parameter input_file');
-        return Promise.reject(new Error('Missing required parameter: input_file'));
+      if (!fs.existsSync(toolPath)) {
+        if (logCallback) {
+          logCallback(`ERROR: Cannot find tool at path: ${toolPath}`);
+        }
+        return Promise.reject(new Error(`Tool not found: ${toolPath}`));
       }
       
-      // Map save_dir to --save_dir
-      if (optionValues.save_dir) {
-        args.push('--save_dir');
-        args.push(optionValues.save_dir);
+      const interpreter = this.findPythonInterpreter();
+      if (!interpreter) {
+        if (logCallback) {
+          logCallback('ERROR: No Python interpreter found.');
+          logCallback('Set WRITERS_TOOLKIT_PYTHON to a Python 3 interpreter or venv, or create a venv in the app folder.');
+        }
+        return Promise.reject(new Error('Python interpreter not found'));
       }
       
-      // Add verbose flag if set
-      if (optionValues.verbose) {
-        args.push('--verbose');
+      // -u keeps stdout unbuffered so output streams into the tool window
+      const args = ['-u', toolPath, ...buildToolArguments(optionDefs, optionValues)];
+      
+      // Log the command
+      const cmdString = `${interpreter} ${args.join(' ')}`;
+      if (logCallback) logCallback(`Running command: ${cmdString}`);
+      
+      return this.spawnTool(interpreter, args, trackingFile, runId, logCallback, {
+        cwd: this.getWorkingDirectory(runId),
+        env: this.getToolEnvironment(apiConfig, apiKey, {
+          PYTHONUNBUFFERED: '1',
+          PYTHONIOENCODING: 'utf-8',
+          WRITERS_TOOLKIT_USAGE_FILE: this.getUsageFile(trackingFile)
+        })
+      });
+    } catch (error) {
+      if (logCallback) {
+        logCallback(`Error running Python tool: ${error.message}`);
       }
+      return Promise.reject(error);
+    }
+  }
+  
+  // Tools run inside the run's project so relative paths land there
+  getWorkingDirectory(runId) {
+    const context = this.runContexts.get(runId);
+    const projectPath = context ? context.projectPath : appState.CURRENT_PROJECT_PATH;
+    if (projectPath && fs.existsSync(projectPath)) {
+      return projectPath;
+    }
+    return appState.PROJECTS_DIR && fs.existsSync(appState.PROJECTS_DIR)
+      ? appState.PROJECTS_DIR
+      : this.appRoot;
+  }
+  
+  // Tools read their API settings from WRITERS_TOOLKIT_API_CONFIG and the
+  // key from ANTHROPIC_API_KEY; a base URL also goes in ANTHROPIC_BASE_URL,
+  // which the Anthropic SDKs read themselves. WRITERS_TOOLKIT_PROGRESS asks
+  // tools for progress events.
+  getToolEnvironment(apiConfig, apiKey, extra = {}) {
+    const env = {
+      ...process.env,
+      ANTHROPIC_API_KEY: apiKey,
+      WRITERS_TOOLKIT_API_CONFIG: JSON.stringify(apiConfig),
+      [PROGRESS_ENV]: '1',
+      ...extra
+    };
+    if (apiConfig.base_url) {
+      env.ANTHROPIC_BASE_URL = apiConfig.base_url;
+    }
+    return env;
+  }
+  
+  // Locate a Python interpreter: configured path, app venv, then PATH
+  findPythonInterpreter() {
+    if (this.pythonInterpreter) return this.pythonInterpreter;
+    
+    const candidates = [];
+    
+    // Explicitly configured interpreter or venv; python_interpreter has no
+    // settings field, so it is only set by editing the app's config file
+    const configured = process.env.WRITERS_TOOLKIT_PYTHON ||
+      (appState.store ? appState.store.get('python_interpreter') : null);
+    if (configured) {
+      if (fs.existsSync(configured) && fs.statSync(configured).isDirectory()) {
+        candidates.push(...this.venvInterpreters(configured));
+      } else {
+        candidates.push(configured);
+      }
+    }
+    
+    // A venv inside the app folder
+    candidates.push(...this.venvInterpreters(path.join(this.appRoot, 'venv')));
+    candidates.push(...this.venvInterpreters(path.join(this.appRoot, '.venv')));
+    
+    // Whatever is on the PATH
+    if (process.platform === 'win32') {
+      candidates.push('python', 'py');
+    } else {
+      candidates.push('python3', 'python');
+    }
+    
+    for (const candidate of candidates) {
+      if (path.isAbsolute(candidate) && !fs.existsSync(candidate)) continue;
       
-      // Add output tracking
-      if (optionValues['--output_tracking']) {
-        args.push('--output_tracking');
-        args.push(optionValues['--output_tracking']);
+      const check = spawnSync(candidate, ['--version'], { encoding: 'utf8' });
+      const version = `${check.stdout || ''}${check.stderr || ''}`;
+      if (check.status === 0 && version.includes('Python 3')) {
+        this.pythonInterpreter = candidate;
+        return candidate;
       }
+    }
+    
+    return null;
+  }
+  
+  // Interpreter locations inside a venv directory
+  venvInterpreters(venvDir) {
+    if (process.platform === 'win32') {
+      return [path.join(venvDir, 'Scripts', 'python.exe')];
+    }
+    return [path.join(venvDir, 'bin', 'python3'), path.join(venvDir, 'bin', 'python')];
+  }
+  
+  // Spawn a tool process, stream its output and collect created files
+  spawnTool(command, args, trackingFile, runId, logCallback, spawnOptions = {}) {
+    const { ignoreStderr, ...options } = spawnOptions;
+    options.detached = USE_PROCESS_GROUPS;
+    
+    return new Promise((resolve, reject) => {
+      const process = spawn(command, args, options);
       
-      // Add module type flag to avoid warnings
-      const nodeArgs = ['--no-warnings'];
+      // Store reference to the process
+      this.runningProcesses.set(runId, process);
+      this.startingRuns.delete(runId);
+      if (this.pendingStops.delete(runId)) {
+        this.stopTool(runId);
+      }
       
-      // Log the command
-      const cmdString = `node ${nodeArgs.join(' ')} ${args.join(' ')}`;
-      if (logCallback) logCallback(`Running command: ${cmdString}`);
+      let stdout = '';
+      let stderr = '';
       
-      return new Promise((resolve, reject) => {
-        // Spawn the node process with the --no-warnings flag
-        const process = spawn('node', [...nodeArgs, ...args]);
-        
-        // Store reference to the process
-        this.runningProcesses.set(runId, process);
-        
-        let stdout = '';
-        let stderr = '';
-        
-        // Capture stdout
-        process.stdout.on('data', (data) => {
-          const text = data.toString();
+      // Progress events go to the progress callback, everything else is output
+      const { onProgress } = this.runContexts.get(runId) || {};
+      const output = new ProgressStream(
+        text => {
           stdout += text;
           if (logCallback) logCallback(text);
-        });
+        },
+        event => {
+          // Warnings also go in the log, so the run history keeps them
+          if (event.event === 'warning' && logCallback) logCallback(`WARNING: ${event.message}\n`);
+          if (onProgress) onProgress(event);
+        }
+      );
+      
+      // Capture stdout
+      process.stdout.setEncoding('utf8');
+      process.stdout.on('data', (text) => {
+        output.write(text);
+      });
+      
+      // Capture stderr
+      process.stderr.on('data', (data) => {
+        const text = data.toString();
+        stderr += text;
+        if (ignoreStderr && ignoreStderr(text)) return;
+        if (logCallback) logCallback(`ERROR: ${text}`);
+      });
+      
+      // Handle process completion
+      process.on('close', (code) => {
+        output.end();
+        this.runningProcesses.delete(runId);
+        this.runContexts.delete(runId);
         
-        // Capture stderr
-        process.stderr.on('data', (data) => {
-          const text = data.toString();
-          stderr += text;
-          
-          // Filter out module type warnings
-          if (!text.includes('MODULE_TYPELESS_PACKAGE_JSON')) {
-            if (logCallback) logCallback(`ERROR: ${text}`);
-          }
-        });
+        const cancelled = !!process.stopRequested;
+        if (cancelled) {
+          clearTimeout(process.stopTimer);
+          // Anything the tool started that is still running
+          if (USE_PROCESS_GROUPS) this.signalProcessGroup(process, 'SIGKILL');
+        }
         
-        // Handle process completion
-        process.on('close', (code) => {
-          this.runningProcesses.delete(runId);
-          
-          if (logCallback) {
-            logCallback(`\nProcess finished with return code ${code}`);
-            logCallback(`\nTool finished with exit code: ${code}`);
-          }
-          
-          // Check for output tracking file
-          let createdFiles = [];
-          if (fs.existsSync(trackingFile)) {
-            try {
-              const fileContent = fs.readFileSync(trackingFile, 'utf8');
-              createdFiles = fileContent.split('\n')
-                .filter(line => line.trim())
-                .map(line => {
-                  const filePath = line.trim();
-                  return path.resolve(filePath);
-                })
-                .filter(filePath => fs.existsSync(filePath));
-            } catch (error) {
-              if (logCallback) {
-                logCallback(`Error reading output files list: ${error.message}`);
-              }
-            }
+        if (logCallback) {
+          if (process.treeKilled) {
+            logCallback(`\nThe tool did not stop within ${STOP_TIMEOUT / 1000} seconds, so its processes were killed.`);
           }
-          
-          resolve({ stdout, stderr, createdFiles, code });
-        });
+          logCallback(`\nProcess finished with return code ${code}`);
+          logCallback(cancelled ? '\nTool was stopped.' : `\nTool finished with exit code: ${code}`);
+        }
         
-        process.on('error', (error) => {
-          this.runningProcesses.delete(runId);
-          if (logCallback) logCallback(`ERROR: ${error.message}`);
-          reject(error);
-        });
+        const createdFiles = this.readTrackingFile(trackingFile, logCallback, options.cwd);
+        const usage = this.readUsage(trackingFile, logCallback);
+        resolve({ stdout, stderr, createdFiles, usage, code, cancelled });
       });
+      
+      process.on('error', (error) => {
+        clearTimeout(process.stopTimer);
+        this.runningProcesses.delete(runId);
+        this.runContexts.delete(runId);
+        if (logCallback) logCallback(`ERROR: ${error.message}`);
+        reject(error);
+      });
+    });
+  }
+  
+  // Tools append their token usage next to the tracking file
+  getUsageFile(trackingFile) {
+    return trackingFile.replace(/\.txt$/, '') + '.usage.jsonl';
+  }
+  
+  // Total token usage and cost of the run, or null if it made no requests
+  readUsage(trackingFile, logCallback) {
+    const usageFile = this.getUsageFile(trackingFile);
+    try {
+      const usage = usageLedger.summarize(usageLedger.readUsageFile(usageFile));
+      if (usage && logCallback) logCallback(`\n${usageLedger.describe(usage)}`);
+      if (fs.existsSync(usageFile)) fs.unlinkSync(usageFile);
+      return usage;
     } catch (error) {
-      if (logCallback) {
-        logCallback(`Error running tokens_words_counter: ${error.message}`);
+      if (logCallback) logCallback(`Error reading token usage: ${error.message}`);
+      return null;
+    }
+  }
+  
+  // Read the --output_tracking file written by the tool
+  readTrackingFile(trackingFile, logCallback, baseDir = process.cwd()) {
+    let createdFiles = [];
+    if (fs.existsSync(trackingFile)) {
+      try {
+        const fileContent = fs.readFileSync(trackingFile, 'utf8');
+        createdFiles = fileContent.split('\n')
+          .filter(line => line.trim())
+          .map(line => {
+            const filePath = line.trim();
+            return path.resolve(baseDir, filePath);
+          })
+          .filter(filePath => fs.existsSync(filePath));
+      } catch (error) {
+        if (logCallback) {
+          logCallback(`Error reading output files list: ${error.message}`);
+        }
       }
-      return Promise.reject(error);
     }
+    return createdFiles;
   }
   
+  // Stop a run. The tool gets SIGTERM so it can save its partial output and
+  // list it in the tracking file; if it is still running STOP_TIMEOUT later,
+  // its whole process tree is killed. Windows has no signal a tool can catch,
+  // so there the tree is killed at once. A run still being set up is
+  // stopped as soon as its tool is spawned.
   stopTool(runId) {
-    const process = this.runningProcesses.get(runId);
-    if (process) {
-      process.kill();
-      this.runningProcesses.delete(runId);
+    const child = this.runningProcesses.get(runId);
+    if (!child) {
+      if (!this.startingRuns.has(runId)) return false;
+      this.pendingStops.add(runId);
       return true;
     }
-    return false;
+    if (child.stopRequested) return true;
+    
+    child.stopRequested = true;
+    if (USE_PROCESS_GROUPS) {
+      this.signalProcessGroup(child, 'SIGTERM');
+      child.stopTimer = setTimeout(() => {
+        child.treeKilled = true;
+        this.killProcessTree(child);
+      }, STOP_TIMEOUT);
+    } else {
+      child.treeKilled = true;
+      this.killProcessTree(child);
+    }
+    return true;
+  }
+  
+  // Kill every running tool and the processes it started, without waiting
+  // for them to stop
+  killAll() {
+    for (const child of this.runningProcesses.values()) {
+      clearTimeout(child.stopTimer);
+      child.treeKilled = true;
+      this.killProcessTree(child);
+    }
+  }
+  
+  // Kill a tool and every process it started
+  killProcessTree(child) {
+    if (USE_PROCESS_GROUPS) {
+      this.signalProcessGroup(child, 'SIGKILL');
+      return;
+    }
+    
+    const taskkill = spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { windowsHide: true });
+    taskkill.on('error', error => {
+      console.error(`Error killing tool process ${child.pid}:`, error);
+      child.kill();
+    });
+  }
+  
+  // Send a signal to a tool's process group; it may already have exited
+  signalProcessGroup(child, signal) {
+    try {
+      process.kill(-child.pid, signal);
+    } catch (error) {
+      if (error.code !== 'ESRCH') {
+        console.error(`Error sending ${signal} to tool process ${child.pid}:`, error);
+      }
+    }
   }
 }
 
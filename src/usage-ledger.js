@@ -0,0 +1,231 @@
+// src/usage-ledger.js
+// Token usage and cost of tool runs. Tools append a usage record for each
+// Claude request to a file ToolRunner gives them; the run's total is saved
+// with the run and added to a ledger in the app's user data folder, which
+// covers all projects so spending can be checked against a monthly budget.
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const appState = require('./state');
+
+const LEDGER_FILE = 'usage-ledger.jsonl';
+
+// US dollars per million tokens, matched against the model name
+const MODEL_PRICES = [
+  { match: 'opus', input: 15, output: 75 },
+  { match: 'haiku-4', input: 1, output: 5 },
+  { match: 'claude-3-5-haiku', input: 0.8, output: 4 },
+  { match: 'haiku', input: 0.25, output: 1.25 },
+  { match: 'sonnet', input: 3, output: 15 }
+];
+
+// Unknown models are priced like Sonnet
+const DEFAULT_PRICE = MODEL_PRICES[MODEL_PRICES.length - 1];
+
+// Cache writes cost more than plain input, cache reads much less
+const CACHE_WRITE_RATE = 1.25;
+const CACHE_READ_RATE = 0.1;
+
+// Runs of a tool averaged to estimate the cost of its next run
+const ESTIMATE_RUNS = 5;
+
+const TOKEN_FIELDS = [
+  'input_tokens',
+  'output_tokens',
+  'thinking_tokens',
+  'cache_creation_input_tokens',
+  'cache_read_input_tokens'
+];
+
+class UsageLedger {
+  getLedgerFile() {
+    return path.join(app.getPath('userData'), LEDGER_FILE);
+  }
+
+  getPrice(model) {
+    const name = (model || '').toLowerCase();
+    return MODEL_PRICES.find(price => name.includes(price.match)) || DEFAULT_PRICE;
+  }
+
+  // Cost in dollars of one request's usage
+  costOf(record) {
+    const price = this.getPrice(record.model);
+    const inputCost = (record.input_tokens || 0) * price.input +
+      (record.cache_creation_input_tokens || 0) * price.input * CACHE_WRITE_RATE +
+      (record.cache_read_input_tokens || 0) * price.input * CACHE_READ_RATE;
+    // Thinking is billed as output, so it is already in output_tokens
+    const outputCost = (record.output_tokens || 0) * price.output;
+    return (inputCost + outputCost) / 1000000;
+  }
+
+  // Usage records written by a tool, or an empty list
+  readUsageFile(usageFile) {
+    if (!fs.existsSync(usageFile)) return [];
+
+    return fs.readFileSync(usageFile, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          console.error('Skipping bad usage record:', line);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // Totals for a run's requests, or null if it made none
+  summarize(records) {
+    if (!records || records.length === 0) return null;
+
+    const totals = { models: [], requests: records.length, cost: 0 };
+    TOKEN_FIELDS.forEach(field => { totals[field] = 0; });
+
+    for (const record of records) {
+      TOKEN_FIELDS.forEach(field => { totals[field] += record[field] || 0; });
+      totals.cost += this.costOf(record);
+      if (record.model && !totals.models.includes(record.model)) {
+        totals.models.push(record.model);
+      }
+    }
+    totals.cost = Math.round(totals.cost * 1000000) / 1000000;
+    return totals;
+  }
+
+  // One line for the tool window, e.g. "Usage: 2 requests, 51,200 input ..."
+  describe(usage) {
+    const number = value => value.toLocaleString('en-US');
+    return `Usage: ${usage.requests} request${usage.requests === 1 ? '' : 's'}, ` +
+      `${number(usage.input_tokens)} input and ${number(usage.output_tokens)} output tokens ` +
+      `(about ${number(usage.thinking_tokens)} thinking), ` +
+      `${number(usage.cache_read_input_tokens)} read from cache, ` +
+      `estimated cost ${this.formatCost(usage.cost)}`;
+  }
+
+  formatCost(cost) {
+    return `$${(cost || 0).toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+  }
+
+  // Add a finished run to the ledger
+  async addRun(run) {
+    if (!run.usage) return;
+
+    const entry = {
+      runId: run.runId,
+      time: run.endTime || new Date().toISOString(),
+      projectName: run.projectName,
+      projectPath: run.projectPath,
+      toolName: run.toolName,
+      ...run.usage
+    };
+
+    const ledgerFile = this.getLedgerFile();
+    await fs.promises.mkdir(path.dirname(ledgerFile), { recursive: true });
+    await fs.promises.appendFile(ledgerFile, JSON.stringify(entry) + '\n', 'utf8');
+  }
+
+  async loadEntries() {
+    const ledgerFile = this.getLedgerFile();
+    if (!fs.existsSync(ledgerFile)) return [];
+
+    const content = await fs.promises.readFile(ledgerFile, 'utf8');
+    return content.split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          console.error('Skipping bad ledger entry:', line);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // Local date of an entry, e.g. 2025-03-14
+  dayOf(entry) {
+    const date = new Date(entry.time);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  async getMonthSpend(now = new Date()) {
+    const entries = await this.loadEntries();
+    const month = this.dayOf({ time: now.toISOString() }).slice(0, 7);
+    return entries
+      .filter(entry => this.dayOf(entry).startsWith(month))
+      .reduce((sum, entry) => sum + (entry.cost || 0), 0);
+  }
+
+  // Cost and tokens grouped by a key, biggest spend first
+  groupBy(entries, keyOf) {
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = keyOf(entry);
+      const group = groups.get(key) || { key, runs: 0, cost: 0, input_tokens: 0, output_tokens: 0 };
+      group.runs++;
+      group.cost += entry.cost || 0;
+      group.input_tokens += entry.input_tokens || 0;
+      group.output_tokens += entry.output_tokens || 0;
+      groups.set(key, group);
+    }
+    return [...groups.values()].sort((a, b) => b.cost - a.cost);
+  }
+
+  // Spending per project, and per tool and per day for one project or
+  // all of them, with this month's spending against the budget
+  async getSummary(projectPath = null) {
+    const entries = await this.loadEntries();
+    const scoped = projectPath ? entries.filter(entry => entry.projectPath === projectPath) : entries;
+    const budget = appState.MONTHLY_BUDGET;
+    const spent = await this.getMonthSpend();
+
+    return {
+      month: { spent, budget, remaining: budget > 0 ? budget - spent : null },
+      total: scoped.reduce((sum, entry) => sum + (entry.cost || 0), 0),
+      byProject: this.groupBy(entries, entry => entry.projectName || '(no project)'),
+      byTool: this.groupBy(scoped, entry => entry.toolName),
+      byDay: this.groupBy(scoped, entry => this.dayOf(entry))
+        .sort((a, b) => b.key.localeCompare(a.key))
+        .slice(0, 30)
+    };
+  }
+
+  // Likely cost of a run: the average of the tool's recent runs, else of
+  // all recent runs
+  async estimateRunCost(toolName) {
+    const entries = await this.loadEntries();
+    const average = list => list.length
+      ? list.reduce((sum, entry) => sum + (entry.cost || 0), 0) / list.length
+      : 0;
+
+    const toolRuns = entries.filter(entry => entry.toolName === toolName).slice(-ESTIMATE_RUNS);
+    return toolRuns.length ? average(toolRuns) : average(entries.slice(-ESTIMATE_RUNS));
+  }
+
+  // Warning to show before a run, or the runs of a pipeline or audit, that
+  // would likely go over the monthly budget, or null
+  async checkBudget(toolNames) {
+    const budget = appState.MONTHLY_BUDGET;
+    if (!(budget > 0)) return null;
+
+    const names = Array.isArray(toolNames) ? toolNames : [toolNames];
+    const spent = await this.getMonthSpend();
+    let estimate = 0;
+    for (const toolName of names) {
+      estimate += await this.estimateRunCost(toolName);
+    }
+    if (spent + estimate <= budget) return null;
+
+    const spending = `This month's spending is ${this.formatCost(spent)} of your ${this.formatCost(budget)} budget.`;
+    const runs = names.length === 1 ? `A run of ${names[0]} costs` : `These ${names.length} runs cost`;
+    return spent >= budget
+      ? `${spending} The budget has already been reached.`
+      : `${spending} ${runs} about ${this.formatCost(estimate)}, which would go over it.`;
+  }
+}
+
+// Export a singleton instance
+module.exports = new UsageLedger();
@@ -0,0 +1,141 @@
+// src/zip-writer.js
+// Minimal zip writer for archiving project folders. Files are deflated with
+// zlib; no zip64, so each file and the whole archive must stay under 4 GB.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const MAX_ZIP_SIZE = 0xffffffff;
+
+// CRC-32 lookup table
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields used by zip headers
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// All files and folders under a directory, as paths relative to it
+async function listEntries(rootDir, relativeDir = '') {
+  const entries = [];
+  const items = await fs.promises.readdir(path.join(rootDir, relativeDir), { withFileTypes: true });
+
+  for (const item of items) {
+    const relativePath = path.join(relativeDir, item.name);
+    if (item.isDirectory()) {
+      entries.push({ relativePath, isDirectory: true });
+      entries.push(...await listEntries(rootDir, relativePath));
+    } else if (item.isFile()) {
+      entries.push({ relativePath, isDirectory: false });
+    }
+  }
+
+  return entries;
+}
+
+// Write the contents of sourceDir to zipPath, inside a top-level folder named rootName
+async function zipDirectory(sourceDir, zipPath, rootName = path.basename(sourceDir)) {
+  const entries = await listEntries(sourceDir);
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  const addEntry = async (name, data, modified) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const compressed = data.length > 0 ? zlib.deflateRawSync(data) : data;
+    const method = data.length > 0 ? 8 : 0;
+    const crc = crc32(data);
+    const { time, day } = dosDateTime(modified);
+
+    if (offset + compressed.length > MAX_ZIP_SIZE) {
+      throw new Error('Project is too large to archive as a zip file');
+    }
+
+    // Local file header; flag 0x0800 marks UTF-8 names
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    // Central directory header pointing back at the local header
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(0x0800, 8);
+    header.writeUInt16LE(method, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(day, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(compressed.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(nameBuffer.length, 28);
+    header.writeUInt32LE(name.endsWith('/') ? 0x10 : 0, 38);
+    header.writeUInt32LE(offset, 42);
+
+    chunks.push(local, nameBuffer, compressed);
+    central.push(header, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  };
+
+  const rootStats = await fs.promises.stat(sourceDir);
+  await addEntry(`${rootName}/`, Buffer.alloc(0), rootStats.mtime);
+
+  for (const entry of entries) {
+    const fullPath = path.join(sourceDir, entry.relativePath);
+    const stats = await fs.promises.stat(fullPath);
+    const name = `${rootName}/${entry.relativePath.split(path.sep).join('/')}`;
+
+    if (entry.isDirectory) {
+      await addEntry(`${name}/`, Buffer.alloc(0), stats.mtime);
+    } else {
+      await addEntry(name, await fs.promises.readFile(fullPath), stats.mtime);
+    }
+  }
+
+  const centralBuffer = Buffer.concat(central);
+  const entryCount = entries.length + 1;
+  if (entryCount > 0xffff) {
+    throw new Error('Project has too many files to archive as a zip file');
+  }
+
+  // End of central directory record
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entryCount, 8);
+  end.writeUInt16LE(entryCount, 10);
+  end.writeUInt32LE(centralBuffer.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  await fs.promises.writeFile(zipPath, Buffer.concat([...chunks, centralBuffer, end]));
+  return { zipPath, entryCount };
+}
+
+module.exports = {
+  crc32,
+  zipDirectory
+};
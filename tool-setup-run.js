@@ -9,6 +9,14 @@ const forceQuitBtn = document.getElementById('force-quit-btn');
 const outputElement = document.getElementById('output');
 const elapsedTimeElement = document.getElementById('elapsed-time');
 
+// Progress panel elements
+const progressPanel = document.getElementById('progress-panel');
+const progressPhaseElement = document.getElementById('progress-phase');
+const progressPercentElement = document.getElementById('progress-percent');
+const progressBar = document.getElementById('progress-bar');
+const progressInfo = document.getElementById('progress-info');
+const progressWarnings = document.getElementById('progress-warnings');
+
 // Dialog elements
 const setupDialogOverlay = document.getElementById('setup-dialog-overlay');
 const setupDialogClose = document.getElementById('setup-dialog-close');
@@ -16,15 +24,33 @@ const setupDialogCancel = document.getElementById('setup-dialog-cancel');
 const setupDialogApply = document.getElementById('setup-dialog-apply');
 const dialogOptionsContainer = document.getElementById('dialog-options-container');
 
+// Preset elements
+const presetSelect = document.getElementById('preset-select');
+const presetNameInput = document.getElementById('preset-name');
+const presetLoadBtn = document.getElementById('preset-load-btn');
+const presetSaveBtn = document.getElementById('preset-save-btn');
+const presetRenameBtn = document.getElementById('preset-rename-btn');
+const presetDeleteBtn = document.getElementById('preset-delete-btn');
+const presetMessage = document.getElementById('preset-message');
+
 // Tool state
 let toolData = null;
 let currentToolOptions = [];
+// Why the project's option defaults were not applied, if they weren't
+let optionsWarning = '';
 let isRunning = false;
 let startTime = null;
 let timerInterval = null;
 let currentRunId = null;
 let setupCompleted = false;
 let currentOptionValues = {};
+let toolPresets = [];
+
+// Progress reported by the running tool
+let progress = null;
+
+// Quiet this long and the run may be stalled
+const STALL_AFTER = 60000;
 
 // Initialize when the window loads
 window.addEventListener('DOMContentLoaded', async () => {
@@ -39,11 +65,27 @@ window.addEventListener('DOMContentLoaded', async () => {
       document.title = `Writer's Toolkit - ${toolData.title || toolData.name}`;
       
       // Get tool options
-      currentToolOptions = await window.electronAPI.getToolOptions(toolData.name);
+      const optionsResult = await window.electronAPI.getToolOptions(toolData.name);
+      currentToolOptions = optionsResult.options;
       console.log('Loaded tool options:', currentToolOptions);
+      if (!optionsResult.success) {
+        outputElement.textContent = `Error loading tool options: ${optionsResult.message}`;
+      } else if (optionsResult.warning) {
+        optionsWarning = optionsResult.warning;
+        outputElement.textContent = optionsWarning;
+      }
       
       // Disable Run button until setup is completed
       runBtn.disabled = true;
+      
+      // Apply option values passed in when the window was opened, e.g. a re-run from history
+      const launchOptions = await window.electronAPI.getToolLaunchOptions();
+      if (launchOptions && launchOptions.optionValues) {
+        applyOptionValues(
+          { ...getDefaultOptionValues(), ...launchOptions.optionValues },
+          `Options from ${launchOptions.source}`
+        );
+      }
     } else {
       outputElement.textContent = 'Error: No tool selected!';
     }
@@ -58,21 +100,10 @@ window.addEventListener('DOMContentLoaded', async () => {
   });
 });
 
-// Close button handler
+// Close button handler - a running or queued job keeps going and can be
+// followed or cancelled in the main window's jobs panel
 closeBtn.addEventListener('click', () => {
-  // Before closing, stop any running tool
-  if (isRunning && currentRunId) {
-    window.electronAPI.stopTool(currentRunId)
-      .then(() => {
-        window.electronAPI.closeToolDialog('cancelled');
-      })
-      .catch(error => {
-        console.error('Error stopping tool:', error);
-        window.electronAPI.closeToolDialog('cancelled');
-      });
-  } else {
-    window.electronAPI.closeToolDialog('cancelled');
-  }
+  window.electronAPI.closeToolDialog(isRunning ? 'detached' : 'cancelled');
 });
 
 // Force Quit button handler - always enabled and immediately quits the app
@@ -88,6 +119,8 @@ setupBtn.addEventListener('click', () => {
   generateOptionsForm(currentToolOptions);
   // Show the dialog
   showSetupDialog();
+  // Refresh the project's presets for this tool
+  loadPresets();
 });
 
 // Setup dialog close button
@@ -110,17 +143,147 @@ setupDialogApply.addEventListener('click', () => {
   }
   
   // Gather all options from form
-  currentOptionValues = gatherOptionValues();
-  console.log('Gathered option values:', currentOptionValues);
+  const values = gatherOptionValues();
+  console.log('Gathered option values:', values);
+  
+  applyOptionValues(values, 'Options');
+  
+  // Close the dialog
+  hideSetupDialog();
+});
+
+// Load this tool's presets for the current project into the preset list
+async function loadPresets(selectedName) {
+  const result = await window.electronAPI.getToolPresets(toolData.name);
+  toolPresets = result.presets || [];
+  
+  presetSelect.innerHTML = '';
+  const noneOption = document.createElement('option');
+  noneOption.value = '';
+  noneOption.textContent = toolPresets.length > 0 ? 'Select a preset...' : 'No presets saved';
+  presetSelect.appendChild(noneOption);
+  
+  toolPresets.forEach(preset => {
+    const optionEl = document.createElement('option');
+    optionEl.value = preset.name;
+    optionEl.textContent = preset.name === result.lastUsed ? `${preset.name} (last used)` : preset.name;
+    presetSelect.appendChild(optionEl);
+  });
+  
+  const name = selectedName !== undefined ? selectedName : result.lastUsed;
+  presetSelect.value = name && toolPresets.some(preset => preset.name === name) ? name : '';
+  presetNameInput.value = presetSelect.value;
+  
+  showPresetMessage(result.success ? '' : result.message);
+}
+
+function showPresetMessage(message) {
+  presetMessage.textContent = message || '';
+}
+
+function getSelectedPreset() {
+  return toolPresets.find(preset => preset.name === presetSelect.value) || null;
+}
+
+presetSelect.addEventListener('change', () => {
+  presetNameInput.value = presetSelect.value;
+});
+
+// Fill the form from the selected preset
+presetLoadBtn.addEventListener('click', async () => {
+  const preset = getSelectedPreset();
+  if (!preset) {
+    showPresetMessage('Select a preset to load.');
+    return;
+  }
+  
+  generateOptionsForm(currentToolOptions, { ...getDefaultOptionValues(), ...preset.optionValues });
+  await window.electronAPI.useToolPreset(toolData.name, preset.name);
+  showPresetMessage(`Loaded preset "${preset.name}". Click Apply Settings to use it.`);
+});
+
+// Save the form's current values under the typed name
+presetSaveBtn.addEventListener('click', async () => {
+  const name = presetNameInput.value.trim();
+  if (!name) {
+    showPresetMessage('Enter a name for the preset.');
+    return;
+  }
+  if (toolPresets.some(preset => preset.name === name) &&
+      !confirm(`Replace the existing preset "${name}"?`)) {
+    return;
+  }
+  
+  const result = await window.electronAPI.saveToolPreset(toolData.name, name, gatherOptionValues());
+  if (result.success) {
+    await loadPresets(name);
+    showPresetMessage(`Saved preset "${name}".`);
+  } else {
+    showPresetMessage(result.message || 'Failed to save preset.');
+  }
+});
+
+// Rename the selected preset to the typed name
+presetRenameBtn.addEventListener('click', async () => {
+  const preset = getSelectedPreset();
+  const newName = presetNameInput.value.trim();
+  if (!preset || !newName) {
+    showPresetMessage('Select a preset and enter its new name.');
+    return;
+  }
+  
+  const result = await window.electronAPI.renameToolPreset(toolData.name, preset.name, newName);
+  if (result.success) {
+    await loadPresets(newName);
+    showPresetMessage(`Renamed preset "${preset.name}" to "${newName}".`);
+  } else {
+    showPresetMessage(result.message || 'Failed to rename preset.');
+  }
+});
+
+presetDeleteBtn.addEventListener('click', async () => {
+  const preset = getSelectedPreset();
+  if (!preset) {
+    showPresetMessage('Select a preset to delete.');
+    return;
+  }
+  if (!confirm(`Delete the preset "${preset.name}"?`)) return;
+  
+  const result = await window.electronAPI.deleteToolPreset(toolData.name, preset.name);
+  if (result.success) {
+    await loadPresets('');
+    showPresetMessage(`Deleted preset "${preset.name}".`);
+  } else {
+    showPresetMessage(result.message || 'Failed to delete preset.');
+  }
+});
+
+// Default values of every option, as declared in the tool database
+function getDefaultOptionValues() {
+  const values = {};
+  currentToolOptions.forEach(option => {
+    if (option.default !== undefined) {
+      values[option.name] = option.default;
+    }
+  });
+  return values;
+}
+
+// Use a set of option values for the next run and show them in the output area
+function applyOptionValues(values, heading) {
+  currentOptionValues = { ...values };
   
   // Display setup information in output area
-  outputElement.textContent = `Tool: ${toolData.title || toolData.name}\n\nOptions:\n`;
+  outputElement.textContent = `Tool: ${toolData.title || toolData.name}\n\n${heading}:\n`;
   
   // Add each option and its value
   for (const [key, value] of Object.entries(currentOptionValues)) {
     outputElement.textContent += `${key}: ${value}\n`;
   }
   
+  if (optionsWarning) {
+    outputElement.textContent += `\n${optionsWarning}\n`;
+  }
   outputElement.textContent += '\nReady to run. Click the "Run" button to execute.';
   
   // Store the options for the run
@@ -129,10 +292,7 @@ setupDialogApply.addEventListener('click', () => {
   // Enable Run button
   runBtn.disabled = false;
   setupCompleted = true;
-  
-  // Close the dialog
-  hideSetupDialog();
-});
+}
 
 // Run button handler
 runBtn.addEventListener('click', async () => {
@@ -146,6 +306,17 @@ runBtn.addEventListener('click', async () => {
     return;
   }
   
+  // Warn before a run that would likely go over the monthly budget
+  try {
+    const budget = await window.electronAPI.checkUsageBudget(toolData.name);
+    if (budget.success && budget.warning && !confirm(`${budget.warning}\n\nRun anyway?`)) {
+      outputElement.textContent += '\nRun cancelled: monthly budget.';
+      return;
+    }
+  } catch (error) {
+    console.error('Error checking budget:', error);
+  }
+  
   // Start timing
   startTime = Date.now();
   isRunning = true;
@@ -157,21 +328,31 @@ runBtn.addEventListener('click', async () => {
   
   // Clear output and show starting message - clear all previous output
   outputElement.textContent = `Starting ${toolData.title || toolData.name}...\n\n`;
+  resetProgress();
   
   try {
     // Remove any previous output listeners to avoid duplicate output
     window.electronAPI.removeAllListeners('tool-output');
     window.electronAPI.removeAllListeners('tool-finished');
     window.electronAPI.removeAllListeners('tool-error');
+    window.electronAPI.removeAllListeners('tool-progress');
     
-    // Run the tool
-    currentRunId = await window.electronAPI.startToolRun(toolData.name, currentOptionValues);
+    // Queue the run; it starts as soon as a job slot is free
+    const job = await window.electronAPI.startToolRun(toolData.name, currentOptionValues);
+    currentRunId = job.runId;
     console.log('Tool started with run ID:', currentRunId);
     
+    if (job.status === 'queued') {
+      outputElement.textContent += 'Queued: other tools are running. This run starts when one of them finishes.\n\n';
+      handleProgressEvent({ event: 'phase', phase: 'queued', message: 'Waiting for a free job slot' });
+    }
+    
     // Listen for output messages
     window.electronAPI.onToolOutput((data) => {
       // Only append output for the current run
       if (data.runId === currentRunId) {
+        progress.lastActivity = Date.now();
+        
         // Append output to the output element
         outputElement.textContent += data.text;
         
@@ -180,6 +361,13 @@ runBtn.addEventListener('click', async () => {
       }
     });
     
+    // Listen for progress events
+    window.electronAPI.onToolProgress((data) => {
+      if (data.runId === currentRunId) {
+        handleProgressEvent(data.event);
+      }
+    });
+    
     // Listen for tool completion
     window.electronAPI.onToolFinished((result) => {
       // Only process completion for the current run
@@ -192,11 +380,19 @@ runBtn.addEventListener('click', async () => {
         runBtn.disabled = false;
         setupBtn.disabled = false;
         
-        // Add completion message
-        outputElement.textContent += `\n\nTool finished with exit code: ${result.code}`;
+        if (result.cancelled) {
+          finishProgress(false, 'Cancelled');
+          outputElement.textContent += '\n\nRun cancelled.';
+        } else {
+          finishProgress(result.code === 0, result.code === 0 ? 'Finished' : `Failed (exit code ${result.code})`);
+          
+          // Add completion message
+          outputElement.textContent += `\n\nTool finished with exit code: ${result.code}`;
+        }
         
         if (result.createdFiles && result.createdFiles.length > 0) {
-          outputElement.textContent += `\n\nFiles created/modified:\n${result.createdFiles.join('\n')}`;
+          const label = result.cancelled ? 'Files saved before the run was stopped' : 'Files created/modified';
+          outputElement.textContent += `\n\n${label}:\n${result.createdFiles.join('\n')}`;
         }
         
         currentRunId = null;
@@ -208,6 +404,7 @@ runBtn.addEventListener('click', async () => {
       // Only process errors for the current run
       if (error.runId === currentRunId) {
         console.error('Tool error:', error);
+        finishProgress(false, 'Failed');
         outputElement.textContent += `\n\nError: ${error.error}`;
         isRunning = false;
         stopTimer();
@@ -221,6 +418,7 @@ runBtn.addEventListener('click', async () => {
   } catch (error) {
     // Handle errors
     console.error('Error running tool:', error);
+    finishProgress(false, 'Failed');
     outputElement.textContent += `\nError running tool: ${error.message}`;
     isRunning = false;
     stopTimer();
@@ -235,6 +433,7 @@ runBtn.addEventListener('click', async () => {
 clearBtn.addEventListener('click', () => {
   // Clear output area
   outputElement.textContent = 'Output cleared.';
+  progressPanel.style.display = 'none';
   
   // Reset elapsed time display
   elapsedTimeElement.textContent = 'elapsed time: 0m 0s';
@@ -261,8 +460,16 @@ function hideSetupDialog() {
   setupDialogOverlay.style.display = 'none';
 }
 
-// Generate form controls for tool options
-function generateOptionsForm(options) {
+// Value a form control starts with: the given values if they have one, else the default
+function getInitialValue(option, values) {
+  if (Object.prototype.hasOwnProperty.call(values, option.name)) {
+    return values[option.name];
+  }
+  return option.default;
+}
+
+// Generate form controls for tool options, filled from the current setup by default
+function generateOptionsForm(options, values = currentOptionValues) {
   dialogOptionsContainer.innerHTML = '';
   
   if (!options || options.length === 0) {
@@ -286,15 +493,19 @@ function generateOptionsForm(options) {
     formGroup.appendChild(label);
     
     // Add description if available
-    if (option.description) {
+    if (option.description || option.fromManifest) {
       const description = document.createElement('p');
       description.className = 'option-description';
-      description.textContent = option.description;
+      description.textContent = option.description || '';
+      if (option.fromManifest) {
+        description.textContent += ' (default from project.json)';
+      }
       formGroup.appendChild(description);
     }
     
     // Create input based on type
     let input;
+    const initialValue = getInitialValue(option, values);
     
     switch (option.type) {
       case 'boolean':
@@ -305,7 +516,7 @@ function generateOptionsForm(options) {
         input.type = 'checkbox';
         input.id = `option-${option.name}`;
         input.name = option.name;
-        input.checked = option.default === true;
+        input.checked = initialValue === true;
         
         checkboxGroup.appendChild(input);
         formGroup.appendChild(checkboxGroup);
@@ -316,7 +527,7 @@ function generateOptionsForm(options) {
         input.type = 'number';
         input.id = `option-${option.name}`;
         input.name = option.name;
-        input.value = option.default !== undefined ? option.default : '';
+        input.value = initialValue !== undefined && initialValue !== null ? initialValue : '';
         
         if (option.min !== undefined) input.min = option.min;
         if (option.max !== undefined) input.max = option.max;
@@ -336,7 +547,7 @@ function generateOptionsForm(options) {
             optionEl.value = choice.value;
             optionEl.textContent = choice.label || choice.value;
             
-            if (option.default === choice.value) {
+            if (String(initialValue) === choice.value) {
               optionEl.selected = true;
             }
             
@@ -355,7 +566,7 @@ function generateOptionsForm(options) {
         input.type = 'text';
         input.id = `option-${option.name}`;
         input.name = option.name;
-        input.value = option.default || '';
+        input.value = initialValue || '';
         input.readOnly = true;
         
         const browseBtn = document.createElement('button');
@@ -377,6 +588,7 @@ function generateOptionsForm(options) {
             
             const filePath = await window.electronAPI.selectFile({
               title: `Select ${option.label || option.name}`,
+              defaultPath: input.value,
               filters: filters
             });
             
@@ -414,7 +626,7 @@ function generateOptionsForm(options) {
         input.type = 'text';
         input.id = `option-${option.name}`;
         input.name = option.name;
-        input.value = option.default || '';
+        input.value = initialValue || '';
         input.readOnly = true;
         
         const browseDirBtn = document.createElement('button');
@@ -430,7 +642,8 @@ function generateOptionsForm(options) {
           
           try {
             const dirPath = await window.electronAPI.selectDirectory({
-              title: `Select ${option.label || option.name}`
+              title: `Select ${option.label || option.name}`,
+              defaultPath: input.value
             });
             
             console.log('Selected directory path:', dirPath);
@@ -464,7 +677,7 @@ function generateOptionsForm(options) {
         input.id = `option-${option.name}`;
         input.name = option.name;
         input.rows = option.rows || 4;
-        input.value = option.default || '';
+        input.value = initialValue || '';
         formGroup.appendChild(input);
         break;
         
@@ -474,7 +687,7 @@ function generateOptionsForm(options) {
         input.type = 'text';
         input.id = `option-${option.name}`;
         input.name = option.name;
-        input.value = option.default || '';
+        input.value = initialValue || '';
         formGroup.appendChild(input);
         break;
     }
@@ -550,7 +763,8 @@ function gatherOptionValues() {
       if (option.type === 'boolean') {
         values[option.name] = inputElement.checked;
       } else if (option.type === 'number') {
-        values[option.name] = inputElement.value ? parseFloat(inputElement.value) : '';
+        const parse = option.integer ? (value => parseInt(value, 10)) : parseFloat;
+        values[option.name] = inputElement.value ? parse(inputElement.value) : '';
       } else {
         values[option.name] = inputElement.value;
       }
@@ -586,4 +800,118 @@ function updateElapsedTime() {
   const seconds = Math.floor((elapsedMs % 60000) / 1000);
   
   elapsedTimeElement.textContent = `elapsed time: ${minutes}m ${seconds}s`;
+  
+  if (progress && !progress.done) renderProgressInfo();
+}
+
+// Progress panel
+
+// Labels for the phases the shared tool code reports
+const PHASE_LABELS = {
+  queued: 'Queued',
+  starting: 'Starting',
+  reading: 'Reading',
+  counting: 'Counting tokens',
+  waiting: 'Waiting for Claude',
+  thinking: 'Thinking',
+  writing: 'Writing',
+  saving: 'Saving'
+};
+
+function resetProgress() {
+  progress = {
+    phase: 'Starting',
+    message: '',
+    percent: null,
+    chapter: null,
+    tokens: null,
+    warnings: [],
+    lastActivity: Date.now(),
+    queued: false,
+    done: false
+  };
+  progressBar.classList.remove('failed');
+  progressPanel.style.display = 'block';
+  renderProgress();
+}
+
+// Apply one event from the tool, see tools/progress-events.js
+function handleProgressEvent(event) {
+  if (!progress) return;
+  progress.lastActivity = Date.now();
+  
+  switch (event.event) {
+    case 'phase':
+      progress.phase = PHASE_LABELS[event.phase] || event.phase;
+      progress.message = event.message || '';
+      // A queued run is waiting for a slot, not stalled
+      progress.queued = event.phase === 'queued';
+      break;
+    case 'progress':
+      progress.percent = event.percent;
+      if (event.message) progress.message = event.message;
+      break;
+    case 'tokens':
+      progress.tokens = event;
+      break;
+    case 'chapter':
+      progress.chapter = event;
+      break;
+    case 'warning':
+      progress.warnings.push(event.message);
+      break;
+    default:
+      console.log('Unknown progress event:', event);
+  }
+  renderProgress();
+}
+
+function finishProgress(success, label) {
+  if (!progress) return;
+  progress.phase = label;
+  progress.message = '';
+  progress.done = true;
+  if (success) progress.percent = 100;
+  progressBar.classList.toggle('failed', !success);
+  renderProgress();
+}
+
+function renderProgress() {
+  progressPhaseElement.textContent = progress.message
+    ? `${progress.phase}: ${progress.message}`
+    : progress.phase;
+  
+  const hasPercent = typeof progress.percent === 'number';
+  progressPercentElement.textContent = hasPercent ? `${progress.percent}%` : '';
+  progressBar.classList.toggle('indeterminate', !hasPercent && !progress.done);
+  progressBar.style.width = hasPercent ? `${progress.percent}%` : (progress.done ? '100%' : '');
+  
+  progressWarnings.textContent = progress.warnings.map(warning => `⚠ ${warning}`).join('\n');
+  progressWarnings.style.whiteSpace = 'pre-wrap';
+  
+  renderProgressInfo();
+}
+
+// Chapter, tokens and how long since the tool last said anything
+function renderProgressInfo() {
+  const parts = [];
+  const { chapter, tokens } = progress;
+  
+  if (chapter) {
+    parts.push(`Chapter ${chapter.number}: ${chapter.title} (${chapter.index} of ${chapter.total})`);
+  }
+  if (tokens) {
+    parts.push(`${(tokens.input_tokens || 0).toLocaleString()} in, ` +
+      `${(tokens.thinking_tokens || 0).toLocaleString()} thinking, ` +
+      `${(tokens.output_tokens || 0).toLocaleString()} out`);
+  }
+  
+  const quiet = Date.now() - progress.lastActivity;
+  const stalled = !progress.done && !progress.queued && quiet >= STALL_AFTER;
+  if (stalled) {
+    parts.push(`no activity for ${Math.floor(quiet / 60000)}m ${Math.floor((quiet % 60000) / 1000)}s, the run may be stalled`);
+  }
+  
+  progressInfo.classList.toggle('stalled', stalled);
+  progressInfo.textContent = parts.join(' | ');
 }
\ No newline at end of file
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+const {
+    LEVEL_CHOICES,
+    multiChoiceOption,
+    selectedChoices,
+    levelInstruction,
+    main
+} = require('./analyzer-framework');
+
+const FOCUS_AREAS = ['qualifiers', 'adverbs', 'adjectives', 'imagery'];
+
+// What to look for in each focus area
+const FOCUS_INSTRUCTIONS = {
+    qualifiers: 'QUALIFIERS: weak or hedging qualifiers such as very, rather, quite, somewhat, a bit, that dilute the prose.',
+    adverbs: 'ADVERBS: adverbs propping up weak verbs (ran quickly, said angrily) where a stronger verb would do the work.',
+    adjectives: 'ADJECTIVES: stacked, generic or redundant adjectives where a precise noun would do the work.',
+    imagery: 'IMAGERY: descriptions that tell rather than show, where concrete sensory detail would be stronger.'
+};
+
+main({
+    name: 'adjective_adverb_analysis',
+    title: 'adjective and adverb analysis',
+    description: 'Find unnecessary adjectives, adverbs and qualifiers in a manuscript using Claude API.',
+    epilog: `
+Example usages:
+  node adjective_adverb_optimizer.js --manuscript_file manuscript.txt
+  node adjective_adverb_optimizer.js --manuscript_file manuscript.txt --focus_areas adverbs qualifiers --analysis_level detailed
+    `,
+    options: [
+        ['--analysis_level', {
+            type: 'str',
+            default: 'standard',
+            choices: LEVEL_CHOICES,
+            help: 'Level of analysis detail (default: standard)'
+        }],
+        ['--focus_areas', multiChoiceOption(FOCUS_AREAS, 'Specific areas to focus analysis on')]
+    ],
+    prompt: args => {
+        const areas = selectedChoices(args.focus_areas, FOCUS_AREAS);
+
+        return `You are a line editor following Ursula K. Le Guin's advice on modifiers: most adjectives and adverbs are better replaced by a stronger noun or verb.
+
+Examine the manuscript for:
+${areas.map(area => `- ${FOCUS_INSTRUCTIONS[area]}`).join('\n')}
+
+Write a report with a section for each of these areas. For each issue, quote the passage and give a revised version that uses stronger nouns and verbs instead.
+Finish with a section OVERUSED WORDS listing the modifiers the author leans on most, and a section RECOMMENDATIONS.
+
+${levelInstruction(args.analysis_level)}`;
+    }
+});
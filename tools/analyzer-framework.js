@@ -0,0 +1,264 @@
+// Shared runner for the manuscript analysis tools. Each analyzer declares
+// its documents, its own options and a prompt; this module handles the
+// common arguments, reading the documents, the Claude call and the report.
+
+const path = require('path');
+const { ArgumentParser } = require('argparse');
+const {
+    addClaudeApiArguments,
+    addOutputArguments,
+    createClient,
+    readTextFile,
+    countTokens,
+    calculateTokenBudget,
+    checkThinkingBudget,
+    streamWithThinking,
+    progressPhase,
+    fileTimestamp,
+    writeOutputFile,
+    writeThinkingFile,
+    writeOutputTracking,
+    handleStop
+} = require('./tool-utils');
+
+// Documents an analyzer can ask for besides the manuscript
+const DOCUMENTS = {
+    outline: { flag: '--outline_file', label: 'outline', help: 'File containing the story outline' },
+    world: { flag: '--world_file', label: 'world', help: 'File containing the story world/lore information' }
+};
+
+// Last line of every report, so a manuscript audit can count the issues
+const ISSUE_COUNT_INSTRUCTION = 'End the report with a final line of the form "ISSUES FOUND: N", where N is the number of issues the report lists (0 if none).';
+
+const LEVEL_CHOICES = ['basic', 'standard', 'detailed'];
+const SENSITIVITY_CHOICES = ['low', 'medium', 'high'];
+
+// How much to report at each analysis level
+const LEVEL_INSTRUCTIONS = {
+    basic: 'Keep the report brief: list only the most significant issues, with one example each.',
+    standard: 'Report the clear issues with an example and a suggested revision for each.',
+    detailed: 'Be thorough: report every issue you find, quoting the passage, explaining the problem and suggesting a revision.'
+};
+
+// How readily to flag something at each sensitivity
+const SENSITIVITY_INSTRUCTIONS = {
+    low: 'Only flag clear-cut problems; give the author the benefit of the doubt on deliberate stylistic choices.',
+    medium: 'Flag clear problems and likely problems, noting where a choice may be deliberate.',
+    high: 'Flag anything questionable, including borderline cases, and say how confident you are in each.'
+};
+
+/**
+ * Option spec for a list option that accepts "all" or several of its choices
+ * @param {string[]} choices - Allowed values
+ * @param {string} help - Help text
+ * @returns {Object} argparse option spec
+ */
+function multiChoiceOption(choices, help) {
+    return {
+        nargs: '+',
+        default: ['all'],
+        choices: [...choices, 'all'],
+        help: `${help} (default: all)`
+    };
+}
+
+/**
+ * Expand a list option's values, where "all" stands for every choice
+ * @param {string[]|string} values - Parsed option values
+ * @param {string[]} choices - Every allowed value except "all"
+ * @returns {string[]} Selected choices
+ */
+function selectedChoices(values, choices) {
+    const list = Array.isArray(values) ? values : [values];
+    return list.includes('all') ? [...choices] : list;
+}
+
+/**
+ * Instruction line for an analysis level
+ * @param {string} level - basic, standard or detailed
+ * @returns {string} Prompt instruction
+ */
+function levelInstruction(level) {
+    return LEVEL_INSTRUCTIONS[level] || LEVEL_INSTRUCTIONS.standard;
+}
+
+/**
+ * Instruction line for a sensitivity or strictness setting
+ * @param {string} sensitivity - low, medium or high
+ * @returns {string} Prompt instruction
+ */
+function sensitivityInstruction(sensitivity) {
+    return SENSITIVITY_INSTRUCTIONS[sensitivity] || SENSITIVITY_INSTRUCTIONS.medium;
+}
+
+/**
+ * Builds the argument parser for an analyzer
+ * @param {Object} analyzer - Analyzer definition
+ * @returns {ArgumentParser} Parser
+ */
+function buildParser(analyzer) {
+    const parser = new ArgumentParser({
+        description: analyzer.description,
+        epilog: analyzer.epilog
+    });
+
+    // Input File Arguments
+    parser.add_argument('--manuscript_file', {
+        type: 'str',
+        required: true,
+        help: 'File containing the manuscript to analyze (required)'
+    });
+    for (const [name, need] of Object.entries(analyzer.documents || {})) {
+        const document = DOCUMENTS[name];
+        parser.add_argument(document.flag, {
+            type: 'str',
+            required: need === 'required',
+            default: null,
+            help: `${document.help} (${need})`
+        });
+    }
+
+    // Analysis Options
+    for (const [flag, spec] of analyzer.options || []) {
+        parser.add_argument(flag, spec);
+    }
+
+    // Output Configuration Arguments
+    parser.add_argument('--skip_thinking', {
+        action: 'store_true',
+        help: 'Skip saving the AI thinking process (smaller output files)'
+    });
+    parser.add_argument(`--${analyzer.descriptionOption || 'analysis_description'}`, {
+        type: 'str',
+        dest: 'analysis_description',
+        default: '',
+        help: 'Optional description to include in output filenames'
+    });
+
+    addClaudeApiArguments(parser);
+    addOutputArguments(parser);
+
+    return parser;
+}
+
+/**
+ * Builds the full prompt: the documents, then the analyzer's instructions
+ * @param {Object} analyzer - Analyzer definition
+ * @param {Object} args - Parsed command-line arguments
+ * @param {Object} documents - Document text keyed by name
+ * @returns {string} Prompt
+ */
+function buildPrompt(analyzer, args, documents) {
+    const sections = [`=== MANUSCRIPT ===\n${documents.manuscript}\n=== END MANUSCRIPT ===`];
+    for (const name of Object.keys(analyzer.documents || {})) {
+        if (!documents[name]) continue;
+        const label = name.toUpperCase();
+        sections.push(`=== ${label} ===\n${documents[name]}\n=== END ${label} ===`);
+    }
+
+    return `${sections.join('\n\n')}
+
+${analyzer.prompt(args, documents).trim()}
+
+Write the report in plain text only, with no markdown formatting.
+${ISSUE_COUNT_INSTRUCTION}`;
+}
+
+/**
+ * Report file name, e.g. tense_analysis_draft2_20250314_093000.txt
+ * @param {Object} analyzer - Analyzer definition
+ * @param {Object} args - Parsed command-line arguments
+ * @param {string} suffix - Part after the name, e.g. "" or "_thinking"
+ * @param {string} timestamp - File timestamp
+ * @returns {string} File name
+ */
+function reportFileName(analyzer, args, suffix, timestamp) {
+    const description = (args.analysis_description || '').trim().replace(/[^\w-]+/g, '_');
+    const label = description ? `_${description}` : '';
+    return `${analyzer.name}${suffix}${label}_${timestamp}.txt`;
+}
+
+/**
+ * Runs an analyzer from the command line
+ * @param {Object} analyzer - Analyzer definition:
+ *   name - report file prefix, e.g. "tense_analysis"
+ *   title - what the report is, for log lines, e.g. "tense consistency analysis"
+ *   description, epilog - argparse help text
+ *   documents - extra documents, e.g. { outline: 'optional', world: 'required' }
+ *   options - [flag, argparse spec] pairs for the analyzer's own options
+ *   descriptionOption - name of the file description option (default: analysis_description)
+ *   prompt(args, documents) - returns the analysis instructions
+ */
+async function runAnalyzer(analyzer) {
+    const args = buildParser(analyzer).parse_args();
+
+    // Save what has been written so far if the run is stopped
+    handleStop(args, analyzer.name);
+
+    // Initialize Anthropic client
+    const client = createClient(args);
+
+    // Read the manuscript and whichever other documents were given
+    progressPhase('reading', 'Reading the manuscript');
+    const documents = {
+        manuscript: await readTextFile(args.manuscript_file, 'manuscript')
+    };
+    for (const [name, need] of Object.entries(analyzer.documents || {})) {
+        const document = DOCUMENTS[name];
+        const dest = document.flag.replace(/^--/, '');
+        documents[name] = await readTextFile(args[dest], document.label, need === 'required');
+    }
+    console.log(`Running ${analyzer.title} of: ${args.manuscript_file}`);
+
+    const prompt = buildPrompt(analyzer, args, documents);
+    const promptTokens = await countTokens(client, prompt);
+    const { maxTokens, thinkingBudget } = calculateTokenBudget(args, promptTokens);
+    checkThinkingBudget(args, thinkingBudget);
+
+    const { text, thinking } = await streamWithThinking(client, prompt, maxTokens, thinkingBudget);
+    if (!text.trim()) {
+        console.error(`Error: no ${analyzer.title} was generated.`);
+        process.exit(1);
+    }
+
+    progressPhase('saving', 'Saving the report');
+    const timestamp = fileTimestamp();
+    const reportFile = await writeOutputFile(
+        path.join(args.save_dir, reportFileName(analyzer, args, '', timestamp)),
+        text
+    );
+    const createdFiles = [reportFile];
+    if (!args.skip_thinking) {
+        const thinkingFile = await writeThinkingFile(
+            path.join(args.save_dir, reportFileName(analyzer, args, '_thinking', timestamp)),
+            prompt,
+            thinking
+        );
+        if (thinkingFile) createdFiles.push(thinkingFile);
+    }
+
+    await writeOutputTracking(args.output_tracking, createdFiles);
+    console.log(`\n${analyzer.title.charAt(0).toUpperCase()}${analyzer.title.slice(1)} complete.`);
+}
+
+/**
+ * Runs an analyzer, exiting with an error on unhandled failures
+ * @param {Object} analyzer - Analyzer definition, see runAnalyzer
+ */
+function main(analyzer) {
+    runAnalyzer(analyzer).catch(error => {
+        console.error("Unhandled error:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    LEVEL_CHOICES,
+    SENSITIVITY_CHOICES,
+    multiChoiceOption,
+    selectedChoices,
+    levelInstruction,
+    sensitivityInstruction,
+    runAnalyzer,
+    main
+};
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+const fs = require('fs/promises');
+const path = require('path');
+const { ArgumentParser } = require('argparse');
+const {
+    addClaudeApiArguments,
+    addOutputArguments,
+    createClient,
+    readTextFile,
+    countTokens,
+    calculateTokenBudget,
+    checkThinkingBudget,
+    streamWithThinking,
+    fileTimestamp,
+    writeOutputFile,
+    writeThinkingFile,
+    writeOutputTracking,
+    handleStop
+} = require('./tool-utils');
+
+/**
+ * Parses command-line arguments for brainstorming
+ * @returns {Object} Parsed command-line arguments
+ */
+function parseArguments() {
+    const parser = new ArgumentParser({
+        description: 'Generate a story concept and characters from an ideas file using Claude API.',
+        epilog: `
+Example usages:
+  node brainstorm.js --ideas_file ideas.txt --save_dir .
+  node brainstorm.js --ideas_file ideas.txt --concept_only --title "The Long Dark"
+  node brainstorm.js --ideas_file ideas.txt --characters_only --num_characters 8 --continue
+        `
+    });
+
+    // Input File Arguments
+    parser.add_argument('--ideas_file', {
+        type: 'str',
+        required: true,
+        help: "Path to ideas.txt file containing the concept and/or characters (required)"
+    });
+    parser.add_argument('--continue', {
+        action: 'store_true',
+        dest: 'continue_ideas',
+        help: 'Continue building on existing ideas and append the results to the ideas file'
+    });
+
+    // Content Configuration Arguments
+    parser.add_argument('--lang', {
+        type: 'str',
+        default: 'English',
+        help: 'Language for writing (default: English)'
+    });
+    parser.add_argument('--title', {
+        type: 'str',
+        default: null,
+        help: 'Suggested title for the writing (optional)'
+    });
+    parser.add_argument('--genre', {
+        type: 'str',
+        default: null,
+        help: 'Suggested genre for the writing (optional)'
+    });
+    parser.add_argument('--num_characters', {
+        type: 'int',
+        default: 5,
+        help: 'Number of main characters to generate (default: 5)'
+    });
+    parser.add_argument('--worldbuilding_depth', {
+        type: 'int',
+        default: 3,
+        choices: [1, 2, 3, 4, 5],
+        help: 'Depth of worldbuilding detail (1-5, where 5 is most detailed) (default: 3)'
+    });
+    parser.add_argument('--character_relationships', {
+        action: 'store_true',
+        help: 'Include detailed character relationships'
+    });
+    parser.add_argument('--concept_only', {
+        action: 'store_true',
+        help: 'Generate only the concept file'
+    });
+    parser.add_argument('--characters_only', {
+        action: 'store_true',
+        help: 'Generate only the characters file'
+    });
+    parser.add_argument('--allow_new_characters', {
+        action: 'store_true',
+        help: 'Allow creation of new characters not in the ideas file'
+    });
+
+    addClaudeApiArguments(parser);
+    addOutputArguments(parser);
+
+    return parser.parse_args();
+}
+
+/**
+ * Optional title and genre lines for prompts
+ * @param {Object} args - Parsed command-line arguments
+ * @returns {string} Prompt lines, possibly empty
+ */
+function storyDetails(args) {
+    const lines = [];
+    if (args.title) lines.push(`Working title: ${args.title}`);
+    if (args.genre) lines.push(`Genre: ${args.genre}`);
+    return lines.join('\n');
+}
+
+/**
+ * Builds the prompt for the story concept
+ * @param {Object} args - Parsed command-line arguments
+ * @param {string} ideas - Content of the ideas file
+ * @returns {string} Prompt
+ */
+function buildConceptPrompt(args, ideas) {
+    const continuing = args.continue_ideas
+        ? 'The ideas file already contains earlier brainstorming. Build on it: deepen and extend what is there rather than starting over, and do not repeat it.'
+        : 'Develop these ideas into a complete story concept.';
+
+    return `=== IDEAS ===
+${ideas}
+=== END IDEAS ===
+
+${storyDetails(args)}
+
+You are a creative writing partner helping a novelist brainstorm. ${continuing}
+
+Write a story concept that covers:
+- a one-paragraph premise and the central dramatic question
+- the main conflict and what is at stake
+- the setting and worldbuilding, at a depth of ${args.worldbuilding_depth} on a scale of 1 (a sketch) to 5 (rich, detailed rules, history and cultures)
+- themes and tone
+- three possible directions for the ending
+
+Write in ${args.lang}. Use plain text only, with no markdown formatting.`;
+}
+
+/**
+ * Builds the prompt for the characters
+ * @param {Object} args - Parsed command-line arguments
+ * @param {string} ideas - Content of the ideas file
+ * @returns {string} Prompt
+ */
+function buildCharactersPrompt(args, ideas) {
+    const newCharacters = args.allow_new_characters
+        ? 'You may invent new characters if the story needs them.'
+        : 'Only develop characters that are named or clearly implied in the ideas; do not invent new ones.';
+    const relationships = args.character_relationships
+        ? 'Finish with a section describing the relationships between the characters: alliances, rivalries, history and how they change.'
+        : '';
+    const continuing = args.continue_ideas
+        ? 'The ideas file already contains earlier brainstorming. Build on the characters already there rather than replacing them.'
+        : '';
+
+    return `=== IDEAS ===
+${ideas}
+=== END IDEAS ===
+
+${storyDetails(args)}
+
+You are a creative writing partner helping a novelist brainstorm. ${continuing}
+
+Create profiles for up to ${args.num_characters} main characters. ${newCharacters}
+For each character give their name, role in the story, appearance, personality, background, what they want, what they need, and their arc.
+${relationships}
+
+Write in ${args.lang}. Use plain text only, with no markdown formatting.`;
+}
+
+/**
+ * Sends one prompt to Claude and saves the response. The saved files are
+ * listed in the tracking file straight away, so they are kept if a later
+ * step is stopped.
+ * @param {Anthropic} client - Anthropic API client
+ * @param {Object} args - Parsed command-line arguments
+ * @param {string} prompt - Prompt to send
+ * @param {string} name - Output name, e.g. 'concept'
+ * @returns {Promise<{file: string, thinkingFile: string|null, text: string}>} Saved files and generated text
+ */
+async function generate(client, args, prompt, name) {
+    console.log(`\nGenerating ${name}...`);
+
+    const promptTokens = await countTokens(client, prompt);
+    const { maxTokens, thinkingBudget } = calculateTokenBudget(args, promptTokens);
+    checkThinkingBudget(args, thinkingBudget);
+
+    const { text, thinking } = await streamWithThinking(client, prompt, maxTokens, thinkingBudget);
+    if (!text.trim()) {
+        console.error(`Error: no ${name} text was generated.`);
+        process.exit(1);
+    }
+
+    const timestamp = fileTimestamp();
+    const outputFile = path.join(args.save_dir, `${name}_${timestamp}.txt`);
+    const file = await writeOutputFile(outputFile, text);
+
+    const thinkingFile = await writeThinkingFile(path.join(args.save_dir, `${name}_thinking_${timestamp}.txt`), prompt, thinking);
+    await writeOutputTracking(args.output_tracking, thinkingFile ? [file, thinkingFile] : [file]);
+
+    return { file, thinkingFile, text };
+}
+
+/**
+ * Main function to run the brainstorming process
+ */
+async function main() {
+    // Parse command-line arguments
+    const args = parseArguments();
+
+    // Save what has been written so far if the run is stopped
+    handleStop(args, 'brainstorm');
+
+    if (args.concept_only && args.characters_only) {
+        console.error('Error: --concept_only and --characters_only cannot be used together.');
+        process.exit(1);
+    }
+
+    // Initialize Anthropic client
+    const client = createClient(args);
+
+    // Read the ideas file
+    const ideas = await readTextFile(args.ideas_file, 'ideas');
+    console.log(`Brainstorming from ideas file: ${args.ideas_file}`);
+
+    const sections = [];
+
+    if (!args.characters_only) {
+        const concept = await generate(client, args, buildConceptPrompt(args, ideas), 'concept');
+        sections.push(`=== CONCEPT ===\n${concept.text.trim()}`);
+    }
+
+    if (!args.concept_only) {
+        const characters = await generate(client, args, buildCharactersPrompt(args, ideas), 'characters');
+        sections.push(`=== CHARACTERS ===\n${characters.text.trim()}`);
+    }
+
+    // Keep building the ideas file
+    if (args.continue_ideas) {
+        const header = `\n\n=== BRAINSTORM ${new Date().toLocaleString()} ===\n\n`;
+        await fs.appendFile(args.ideas_file, header + sections.join('\n\n') + '\n', 'utf-8');
+        console.log(`Appended results to: ${args.ideas_file}`);
+        await writeOutputTracking(args.output_tracking, [args.ideas_file]);
+    }
+
+    console.log('\nBrainstorming complete.');
+}
+
+// Run the main function and handle any unhandled promise rejections
+main().catch(error => {
+    console.error("Unhandled error:", error);
+    process.exit(1);
+});
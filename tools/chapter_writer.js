@@ -0,0 +1,425 @@
+#!/usr/bin/env node
+
+const fs = require('fs/promises');
+const { existsSync } = require('fs');
+const path = require('path');
+const { ArgumentParser } = require('argparse');
+const {
+    addClaudeApiArguments,
+    addOutputArguments,
+    createClient,
+    readTextFile,
+    countTokens,
+    calculateTokenBudget,
+    checkThinkingBudget,
+    streamWithThinking,
+    progressPhase,
+    progressPercent,
+    progressChapter,
+    fileTimestamp,
+    writeOutputFile,
+    writeThinkingFile,
+    writeOutputTracking,
+    handleStop
+} = require('./tool-utils');
+
+// Progress of a multi-chapter run, kept in the save directory so an
+// interrupted run can pick up at the next chapter
+const CHECKPOINT_FILE = path.join('.writers_toolkit', 'chapter_writer_checkpoint.json');
+
+/**
+ * Parses command-line arguments for chapter writing
+ * @returns {Object} Parsed command-line arguments
+ */
+function parseArguments() {
+    const parser = new ArgumentParser({
+        description: 'Write rough draft chapters from an outline, world and manuscript using Claude API.',
+        epilog: `
+Example usages:
+  node chapter_writer.js --request "Chapter 9: The Door" --manuscript manuscript.txt --outline outline.txt --world world.txt
+  node chapter_writer.js --chapters_to_write chapters.txt --manuscript manuscript.txt --outline outline.txt --backup
+  node chapter_writer.js --chapters_to_write chapters.txt --manuscript manuscript.txt --outline outline.txt --show_token_stats
+
+An interrupted --chapters_to_write run resumes from the next unwritten chapter
+when it is started again with the same chapters; use --restart to start over.
+        `
+    });
+
+    // Input File Arguments
+    parser.add_argument('--request', {
+        type: 'str',
+        default: null,
+        help: 'Single chapter format: --request "Chapter 9: Title" or "9: Title" or "9. Title"'
+    });
+    parser.add_argument('--chapters_to_write', {
+        type: 'str',
+        default: null,
+        help: 'File listing chapters to write sequentially, one "9. Chapter Title" per line'
+    });
+    parser.add_argument('--manuscript', {
+        type: 'str',
+        required: true,
+        help: 'Path to manuscript file (required)'
+    });
+    parser.add_argument('--outline', {
+        type: 'str',
+        required: true,
+        help: 'Path to outline file (required)'
+    });
+    parser.add_argument('--world', {
+        type: 'str',
+        default: null,
+        help: 'Path to world file (optional)'
+    });
+    parser.add_argument('--lang', {
+        type: 'str',
+        default: 'English',
+        help: 'Language for writing (default: English)'
+    });
+    parser.add_argument('--chapter_delay', {
+        type: 'int',
+        default: 15,
+        help: 'Delay in seconds between processing multiple chapters (default: 15 seconds)'
+    });
+    parser.add_argument('--no_dialogue_emphasis', {
+        action: 'store_true',
+        help: 'Turn off the additional dialogue emphasis'
+    });
+    parser.add_argument('--no_append', {
+        action: 'store_true',
+        help: 'Disable auto-appending new chapters to manuscript file'
+    });
+    parser.add_argument('--backup', {
+        action: 'store_true',
+        help: 'Create backup of manuscript file before appending'
+    });
+    parser.add_argument('--show_token_stats', {
+        action: 'store_true',
+        help: 'Show token stats for each chapter but do not call the API to write it'
+    });
+    parser.add_argument('--restart', {
+        action: 'store_true',
+        help: 'Ignore the checkpoint of an interrupted run and start from the first chapter'
+    });
+
+    addClaudeApiArguments(parser);
+    addOutputArguments(parser);
+
+    return parser.parse_args();
+}
+
+/**
+ * Parses a chapter line such as "Chapter 9: Title", "9: Title" or "9. Title"
+ * @param {string} line - Chapter line
+ * @returns {{number: number, title: string, key: string}|null} Chapter, or null if the line isn't one
+ */
+function parseChapter(line) {
+    const match = line.trim().match(/^(?:chapter\s+)?(\d+)\s*[.:]\s*(.+)$/i);
+    if (!match) return null;
+
+    const number = parseInt(match[1], 10);
+    const title = match[2].trim();
+    return { number, title, key: `${number}. ${title}` };
+}
+
+/**
+ * Chapters requested by --request or listed in --chapters_to_write
+ * @param {Object} args - Parsed command-line arguments
+ * @returns {Promise<Object[]>} Chapters in the order to write them
+ */
+async function loadChapters(args) {
+    if (args.request) {
+        const chapter = parseChapter(args.request);
+        if (!chapter) {
+            console.error(`Error: cannot read chapter from --request "${args.request}". Use "Chapter 9: Title", "9: Title" or "9. Title".`);
+            process.exit(1);
+        }
+        return [chapter];
+    }
+
+    if (!args.chapters_to_write) {
+        console.error('Error: give either --request or --chapters_to_write.');
+        process.exit(1);
+    }
+
+    const content = await readTextFile(args.chapters_to_write, 'chapters');
+    const chapters = [];
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+
+        const chapter = parseChapter(line);
+        if (!chapter) {
+            console.error(`Error: cannot read chapter line "${line.trim()}" in ${args.chapters_to_write}. Use "9. Chapter Title".`);
+            process.exit(1);
+        }
+        chapters.push(chapter);
+    }
+
+    if (chapters.length === 0) {
+        console.error(`Error: no chapters listed in ${args.chapters_to_write}.`);
+        process.exit(1);
+    }
+    return chapters;
+}
+
+/**
+ * Size of a file in bytes, or 0 if it doesn't exist yet
+ * @param {string} filePath - File to check
+ * @returns {Promise<number>} Size in bytes
+ */
+async function fileSize(filePath) {
+    try {
+        return (await fs.stat(filePath)).size;
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+}
+
+/**
+ * Loads the checkpoint for this run, if it matches the same chapters and manuscript
+ * @param {string} checkpointPath - Checkpoint file
+ * @param {Object} args - Parsed command-line arguments
+ * @param {Object[]} chapters - Chapters to write
+ * @returns {Promise<Object|null>} Checkpoint to resume from, or null
+ */
+async function loadCheckpoint(checkpointPath, args, chapters) {
+    if (!existsSync(checkpointPath)) return null;
+
+    let checkpoint;
+    try {
+        checkpoint = JSON.parse(await fs.readFile(checkpointPath, 'utf-8'));
+    } catch (error) {
+        console.warn(`Warning: ignoring unreadable checkpoint ${checkpointPath}: ${error.message}`);
+        return null;
+    }
+
+    const sameChapters = JSON.stringify(checkpoint.chapters) === JSON.stringify(chapters.map(chapter => chapter.key));
+    const sameManuscript = checkpoint.manuscript === path.resolve(args.manuscript);
+    if (!sameChapters || !sameManuscript) {
+        console.log('Found a checkpoint for a different set of chapters; starting from the first chapter.');
+        return null;
+    }
+    return checkpoint;
+}
+
+/**
+ * Saves the checkpoint, replacing the old one in a single step
+ * @param {string} checkpointPath - Checkpoint file
+ * @param {Object} checkpoint - Checkpoint data
+ */
+async function saveCheckpoint(checkpointPath, checkpoint) {
+    checkpoint.updated = new Date().toISOString();
+    await fs.mkdir(path.dirname(checkpointPath), { recursive: true });
+
+    const tempPath = `${checkpointPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(checkpoint, null, 2), 'utf-8');
+    await fs.rename(tempPath, checkpointPath);
+}
+
+/**
+ * Builds the prompt for one chapter
+ * @param {Object} args - Parsed command-line arguments
+ * @param {Object} chapter - Chapter to write
+ * @param {Object} documents - Outline, world and manuscript text
+ * @returns {string} Prompt
+ */
+function buildPrompt(args, chapter, documents) {
+    const world = documents.world
+        ? `=== WORLD ===\n${documents.world}\n=== END WORLD ===\n\n`
+        : '';
+    const manuscript = documents.manuscript.trim()
+        ? `=== EXISTING MANUSCRIPT ===\n${documents.manuscript}\n=== END EXISTING MANUSCRIPT ===\n\n`
+        : '';
+    const dialogue = args.no_dialogue_emphasis
+        ? ''
+        : '- Carry the story through dialogue wherever you can: let characters reveal themselves, argue and decide things in conversation, with natural, distinct voices.\n';
+
+    return `=== OUTLINE ===
+${documents.outline}
+=== END OUTLINE ===
+
+${world}${manuscript}You are a novelist writing the rough draft of this novel, one chapter at a time.
+Write Chapter ${chapter.number}: ${chapter.title}.
+
+- Follow what the outline says happens in this chapter, and stay consistent with the world document and everything in the existing manuscript.
+- Continue naturally from where the manuscript leaves off; do not repeat or summarize earlier chapters.
+${dialogue}- Begin with the line "Chapter ${chapter.number}: ${chapter.title}" and write the full chapter, with no notes or commentary before or after it.
+
+Write in ${args.lang}. Use plain text only, with no markdown formatting.`;
+}
+
+/**
+ * Backs up the manuscript next to it with a timestamp
+ * @param {string} manuscriptPath - Manuscript file
+ * @returns {Promise<string|null>} Backup path, or null if there was nothing to back up
+ */
+async function backupManuscript(manuscriptPath) {
+    if (!existsSync(manuscriptPath)) return null;
+
+    const parsed = path.parse(manuscriptPath);
+    const backupPath = path.join(parsed.dir, `${parsed.name}_backup_${fileTimestamp()}${parsed.ext}`);
+    await fs.copyFile(manuscriptPath, backupPath);
+    console.log(`Manuscript backed up to: ${backupPath}`);
+    return path.resolve(backupPath);
+}
+
+/**
+ * Main function to run the chapter writing process
+ */
+async function main() {
+    // Parse command-line arguments
+    const args = parseArguments();
+
+    // Save what has been written so far if the run is stopped
+    handleStop(args, 'chapter');
+
+    // Initialize Anthropic client
+    const client = createClient(args);
+
+    const chapters = await loadChapters(args);
+    const outline = await readTextFile(args.outline, 'outline');
+    const world = await readTextFile(args.world, 'world', false);
+
+    // Checkpoints only matter for runs of several chapters
+    const checkpointPath = path.join(args.save_dir, CHECKPOINT_FILE);
+    const resumable = !args.request && !args.show_token_stats;
+    let checkpoint = null;
+    if (resumable && !args.restart) {
+        checkpoint = await loadCheckpoint(checkpointPath, args, chapters);
+    }
+    if (!checkpoint) {
+        checkpoint = {
+            chapters: chapters.map(chapter => chapter.key),
+            manuscript: path.resolve(args.manuscript),
+            completed: [],
+            files: {},
+            pending: null
+        };
+    }
+
+    let backedUp = false;
+    let manuscriptTracked = false;
+
+    // Append a written chapter to the manuscript, backing it up first if asked
+    const appendChapter = async (chapterFile) => {
+        if (args.no_append) return;
+
+        if (args.backup && !backedUp) {
+            const backupFile = await backupManuscript(args.manuscript);
+            if (backupFile) await writeOutputTracking(args.output_tracking, [backupFile]);
+            backedUp = true;
+        }
+
+        const text = await fs.readFile(chapterFile, 'utf-8');
+        const existing = await fileSize(args.manuscript);
+        await fs.appendFile(args.manuscript, (existing > 0 ? '\n\n' : '') + text.trim() + '\n', 'utf-8');
+        console.log(`Appended to manuscript: ${args.manuscript}`);
+
+        if (!manuscriptTracked) {
+            await writeOutputTracking(args.output_tracking, [path.resolve(args.manuscript)]);
+            manuscriptTracked = true;
+        }
+    };
+
+    // Finish a chapter that was written but not recorded when the last run stopped
+    if (resumable && checkpoint.pending) {
+        const pending = checkpoint.pending;
+        if (existsSync(pending.file)) {
+            if (!args.no_append && await fileSize(args.manuscript) === pending.manuscriptSize) {
+                await appendChapter(pending.file);
+            }
+            checkpoint.completed.push(pending.key);
+            checkpoint.files[pending.key] = pending.file;
+        }
+        checkpoint.pending = null;
+        await saveCheckpoint(checkpointPath, checkpoint);
+    }
+
+    const remaining = chapters.filter(chapter => !checkpoint.completed.includes(chapter.key));
+    if (checkpoint.completed.length > 0) {
+        console.log(`Resuming: ${checkpoint.completed.length} of ${chapters.length} chapters already written.`);
+    }
+    console.log(`Chapters to write: ${remaining.length}`);
+
+    for (let i = 0; i < remaining.length; i++) {
+        const chapter = remaining[i];
+        console.log(`\n=== Chapter ${chapter.number}: ${chapter.title} (${i + 1} of ${remaining.length}) ===`);
+        progressChapter(chapter, i + 1, remaining.length);
+        const written = chapters.length - remaining.length + i;
+        progressPercent(100 * written / chapters.length, `${written} of ${chapters.length} chapters written`);
+
+        // Re-read the manuscript so each chapter follows the ones before it
+        const manuscript = await readTextFile(args.manuscript, 'manuscript', false);
+        const prompt = buildPrompt(args, chapter, { outline, world, manuscript });
+
+        const promptTokens = await countTokens(client, prompt);
+        const { maxTokens, thinkingBudget } = calculateTokenBudget(args, promptTokens);
+        if (args.show_token_stats) {
+            console.log('(--show_token_stats: not calling the API)');
+            continue;
+        }
+        checkThinkingBudget(args, thinkingBudget);
+
+        const { text, thinking, usage } = await streamWithThinking(client, prompt, maxTokens, thinkingBudget);
+        if (!text.trim()) {
+            console.error(`Error: no text was generated for chapter ${chapter.number}.`);
+            process.exit(1);
+        }
+        console.log(`Chapter ${chapter.number} tokens: ${usage.input_tokens} input, ${usage.output_tokens} output`);
+
+        progressPhase('saving', `Saving chapter ${chapter.number}`);
+        const timestamp = fileTimestamp();
+        const chapterFile = await writeOutputFile(
+            path.join(args.save_dir, `chapter_${chapter.number}_${timestamp}.txt`),
+            text
+        );
+        const thinkingFile = await writeThinkingFile(
+            path.join(args.save_dir, `chapter_${chapter.number}_thinking_${timestamp}.txt`),
+            prompt,
+            thinking
+        );
+        await writeOutputTracking(args.output_tracking, thinkingFile ? [chapterFile, thinkingFile] : [chapterFile]);
+
+        // Record the chapter as pending before touching the manuscript, so a
+        // stop during the append doesn't lead to the chapter being written twice
+        if (resumable) {
+            checkpoint.pending = {
+                key: chapter.key,
+                file: chapterFile,
+                manuscriptSize: await fileSize(args.manuscript)
+            };
+            await saveCheckpoint(checkpointPath, checkpoint);
+        }
+
+        await appendChapter(chapterFile);
+
+        if (resumable) {
+            checkpoint.completed.push(chapter.key);
+            checkpoint.files[chapter.key] = chapterFile;
+            checkpoint.pending = null;
+            await saveCheckpoint(checkpointPath, checkpoint);
+        }
+
+        if (i < remaining.length - 1 && args.chapter_delay > 0) {
+            console.log(`\nWaiting ${args.chapter_delay} seconds before the next chapter...`);
+            progressPhase('waiting', `Waiting ${args.chapter_delay} seconds before the next chapter`);
+            await new Promise(resolve => setTimeout(resolve, args.chapter_delay * 1000));
+        }
+    }
+
+    // The run is complete, so there is nothing left to resume
+    if (resumable && existsSync(checkpointPath)) {
+        await fs.unlink(checkpointPath);
+        await fs.rmdir(path.dirname(checkpointPath)).catch(() => {});
+    }
+
+    progressPercent(100, `${chapters.length} of ${chapters.length} chapters written`);
+    console.log('\nChapter writing complete.');
+}
+
+// Run the main function and handle any unhandled promise rejections
+main().catch(error => {
+    console.error("Unhandled error:", error);
+    process.exit(1);
+});
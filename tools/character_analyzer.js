@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+const { main } = require('./analyzer-framework');
+
+main({
+    name: 'character_analysis',
+    title: 'character analysis',
+    description: 'Compare the characters of a manuscript with its outline and world documents using Claude API.',
+    epilog: `
+Example usages:
+  node character_analyzer.js --manuscript_file manuscript.txt
+  node character_analyzer.js --manuscript_file manuscript.txt --outline_file outline.txt --world_file world.txt
+    `,
+    documents: { outline: 'optional', world: 'optional' },
+    options: [],
+    prompt: (args, documents) => {
+        const sources = ['MANUSCRIPT', documents.outline && 'OUTLINE', documents.world && 'WORLD'].filter(Boolean);
+
+        return `You are a developmental editor checking the characters of a novel across its documents (${sources.join(', ')}).
+Drafts often gain characters that the planning documents never mention, or change a character's name, role or relationships along the way.
+
+Write a report with these sections:
+
+MASTER CHARACTER LIST
+Every character who appears in any document: name (with any variant spellings or nicknames), role, and which documents they appear in.
+
+DISCREPANCIES
+Characters whose name, description, role or relationships differ between documents, quoting both versions.
+
+CHARACTERS ONLY IN THE MANUSCRIPT
+Characters the draft introduces that the other documents don't mention, and whether each one earns their place.
+
+MISSING CHARACTERS
+Characters in the other documents who never appear in the manuscript.
+
+RECOMMENDATIONS
+Specific changes that would make the cast consistent.`;
+    }
+});
@@ -0,0 +1,474 @@
+// Shared Claude API client for the Writer's Toolkit tools. Settings come from
+// the app's API Settings dialog, which ToolRunner passes in the
+// WRITERS_TOOLKIT_API_CONFIG environment variable; command-line arguments
+// override them for a single run.
+
+const fs = require('fs');
+const Anthropic = require('@anthropic-ai/sdk');
+const { progressPhase, progressTokens, progressWarning } = require('./progress-events');
+const { checkModel, fitToModel } = require('./model-limits');
+
+const API_CONFIG_ENV = 'WRITERS_TOOLKIT_API_CONFIG';
+
+// File ToolRunner reads the run's token usage from, one JSON record per line
+const USAGE_FILE_ENV = 'WRITERS_TOOLKIT_USAGE_FILE';
+
+const DEFAULT_API_CONFIG = {
+    model: 'claude-3-7-sonnet-20250219',
+    betas: ['output-128k-2025-02-19'],
+    max_retries: 1,
+    request_timeout: 300,
+    context_window: 200000,
+    thinking_budget_tokens: 32000,
+    betas_max_tokens: 128000,
+    desired_output_tokens: 12000,
+    // Empty for the Anthropic API; set to use e.g. the offline mock server
+    base_url: ''
+};
+
+// Settings that can be given on the command line
+const ARGUMENT_SETTINGS = [
+    'model',
+    'max_retries',
+    'request_timeout',
+    'context_window',
+    'thinking_budget_tokens',
+    'betas_max_tokens',
+    'desired_output_tokens'
+];
+
+// Longest wait between retries
+const MAX_RETRY_DELAY = 30000;
+
+// How often to report tokens while a response streams
+const TOKENS_EVENT_INTERVAL = 1000;
+
+// Text, thinking and usage received so far by the response being streamed,
+// so a stopped tool can save them (see handleStop in tool-utils.js) and a
+// response that breaks off still has its tokens recorded
+let partialResponse = null;
+
+/**
+ * Betas as a list; the API settings hold them as comma-separated text
+ * @param {string|string[]} betas - Betas setting
+ * @returns {string[]} Beta names
+ */
+function parseBetas(betas) {
+    const list = Array.isArray(betas) ? betas : String(betas || '').split(',');
+    return list.map(beta => beta.trim()).filter(Boolean);
+}
+
+/**
+ * API settings from the environment, on top of the defaults
+ * @returns {Object} API configuration
+ */
+function loadApiConfig() {
+    const config = { ...DEFAULT_API_CONFIG };
+
+    const json = process.env[API_CONFIG_ENV];
+    if (json) {
+        try {
+            const settings = JSON.parse(json);
+            for (const [key, value] of Object.entries(settings || {})) {
+                // An empty betas setting means no betas
+                if (value !== null && value !== undefined && (value !== '' || key === 'betas')) {
+                    config[key] = value;
+                }
+            }
+        } catch (error) {
+            console.warn(`Warning: ignoring invalid ${API_CONFIG_ENV}: ${error.message}`);
+        }
+    }
+
+    config.betas = parseBetas(config.betas);
+    return config;
+}
+
+/**
+ * Adds the Claude API arguments shared by all tools, defaulting to the API settings
+ * @param {ArgumentParser} parser - Parser to add the arguments to
+ * @param {Object} [defaults] - The tool's own defaults, used instead of the API settings
+ */
+function addClaudeApiArguments(parser, defaults = {}) {
+    const config = { ...loadApiConfig(), ...defaults };
+
+    parser.add_argument('--model', {
+        type: 'str',
+        default: config.model,
+        help: `Claude model to use (default: ${config.model})`
+    });
+    parser.add_argument('--context_window', {
+        type: 'int',
+        default: config.context_window,
+        help: `Context window of the model (default: ${config.context_window})`
+    });
+    parser.add_argument('--betas_max_tokens', {
+        type: 'int',
+        default: config.betas_max_tokens,
+        help: `Maximum tokens for AI output (default: ${config.betas_max_tokens})`
+    });
+    parser.add_argument('--thinking_budget_tokens', {
+        type: 'int',
+        default: config.thinking_budget_tokens,
+        help: `Maximum tokens for AI thinking (default: ${config.thinking_budget_tokens})`
+    });
+    parser.add_argument('--desired_output_tokens', {
+        type: 'int',
+        default: config.desired_output_tokens,
+        help: `User desired number of tokens to generate before stopping output (default: ${config.desired_output_tokens})`
+    });
+    parser.add_argument('--request_timeout', {
+        type: 'int',
+        default: config.request_timeout,
+        help: `Maximum timeout for each *streamed chunk* of output (default: ${config.request_timeout} seconds)`
+    });
+    parser.add_argument('--max_retries', {
+        type: 'int',
+        default: config.max_retries,
+        help: `Maximum times to retry a failed request, with backoff (default: ${config.max_retries})`
+    });
+}
+
+/**
+ * Creates a Claude client from the API settings and parsed arguments, fitted
+ * to what the model supports; exits if the model can't think
+ * @param {Object} args - Parsed command-line arguments; its token settings are fitted too
+ * @returns {{anthropic: Anthropic, config: Object}} Client and the settings it uses
+ */
+function createClient(args = {}) {
+    const settings = loadApiConfig();
+    for (const key of ARGUMENT_SETTINGS) {
+        if (args[key] !== undefined && args[key] !== null) {
+            settings[key] = args[key];
+        }
+    }
+
+    const modelError = checkModel(settings.model);
+    if (modelError) {
+        console.error(`Error: ${modelError}`);
+        process.exit(1);
+    }
+
+    const { config, notes } = fitToModel(settings);
+    notes.forEach(note => console.log(`Note: ${note}`));
+    // Tools work out their token budgets from args
+    for (const key of ARGUMENT_SETTINGS) {
+        if (args[key] !== undefined) args[key] = config[key];
+    }
+
+    return {
+        // Retries are handled by withRetries so streams are retried too,
+        // as long as none of the response has been written out
+        anthropic: new Anthropic({
+            baseURL: config.base_url || undefined, // else ANTHROPIC_BASE_URL or the Anthropic API
+            timeout: config.request_timeout * 1000, // Convert to milliseconds
+            maxRetries: 0
+        }),
+        config
+    };
+}
+
+/**
+ * Whether a failed request is worth retrying
+ * @param {Error} error - Error from the API client
+ * @returns {boolean} True for connection problems, timeouts, rate limits and server errors
+ */
+function isRetryable(error) {
+    if (error && error.noRetry) return false;
+    if (error instanceof Anthropic.APIConnectionError) return true;
+
+    const status = error && error.status;
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/**
+ * How long to wait before the next attempt, honouring retry-after
+ * @param {Error} error - Error from the API client
+ * @param {number} attempt - Attempts made so far, from 0
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(error, attempt) {
+    const retryAfter = error && error.headers && parseFloat(error.headers['retry-after']);
+    if (retryAfter > 0) {
+        return Math.min(retryAfter * 1000, MAX_RETRY_DELAY);
+    }
+
+    // Exponential backoff with jitter: about 1s, 2s, 4s...
+    const base = Math.min(1000 * 2 ** attempt, MAX_RETRY_DELAY);
+    return Math.round(base * (0.75 + Math.random() * 0.5));
+}
+
+/**
+ * Run an API request, retrying failures with backoff up to max_retries times
+ * @param {Object} client - Client from createClient
+ * @param {string} label - What the request is, for messages
+ * @param {Function} request - Makes the request; called again for each retry
+ * @returns {Promise<*>} Result of the request
+ */
+async function withRetries(client, label, request) {
+    const maxRetries = client.config.max_retries;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await request();
+        } catch (error) {
+            if (attempt >= maxRetries || !isRetryable(error)) throw error;
+
+            const delay = retryDelay(error, attempt);
+            console.warn(`\n${label} failed: ${error.message}`);
+            console.warn(`Retrying in ${(delay / 1000).toFixed(1)} seconds (retry ${attempt + 1} of ${maxRetries})...`);
+            progressWarning(`${label} failed (${error.status || error.message}), retrying in ${(delay / 1000).toFixed(1)} seconds`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Count tokens in a prompt using the Anthropic API
+ * @param {Object} client - Client from createClient
+ * @param {string|Array} content - Prompt text, or message content blocks
+ * @returns {Promise<number>} Number of tokens
+ */
+async function countTokens(client, content) {
+    const { model, betas, thinking_budget_tokens: budgetTokens } = client.config;
+
+    progressPhase('counting', 'Counting prompt tokens');
+    try {
+        const response = await withRetries(client, 'Token counting', () =>
+            client.anthropic.beta.messages.countTokens({
+                model,
+                thinking: {
+                    type: "enabled",
+                    budget_tokens: budgetTokens
+                },
+                messages: [{ role: "user", content }],
+                betas
+            })
+        );
+
+        return response.input_tokens;
+    } catch (error) {
+        console.error(`Token counting error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Work out output and thinking budgets for a prompt, printing the numbers
+ * @param {Object} args - Parsed command-line arguments
+ * @param {number} promptTokens - Number of tokens in the prompt
+ * @returns {{availableTokens: number, maxTokens: number, thinkingBudget: number}} Token budget
+ */
+function calculateTokenBudget(args, promptTokens) {
+    // Calculate available tokens after prompt
+    const availableTokens = args.context_window - promptTokens;
+
+    // Calculate max tokens respecting API limits
+    const maxTokens = Math.min(availableTokens, args.betas_max_tokens);
+
+    // Thinking gets what is left after the desired output, up to the configured budget
+    const thinkingBudget = Math.min(maxTokens - args.desired_output_tokens, args.thinking_budget_tokens);
+
+    console.log("\nToken stats:");
+    console.log(`Max AI model context window: [${args.context_window}] tokens`);
+    console.log(`Input prompt tokens: [${promptTokens}]`);
+    console.log(`Available tokens: [${availableTokens}] = ${args.context_window} - ${promptTokens}`);
+    console.log(`Desired output tokens: [${args.desired_output_tokens}]`);
+    console.log(`AI model thinking budget: [${thinkingBudget}] tokens`);
+    console.log(`Max output tokens (max_tokens): [${maxTokens}] tokens`);
+
+    return { availableTokens, maxTokens, thinkingBudget };
+}
+
+/**
+ * Exit if the thinking budget is smaller than requested
+ * @param {Object} args - Parsed command-line arguments
+ * @param {number} thinkingBudget - Thinking budget left for the prompt
+ */
+function checkThinkingBudget(args, thinkingBudget) {
+    if (thinkingBudget < args.thinking_budget_tokens) {
+        console.error(`Error: prompt is too large to have a ${args.thinking_budget_tokens} thinking budget!`);
+        process.exit(1);
+    }
+    console.log("✓ Thinking budget is sufficient!");
+}
+
+/**
+ * Append a usage record for one request to the run's usage file, if the app gave one
+ * @param {Object} client - Client from createClient
+ * @param {Object} usage - Usage reported by the API
+ * @param {string} thinking - Thinking text of the response
+ * @returns {Object} Usage record
+ */
+function recordUsage(client, usage, thinking = '') {
+    const outputTokens = usage.output_tokens || 0;
+    const record = {
+        model: client.config.model,
+        input_tokens: usage.input_tokens || 0,
+        output_tokens: outputTokens,
+        // The API bills thinking as output without counting it separately,
+        // so this is estimated from the length of the thinking text
+        thinking_tokens: Math.min(outputTokens, Math.ceil(thinking.length / 4)),
+        cache_creation_input_tokens: usage.cache_creation_input_tokens || 0,
+        cache_read_input_tokens: usage.cache_read_input_tokens || 0
+    };
+
+    const usageFile = process.env[USAGE_FILE_ENV];
+    if (usageFile) {
+        try {
+            fs.appendFileSync(usageFile, JSON.stringify(record) + '\n', 'utf8');
+        } catch (error) {
+            console.warn(`Warning: could not record token usage: ${error.message}`);
+        }
+    }
+    return record;
+}
+
+/**
+ * Stream a response from Claude with extended thinking, echoing the text
+ * @param {Object} client - Client from createClient
+ * @param {string|Array} content - Prompt text, or message content blocks
+ * @param {number} maxTokens - Maximum output tokens
+ * @param {number} thinkingBudget - Tokens allowed for thinking
+ * @param {Object} [options]
+ * @param {boolean} [options.echo=true] - Write the response text to stdout as it arrives
+ * @returns {Promise<{text: string, thinking: string, usage: Object}>} Response text, thinking and usage
+ */
+async function streamWithThinking(client, content, maxTokens, thinkingBudget, { echo = true } = {}) {
+    const { model, betas } = client.config;
+
+    console.log(`\nSending request to Claude API (${model})...\n`);
+    const startTime = Date.now();
+
+    const result = await withRetries(client, 'Request', async () => {
+        let text = '';
+        let thinking = '';
+        let inputTokens = 0;
+        let lastTokensEvent = 0;
+        partialResponse = { client, text: '', thinking: '', usage: null };
+
+        // Estimated from the text until the final usage arrives
+        const reportTokens = () => {
+            const now = Date.now();
+            if (now - lastTokensEvent < TOKENS_EVENT_INTERVAL) return;
+            lastTokensEvent = now;
+            progressTokens({
+                input_tokens: inputTokens,
+                thinking_tokens: Math.ceil(thinking.length / 4),
+                output_tokens: Math.ceil((thinking.length + text.length) / 4)
+            });
+        };
+
+        progressPhase('waiting', `Waiting for ${model}`);
+
+        const stream = client.anthropic.beta.messages.stream({
+            model,
+            max_tokens: maxTokens,
+            messages: [{ role: "user", content }],
+            thinking: {
+                type: "enabled",
+                budget_tokens: thinkingBudget
+            },
+            betas
+        });
+
+        let message;
+        try {
+            for await (const event of stream) {
+                if (event.type === 'message_start') {
+                    inputTokens = event.message.usage.input_tokens || 0;
+                    partialResponse.usage = { ...event.message.usage };
+                } else if (event.type === 'message_delta') {
+                    if (event.usage && partialResponse.usage) {
+                        partialResponse.usage.output_tokens = event.usage.output_tokens;
+                    }
+                } else if (event.type === 'content_block_start') {
+                    if (event.content_block.type === 'thinking') {
+                        progressPhase('thinking', 'Claude is thinking');
+                    } else if (event.content_block.type === 'text') {
+                        progressPhase('writing', 'Claude is writing the response');
+                    }
+                } else if (event.type === 'content_block_delta') {
+                    if (event.delta.type === 'thinking_delta') {
+                        thinking += event.delta.thinking;
+                        partialResponse.thinking = thinking;
+                    } else if (event.delta.type === 'text_delta') {
+                        text += event.delta.text;
+                        partialResponse.text = text;
+                        if (echo) process.stdout.write(event.delta.text);
+                    }
+                    reportTokens();
+                }
+            }
+
+            message = await stream.finalMessage();
+        } catch (error) {
+            // The tokens used so far are billed even though the response is lost
+            recordPartialUsage();
+
+            // Text already written to stdout can't be taken back, and a retry
+            // would write the whole response again below it
+            if (echo && text) {
+                console.warn('\n\nThe response broke off part way through, so it is not retried.');
+                error.noRetry = true;
+            }
+            throw error;
+        }
+
+        progressTokens({
+            input_tokens: message.usage.input_tokens,
+            thinking_tokens: Math.min(message.usage.output_tokens, Math.ceil(thinking.length / 4)),
+            output_tokens: message.usage.output_tokens
+        });
+        return { text, thinking, usage: message.usage };
+    });
+    partialResponse = null;
+    recordUsage(client, result.usage, result.thinking);
+
+    const elapsed = (Date.now() - startTime) / 1000;
+    console.log(`\n\nElapsed time: ${Math.floor(elapsed / 60)} minutes, ${(elapsed % 60).toFixed(2)} seconds`);
+
+    return result;
+}
+
+/**
+ * Text and thinking received so far by the response being streamed
+ * @returns {{text: string, thinking: string}|null} Partial response, or null when no request is streaming
+ */
+function getPartialResponse() {
+    return partialResponse;
+}
+
+/**
+ * Record the usage of a response that didn't finish, once; output tokens
+ * are estimated from the text if the API hasn't reported them yet
+ * @returns {Object|null} Usage record, or null if the request used no tokens
+ */
+function recordPartialUsage() {
+    if (!partialResponse || !partialResponse.usage) return null;
+
+    const { client, text, thinking, usage } = partialResponse;
+    partialResponse.usage = null;
+    return recordUsage(client, {
+        ...usage,
+        output_tokens: Math.max(usage.output_tokens || 0, Math.ceil((thinking.length + text.length) / 4))
+    }, thinking);
+}
+
+module.exports = {
+    API_CONFIG_ENV,
+    USAGE_FILE_ENV,
+    DEFAULT_API_CONFIG,
+    loadApiConfig,
+    parseBetas,
+    addClaudeApiArguments,
+    createClient,
+    withRetries,
+    countTokens,
+    calculateTokenBudget,
+    checkThinkingBudget,
+    recordUsage,
+    streamWithThinking,
+    getPartialResponse,
+    recordPartialUsage
+};
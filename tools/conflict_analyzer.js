@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+const { multiChoiceOption, selectedChoices, main } = require('./analyzer-framework');
+
+const ANALYSIS_LEVELS = ['scene', 'chapter', 'arc'];
+const CONFLICT_TYPES = ['internal', 'interpersonal', 'environmental', 'societal', 'cosmic'];
+
+// What to report at each narrative level
+const LEVEL_INSTRUCTIONS = {
+    scene: 'SCENE LEVEL: whether each scene has its own conflict, what is at stake, and whether it turns.',
+    chapter: 'CHAPTER LEVEL: how conflict builds and releases across each chapter, and chapters where tension sags.',
+    arc: 'ARC LEVEL: the main conflicts of the whole story, how they escalate, and whether they resolve satisfyingly.'
+};
+
+main({
+    name: 'conflict_analysis',
+    title: 'conflict analysis',
+    description: 'Analyze the conflict in a manuscript at scene, chapter and arc level using Claude API.',
+    epilog: `
+Example usages:
+  node conflict_analyzer.js --manuscript_file manuscript.txt
+  node conflict_analyzer.js --manuscript_file manuscript.txt --outline_file outline.txt --analysis_level arc --conflict_types internal interpersonal
+    `,
+    documents: { outline: 'optional' },
+    options: [
+        ['--analysis_level', {
+            type: 'str',
+            default: 'all',
+            choices: [...ANALYSIS_LEVELS, 'all'],
+            help: 'Level of conflict analysis to perform (default: all)'
+        }],
+        ['--conflict_types', multiChoiceOption(CONFLICT_TYPES, 'Specific conflict types to analyze')]
+    ],
+    prompt: args => {
+        const levels = args.analysis_level === 'all' ? ANALYSIS_LEVELS : [args.analysis_level];
+        const types = selectedChoices(args.conflict_types, CONFLICT_TYPES);
+
+        return `You are a developmental editor analyzing the conflict that drives a novel: its nature, escalation and resolution.
+Consider these types of conflict: ${types.join(', ')}.
+
+Write a report with these sections:
+${levels.map(level => `- ${LEVEL_INSTRUCTIONS[level]}`).join('\n')}
+- CONFLICT TYPES: how each type of conflict above is used, with examples.
+- RECOMMENDATIONS: specific ways to strengthen tension and coherence.
+
+Support each point with short quotes from the manuscript and say which chapter they come from.`;
+    }
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+const { main } = require('./analyzer-framework');
+
+const CHECK_TYPES = ['world', 'internal', 'development', 'unresolved'];
+
+// What each check looks for
+const CHECK_INSTRUCTIONS = {
+    world: 'WORLD CONSISTENCY: places where the manuscript contradicts the world document: characters, settings, history, rules and technology or magic.',
+    internal: 'INTERNAL CONSISTENCY: places where the manuscript contradicts itself: names, descriptions, timeline, who knows what, and where things are.',
+    development: 'CHARACTER DEVELOPMENT: characters who act out of character, or change without the story showing why.',
+    unresolved: 'UNRESOLVED ELEMENTS: plot threads, questions, promises and objects that are set up and then dropped.'
+};
+
+main({
+    name: 'consistency_check',
+    title: 'consistency check',
+    description: 'Check a manuscript for consistency against its world document and outline using Claude API.',
+    epilog: `
+Example usages:
+  node consistency_checker.js --manuscript_file manuscript.txt --world_file world.txt
+  node consistency_checker.js --manuscript_file manuscript.txt --world_file world.txt --outline_file outline.txt --check_type internal
+    `,
+    documents: { world: 'required', outline: 'optional' },
+    descriptionOption: 'check_description',
+    options: [
+        ['--check_type', {
+            type: 'str',
+            default: 'all',
+            choices: [...CHECK_TYPES, 'all'],
+            help: 'Type of consistency check to perform (default: all)'
+        }]
+    ],
+    prompt: (args, documents) => {
+        const checks = args.check_type === 'all' ? CHECK_TYPES : [args.check_type];
+        const outline = documents.outline
+            ? 'Where the manuscript departs from the outline, say whether the change causes an inconsistency.'
+            : '';
+
+        return `You are a continuity editor checking a novel's manuscript against its world document${documents.outline ? ' and outline' : ''}.
+
+Check for:
+${checks.map(check => `- ${CHECK_INSTRUCTIONS[check]}`).join('\n')}
+${outline}
+
+Write a report with a section for each check. For each issue, quote the conflicting passages from each source, say which chapter it is in, and suggest how to resolve it.
+Finish with a section RECOMMENDATIONS, most important first.`;
+    }
+});
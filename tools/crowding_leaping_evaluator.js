@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+const {
+    LEVEL_CHOICES,
+    SENSITIVITY_CHOICES,
+    multiChoiceOption,
+    selectedChoices,
+    levelInstruction,
+    sensitivityInstruction,
+    main
+} = require('./analyzer-framework');
+
+const FOCUS_AREAS = ['crowding', 'leaping', 'transitions', 'pacing'];
+
+// What to look for in each focus area
+const FOCUS_INSTRUCTIONS = {
+    crowding: 'CROWDING: passages packed so densely with events, detail or information that the reader can\'t take them in.',
+    leaping: 'LEAPING: jumps in time, place or logic that leave the reader behind, and places where a well-judged leap would help.',
+    transitions: 'TRANSITIONS: how scenes and chapters hand off to each other, and where they are abrupt or drag.',
+    pacing: 'PACING: the overall balance of fast and slow sections and whether it suits the story.'
+};
+
+main({
+    name: 'crowding_leaping_analysis',
+    title: 'crowding and leaping analysis',
+    description: 'Evaluate the pacing of a manuscript for crowding and leaping using Claude API.',
+    epilog: `
+Example usages:
+  node crowding_leaping_evaluator.js --manuscript_file manuscript.txt
+  node crowding_leaping_evaluator.js --manuscript_file manuscript.txt --focus_areas crowding leaping --include_visualization
+    `,
+    options: [
+        ['--analysis_level', {
+            type: 'str',
+            default: 'standard',
+            choices: LEVEL_CHOICES,
+            help: 'Level of analysis detail (default: standard)'
+        }],
+        ['--focus_areas', multiChoiceOption(FOCUS_AREAS, 'Specific areas to focus on')],
+        ['--sensitivity', {
+            type: 'str',
+            default: 'medium',
+            choices: SENSITIVITY_CHOICES,
+            help: 'Sensitivity level for pattern detection (default: medium)'
+        }],
+        ['--include_visualization', {
+            action: 'store_true',
+            help: 'Include a text-based visualization of pacing patterns'
+        }]
+    ],
+    prompt: args => {
+        const areas = selectedChoices(args.focus_areas, FOCUS_AREAS);
+        const visualization = args.include_visualization
+            ? '\nFinish with a section PACING MAP: a plain-text chart, one line per chapter, showing its density from sparse to crowded and marking the big leaps.'
+            : '';
+
+        return `You are a developmental editor evaluating pacing using Ursula K. Le Guin's ideas of crowding and leaping: good prose crowds in what matters and leaps over what doesn't.
+
+Examine the manuscript for:
+${areas.map(area => `- ${FOCUS_INSTRUCTIONS[area]}`).join('\n')}
+
+Write a report with a section for each of these areas. For each issue, give the chapter, quote the passage, explain the effect on the reader, and suggest how to fix it.
+Then add a section RECOMMENDATIONS.${visualization}
+
+${sensitivityInstruction(args.sensitivity)}
+${levelInstruction(args.analysis_level)}`;
+    }
+});
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+const {
+    LEVEL_CHOICES,
+    SENSITIVITY_CHOICES,
+    multiChoiceOption,
+    selectedChoices,
+    levelInstruction,
+    sensitivityInstruction,
+    main
+} = require('./analyzer-framework');
+
+const MODIFIER_TYPES = ['dangling', 'misplaced', 'squinting', 'limiting'];
+
+// What each modifier type looks like
+const MODIFIER_INSTRUCTIONS = {
+    dangling: 'DANGLING MODIFIERS: opening phrases whose implied subject is not the subject of the sentence ("Walking home, the rain soaked her").',
+    misplaced: 'MISPLACED MODIFIERS: phrases placed next to the wrong word, so they seem to describe something else.',
+    squinting: 'SQUINTING MODIFIERS: modifiers between two elements that could apply to either ("Running quickly improves fitness").',
+    limiting: 'LIMITING MODIFIERS: only, just, almost, even, nearly and the like placed where they change the meaning.'
+};
+
+main({
+    name: 'dangling_modifier_analysis',
+    title: 'modifier analysis',
+    description: 'Find dangling and misplaced modifiers in a manuscript using Claude API.',
+    epilog: `
+Example usages:
+  node dangling_modifier_checker.js --manuscript_file manuscript.txt
+  node dangling_modifier_checker.js --manuscript_file manuscript.txt --modifier_types dangling misplaced --sensitivity high
+    `,
+    options: [
+        ['--analysis_level', {
+            type: 'str',
+            default: 'standard',
+            choices: LEVEL_CHOICES,
+            help: 'Level of analysis detail (default: standard)'
+        }],
+        ['--modifier_types', multiChoiceOption(MODIFIER_TYPES, 'Specific modifier types to focus on')],
+        ['--sensitivity', {
+            type: 'str',
+            default: 'medium',
+            choices: SENSITIVITY_CHOICES,
+            help: 'Sensitivity level for modifier detection (default: medium)'
+        }]
+    ],
+    prompt: args => {
+        const types = selectedChoices(args.modifier_types, MODIFIER_TYPES);
+
+        return `You are a copy editor looking for modifiers that don't logically attach to what they are meant to describe, causing confusion or unintended humor.
+
+Examine the manuscript for:
+${types.map(type => `- ${MODIFIER_INSTRUCTIONS[type]}`).join('\n')}
+
+Write a report with a section for each of these types. For each issue, quote the sentence, explain what it literally says, and give a corrected version.
+Finish with a section PATTERNS describing constructions the author tends to get wrong, and a section RECOMMENDATIONS.
+
+${sensitivityInstruction(args.sensitivity)}
+${levelInstruction(args.analysis_level)}`;
+    }
+});
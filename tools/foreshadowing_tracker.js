@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+const { main } = require('./analyzer-framework');
+
+const FORESHADOWING_TYPES = ['explicit', 'implicit', 'chekhov'];
+
+// What each type of foreshadowing looks like
+const TYPE_INSTRUCTIONS = {
+    explicit: 'EXPLICIT FORESHADOWING: direct hints, predictions and warnings about what is to come.',
+    implicit: 'IMPLICIT FORESHADOWING: subtle hints in imagery, symbolism, mood and dialogue.',
+    chekhov: "CHEKHOV'S GUNS: objects, skills, places or facts that are given emphasis and so promise to matter later."
+};
+
+main({
+    name: 'foreshadowing_analysis',
+    title: 'foreshadowing analysis',
+    description: 'Track foreshadowing in a manuscript and whether it pays off using Claude API.',
+    epilog: `
+Example usages:
+  node foreshadowing_tracker.js --manuscript_file manuscript.txt
+  node foreshadowing_tracker.js --manuscript_file manuscript.txt --outline_file outline.txt --foreshadowing_type chekhov --chronological
+    `,
+    documents: { outline: 'optional' },
+    options: [
+        ['--foreshadowing_type', {
+            type: 'str',
+            default: 'all',
+            choices: [...FORESHADOWING_TYPES, 'all'],
+            help: 'Type of foreshadowing to analyze (default: all)'
+        }],
+        ['--chronological', {
+            action: 'store_true',
+            help: 'Sort foreshadowing elements chronologically rather than by type'
+        }]
+    ],
+    prompt: (args, documents) => {
+        const types = args.foreshadowing_type === 'all' ? FORESHADOWING_TYPES : [args.foreshadowing_type];
+        const order = args.chronological
+            ? 'List the elements in the order they appear in the manuscript, noting the type of each.'
+            : 'Group the elements into a section for each type.';
+        const outline = documents.outline
+            ? 'Use the outline to tell setups still waiting for their payoff in planned chapters from ones that are forgotten.'
+            : '';
+
+        return `You are a developmental editor tracking the promises a novel makes to its reader and whether it keeps them.
+
+Look for:
+${types.map(type => `- ${TYPE_INSTRUCTIONS[type]}`).join('\n')}
+
+For each element, quote the setup and say where it is, then quote the payoff and say where it is, or say that there is none. Rate each as fulfilled, partly fulfilled or unfulfilled.
+${order}
+${outline}
+
+Finish with a section UNFULFILLED PROMISES and a section RECOMMENDATIONS for setting up or paying off elements more effectively.`;
+    }
+});
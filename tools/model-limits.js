@@ -0,0 +1,93 @@
+// What each Claude model supports: extended thinking, which every tool uses,
+// the most output tokens it can write, and betas only some models accept.
+// Used by claude-client.js to fit the API settings to the chosen model, and
+// by the app to refuse a model before a run starts.
+
+// Matched against the model name; the first match wins, so more specific
+// names come first. Betas map to the output limit they allow.
+const MODEL_LIMITS = [
+    { match: 'claude-3-7-sonnet', thinking: true, maxOutputTokens: 64000, betas: { 'output-128k-2025-02-19': 128000 } },
+    { match: 'claude-opus-4-5', thinking: true, maxOutputTokens: 64000 },
+    { match: 'claude-opus-4', thinking: true, maxOutputTokens: 32000 },
+    { match: 'claude-sonnet-4', thinking: true, maxOutputTokens: 64000 },
+    { match: 'claude-haiku-4', thinking: true, maxOutputTokens: 64000 },
+    { match: 'claude-3', thinking: false },
+    { match: 'claude-2', thinking: false },
+    { match: 'claude-instant', thinking: false }
+];
+
+// Models not listed get the smallest limit of the thinking models
+const DEFAULT_LIMITS = { thinking: true, maxOutputTokens: 32000 };
+
+// Smallest thinking budget the API accepts
+const MIN_THINKING_TOKENS = 1024;
+
+// Betas that only the models listing them accept
+const MODEL_BETAS = new Set(MODEL_LIMITS.flatMap(limits => Object.keys(limits.betas || {})));
+
+/**
+ * Limits of a model
+ * @param {string} model - Model name, e.g. claude-sonnet-4-20250514
+ * @returns {{thinking: boolean, maxOutputTokens: number, betas: Object}} Limits
+ */
+function getModelLimits(model) {
+    const name = String(model || '').toLowerCase();
+    const limits = MODEL_LIMITS.find(entry => name.startsWith(entry.match)) || DEFAULT_LIMITS;
+    return { betas: {}, ...limits };
+}
+
+/**
+ * Why the tools can't use a model, or null if they can
+ * @param {string} model - Model name
+ * @returns {string|null} Error message
+ */
+function checkModel(model) {
+    if (getModelLimits(model).thinking) return null;
+    return `${model} does not support extended thinking, which the Writer's Toolkit tools need. Choose a Claude 3.7 Sonnet or Claude 4 model.`;
+}
+
+/**
+ * API settings fitted to the model: betas it doesn't accept are left out,
+ * and the output and thinking budgets are lowered to what it can write
+ * @param {Object} config - API settings, with betas as a list
+ * @returns {{config: Object, notes: string[]}} Fitted settings and what was changed
+ */
+function fitToModel(config) {
+    const limits = getModelLimits(config.model);
+    const notes = [];
+
+    const betas = config.betas.filter(beta => !MODEL_BETAS.has(beta) || limits.betas[beta]);
+    const dropped = config.betas.filter(beta => !betas.includes(beta));
+    if (dropped.length > 0) {
+        notes.push(`${config.model} does not accept the ${dropped.join(', ')} beta; left out`);
+    }
+
+    const maxOutputTokens = Math.max(limits.maxOutputTokens, ...betas.map(beta => limits.betas[beta] || 0));
+    const fitted = { ...config, betas };
+    if (fitted.betas_max_tokens > maxOutputTokens) {
+        notes.push(`max output tokens lowered from ${fitted.betas_max_tokens} to ${maxOutputTokens} for ${config.model}`);
+        fitted.betas_max_tokens = maxOutputTokens;
+    }
+
+    // Thinking counts towards the output, which needs room for the response
+    // and the smallest thinking budget
+    const maxDesired = fitted.betas_max_tokens - MIN_THINKING_TOKENS;
+    if (fitted.desired_output_tokens > maxDesired) {
+        notes.push(`desired output tokens lowered from ${fitted.desired_output_tokens} to ${maxDesired} to leave room for thinking`);
+        fitted.desired_output_tokens = maxDesired;
+    }
+    const maxThinking = fitted.betas_max_tokens - fitted.desired_output_tokens;
+    if (fitted.thinking_budget_tokens > maxThinking) {
+        notes.push(`thinking budget lowered from ${fitted.thinking_budget_tokens} to ${maxThinking} to fit the output limit`);
+        fitted.thinking_budget_tokens = maxThinking;
+    }
+
+    return { config: fitted, notes };
+}
+
+module.exports = {
+    MODEL_LIMITS,
+    getModelLimits,
+    checkModel,
+    fitToModel
+};
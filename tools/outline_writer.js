@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { ArgumentParser } = require('argparse');
+const {
+    addClaudeApiArguments,
+    addOutputArguments,
+    createClient,
+    readTextFile,
+    countTokens,
+    calculateTokenBudget,
+    checkThinkingBudget,
+    streamWithThinking,
+    fileTimestamp,
+    writeOutputFile,
+    writeThinkingFile,
+    writeOutputTracking,
+    handleStop
+} = require('./tool-utils');
+
+/**
+ * Parses command-line arguments for outline writing
+ * @returns {Object} Parsed command-line arguments
+ */
+function parseArguments() {
+    const parser = new ArgumentParser({
+        description: 'Generate a novel outline from a premise using Claude API.',
+        epilog: `
+Example usages:
+  node outline_writer.js --premise_file ideas.txt
+  node outline_writer.js --premise_file ideas.txt --characters_file characters.txt --sections 3 --chapters 30 --detailed
+  node outline_writer.js --premise_file ideas.txt --example_outline skeleton.txt
+        `
+    });
+
+    // Input File Arguments
+    parser.add_argument('--premise_file', {
+        type: 'str',
+        required: true,
+        help: 'File containing the story premise (required)'
+    });
+    parser.add_argument('--example_outline', {
+        type: 'str',
+        default: null,
+        help: 'Example outline whose structure the new outline should follow'
+    });
+    parser.add_argument('--concept_file', {
+        type: 'str',
+        default: null,
+        help: 'File containing detailed concept information (optional)'
+    });
+    parser.add_argument('--characters_file', {
+        type: 'str',
+        default: null,
+        help: 'File containing character descriptions (optional)'
+    });
+
+    // Output Configuration Arguments
+    parser.add_argument('--sections', {
+        type: 'int',
+        default: 5,
+        help: 'Number of main parts/sections in the outline (default: 5)'
+    });
+    parser.add_argument('--chapters', {
+        type: 'int',
+        default: 25,
+        help: 'Number of chapters in the outline (default: 25)'
+    });
+    parser.add_argument('--lang', {
+        type: 'str',
+        default: 'English',
+        help: 'Language for writing (default: English)'
+    });
+    parser.add_argument('--title', {
+        type: 'str',
+        default: null,
+        help: 'Suggested title for the novel (optional)'
+    });
+    parser.add_argument('--genre', {
+        type: 'str',
+        default: null,
+        help: 'Suggested genre for the novel (optional)'
+    });
+    parser.add_argument('--detailed', {
+        action: 'store_true',
+        help: 'Generate a more detailed outline with chapter summaries'
+    });
+
+    addClaudeApiArguments(parser);
+    addOutputArguments(parser);
+
+    return parser.parse_args();
+}
+
+/**
+ * Builds the outline prompt from the input documents
+ * @param {Object} args - Parsed command-line arguments
+ * @param {Object} inputs - Contents of the premise, concept, characters and example files
+ * @returns {string} Prompt
+ */
+function buildPrompt(args, inputs) {
+    const documents = [`=== PREMISE ===\n${inputs.premise}\n=== END PREMISE ===`];
+    if (inputs.concept) {
+        documents.push(`=== CONCEPT ===\n${inputs.concept}\n=== END CONCEPT ===`);
+    }
+    if (inputs.characters) {
+        documents.push(`=== CHARACTERS ===\n${inputs.characters}\n=== END CHARACTERS ===`);
+    }
+    if (inputs.example) {
+        documents.push(`=== EXAMPLE OUTLINE ===\n${inputs.example}\n=== END EXAMPLE OUTLINE ===`);
+    }
+
+    const details = [];
+    if (args.title) details.push(`Title: ${args.title}`);
+    if (args.genre) details.push(`Genre: ${args.genre}`);
+
+    const structure = inputs.example
+        ? 'Follow the structure, headings and level of detail of the EXAMPLE OUTLINE, but write entirely new content for this story.'
+        : `Divide the outline into exactly ${args.sections} parts, each starting with a line like "PART 1: Part Title".`;
+    const chapterDetail = args.detailed
+        ? 'Under each chapter heading write a detailed summary of 4-6 sentences covering the key scenes, which characters appear, and how the chapter moves the plot and the characters\' arcs forward.'
+        : 'Under each chapter heading write 1-2 sentences summarizing what happens.';
+
+    return `${documents.join('\n\n')}
+
+${details.join('\n')}
+
+You are an experienced novelist and story editor. Using the documents above, write a complete outline for a novel.
+
+${structure}
+The outline must contain exactly ${args.chapters} chapters in total, numbered continuously from 1 to ${args.chapters}, each starting with a line like "Chapter 1: Chapter Title".
+${chapterDetail}
+Give the story a clear beginning, rising complications, a midpoint turn, a climax and a resolution, and make sure every major character has an arc.
+
+Write in ${args.lang}. Use plain text only, with no markdown formatting.`;
+}
+
+/**
+ * Main function to run the outline writing process
+ */
+async function main() {
+    // Parse command-line arguments
+    const args = parseArguments();
+
+    // Save what has been written so far if the run is stopped
+    handleStop(args, 'outline');
+
+    if (args.sections < 1 || args.chapters < 1) {
+        console.error('Error: --sections and --chapters must be at least 1.');
+        process.exit(1);
+    }
+    if (args.sections > args.chapters) {
+        console.error('Error: --sections cannot be larger than --chapters.');
+        process.exit(1);
+    }
+
+    // Initialize Anthropic client
+    const client = createClient(args);
+
+    // Read input files; only the premise is required
+    const inputs = {
+        premise: await readTextFile(args.premise_file, 'premise'),
+        concept: await readTextFile(args.concept_file, 'concept', false),
+        characters: await readTextFile(args.characters_file, 'characters', false),
+        example: await readTextFile(args.example_outline, 'example outline', false)
+    };
+
+    console.log(`Writing an outline of ${args.chapters} chapters` +
+        (inputs.example ? ' following the example outline' : ` in ${args.sections} parts`));
+
+    const prompt = buildPrompt(args, inputs);
+    const promptTokens = await countTokens(client, prompt);
+    const { maxTokens, thinkingBudget } = calculateTokenBudget(args, promptTokens);
+    checkThinkingBudget(args, thinkingBudget);
+
+    const { text, thinking } = await streamWithThinking(client, prompt, maxTokens, thinkingBudget);
+    if (!text.trim()) {
+        console.error('Error: no outline was generated.');
+        process.exit(1);
+    }
+
+    // Report how many chapters came back
+    const chapterCount = (text.match(/^\s*Chapter\s+\d+/gim) || []).length;
+    if (chapterCount !== args.chapters) {
+        console.warn(`Warning: the outline has ${chapterCount} chapters, ${args.chapters} were requested.`);
+    }
+
+    const timestamp = fileTimestamp();
+    const outlineFile = await writeOutputFile(path.join(args.save_dir, `outline_${timestamp}.txt`), text);
+    const thinkingFile = await writeThinkingFile(path.join(args.save_dir, `outline_thinking_${timestamp}.txt`), prompt, thinking);
+
+    await writeOutputTracking(args.output_tracking, thinkingFile ? [outlineFile, thinkingFile] : [outlineFile]);
+    console.log('\nOutline complete.');
+}
+
+// Run the main function and handle any unhandled promise rejections
+main().catch(error => {
+    console.error("Unhandled error:", error);
+    process.exit(1);
+});
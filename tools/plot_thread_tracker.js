@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+const { main } = require('./analyzer-framework');
+
+const ANALYSIS_DEPTHS = ['basic', 'detailed', 'comprehensive'];
+
+// How much to report at each depth
+const DEPTH_INSTRUCTIONS = {
+    basic: 'Keep it brief: name the main threads, where each starts and ends, and the biggest problems.',
+    detailed: 'For each thread, trace its progression chapter by chapter and how it connects to the others.',
+    comprehensive: 'Be thorough: trace every thread chapter by chapter with short quotes, map every connection, convergence and divergence, and assess the pacing of each thread.'
+};
+
+main({
+    name: 'plot_thread_analysis',
+    title: 'plot thread analysis',
+    description: 'Identify and track the plot threads of a manuscript using Claude API.',
+    epilog: `
+Example usages:
+  node plot_thread_tracker.js --manuscript_file manuscript.txt
+  node plot_thread_tracker.js --manuscript_file manuscript.txt --outline_file outline.txt --thread_focus romance mystery --ascii_art
+    `,
+    documents: { outline: 'optional' },
+    options: [
+        ['--analysis_depth', {
+            type: 'str',
+            default: 'comprehensive',
+            choices: ANALYSIS_DEPTHS,
+            help: 'Depth of plot thread analysis to perform (default: comprehensive)'
+        }],
+        ['--thread_focus', {
+            nargs: '+',
+            default: null,
+            help: "Optional list of specific plot threads to focus on (e.g., 'romance' 'mystery')"
+        }],
+        ['--ascii_art', {
+            action: 'store_true',
+            help: 'Include simple ASCII art visualization in the output'
+        }]
+    ],
+    prompt: args => {
+        const focus = args.thread_focus && args.thread_focus.length > 0
+            ? `Concentrate on these threads: ${args.thread_focus.join(', ')}. Mention other threads only where they touch these.`
+            : 'Cover every distinct plot thread, main plot and subplots alike.';
+        const art = args.ascii_art
+            ? '\nFinish with a section THREAD MAP: a plain-text ASCII chart with one row per thread and one column per chapter, marking where each thread is active and where threads meet.'
+            : '';
+
+        return `You are a developmental editor mapping the plot threads of a novel: how they interconnect, converge and diverge.
+${focus}
+
+Write a report with these sections:
+
+PLOT THREADS
+Each thread: what it is about, the characters involved, and where it starts and resolves.
+
+PROGRESSION
+How each thread develops through the manuscript.
+
+CONNECTIONS
+Where threads affect, cross or merge with each other.
+
+ASSESSMENT
+Threads that stall, vanish, resolve too easily or are left hanging.
+
+RECOMMENDATIONS
+Specific ways to strengthen the plot structure.${art}
+
+${DEPTH_INSTRUCTIONS[args.analysis_depth]}`;
+    }
+});
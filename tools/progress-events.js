@@ -0,0 +1,90 @@
+// Progress events for the Writer's Toolkit tool window. When the app runs a
+// tool it sets WRITERS_TOOLKIT_PROGRESS, and the tool writes each event to
+// stdout as one line: the ::wt:: prefix followed by a JSON object with an
+// "event" field. ToolRunner takes these lines out of the output and the tool
+// window shows them as a progress bar and status panel. Run from a terminal,
+// tools write no events and their output is unchanged.
+//
+// Events:
+//   {"event":"phase","phase":"thinking","message":"..."}
+//   {"event":"progress","percent":40,"message":"..."}
+//   {"event":"tokens","input_tokens":51000,"thinking_tokens":1200,"output_tokens":300}
+//   {"event":"chapter","number":9,"title":"The Storm","index":2,"total":5}
+//   {"event":"warning","message":"..."}
+
+const PROGRESS_ENV = 'WRITERS_TOOLKIT_PROGRESS';
+const PROGRESS_PREFIX = '::wt::';
+
+/**
+ * Whether the app asked for progress events
+ * @returns {boolean} True when running inside the Writer's Toolkit
+ */
+function progressEnabled() {
+    return process.env[PROGRESS_ENV] === '1';
+}
+
+/**
+ * Write a progress event line to stdout
+ * @param {string} event - Event name
+ * @param {Object} data - Event fields
+ */
+function emitProgress(event, data = {}) {
+    if (!progressEnabled()) return;
+    process.stdout.write(`${PROGRESS_PREFIX}${JSON.stringify({ event, ...data })}\n`);
+}
+
+/**
+ * The tool moved to a new phase, e.g. counting, thinking, writing, saving
+ * @param {string} phase - Short phase name
+ * @param {string} [message] - What is happening, for the status panel
+ */
+function progressPhase(phase, message) {
+    emitProgress('phase', { phase, message });
+}
+
+/**
+ * How much of the run is done
+ * @param {number} percent - 0 to 100
+ * @param {string} [message] - What is done so far
+ */
+function progressPercent(percent, message) {
+    emitProgress('progress', { percent: Math.max(0, Math.min(100, Math.round(percent))), message });
+}
+
+/**
+ * Tokens used so far by the current request
+ * @param {Object} tokens - input_tokens, thinking_tokens and output_tokens
+ */
+function progressTokens(tokens) {
+    emitProgress('tokens', tokens);
+}
+
+/**
+ * The chapter now being written
+ * @param {Object} chapter - Chapter with number and title
+ * @param {number} index - Position of the chapter in this run, from 1
+ * @param {number} total - Chapters in this run
+ */
+function progressChapter(chapter, index, total) {
+    emitProgress('chapter', { number: chapter.number, title: chapter.title, index, total });
+}
+
+/**
+ * Something the user should notice, shown apart from the output
+ * @param {string} message - Warning text
+ */
+function progressWarning(message) {
+    emitProgress('warning', { message });
+}
+
+module.exports = {
+    PROGRESS_ENV,
+    PROGRESS_PREFIX,
+    progressEnabled,
+    emitProgress,
+    progressPhase,
+    progressPercent,
+    progressTokens,
+    progressChapter,
+    progressWarning
+};
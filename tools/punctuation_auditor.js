@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+const {
+    LEVEL_CHOICES,
+    SENSITIVITY_CHOICES,
+    multiChoiceOption,
+    selectedChoices,
+    levelInstruction,
+    sensitivityInstruction,
+    main
+} = require('./analyzer-framework');
+
+const ELEMENTS = ['commas', 'periods', 'semicolons', 'dashes', 'parentheses', 'colons', 'run-ons'];
+
+main({
+    name: 'punctuation_analysis',
+    title: 'punctuation audit',
+    description: 'Audit the punctuation of a manuscript for clarity and flow using Claude API.',
+    epilog: `
+Example usages:
+  node punctuation_auditor.js --manuscript_file manuscript.txt
+  node punctuation_auditor.js --manuscript_file manuscript.txt --elements commas run-ons --strictness high
+    `,
+    options: [
+        ['--analysis_level', {
+            type: 'str',
+            default: 'standard',
+            choices: LEVEL_CHOICES,
+            help: 'Level of analysis detail (default: standard)'
+        }],
+        ['--elements', multiChoiceOption(ELEMENTS, 'Specific punctuation elements to focus on')],
+        ['--strictness', {
+            type: 'str',
+            default: 'medium',
+            choices: SENSITIVITY_CHOICES,
+            help: 'Strictness level for punctuation analysis (default: medium)'
+        }]
+    ],
+    prompt: args => {
+        const elements = selectedChoices(args.elements, ELEMENTS);
+
+        return `You are a copy editor auditing a novel's punctuation for clarity and flow, not mechanical rule-following: fiction may bend rules on purpose.
+Focus on: ${elements.join(', ')}.
+
+Write a report with a section for each of these elements. For each issue, quote the sentence, explain how the punctuation hurts clarity or rhythm, and give a corrected version.
+Then add a section PATTERNS describing the author's punctuation habits, good and bad, and a section RECOMMENDATIONS.
+
+${sensitivityInstruction(args.strictness)}
+${levelInstruction(args.analysis_level)}`;
+    }
+});
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+const {
+    LEVEL_CHOICES,
+    SENSITIVITY_CHOICES,
+    multiChoiceOption,
+    selectedChoices,
+    levelInstruction,
+    sensitivityInstruction,
+    main
+} = require('./analyzer-framework');
+
+const SCENE_TYPES = ['action', 'dialogue', 'description', 'exposition'];
+
+main({
+    name: 'rhythm_analysis',
+    title: 'rhythm analysis',
+    description: 'Evaluate the rhythm and flow of the prose in a manuscript using Claude API.',
+    epilog: `
+Example usages:
+  node rhythm_analyzer.js --manuscript_file manuscript.txt
+  node rhythm_analyzer.js --manuscript_file manuscript.txt --scene_types action dialogue --rhythm_sensitivity high
+    `,
+    options: [
+        ['--analysis_level', {
+            type: 'str',
+            default: 'standard',
+            choices: LEVEL_CHOICES,
+            help: 'Level of analysis detail (default: standard)'
+        }],
+        ['--scene_types', multiChoiceOption(SCENE_TYPES, 'Specific scene types to focus analysis on')],
+        ['--rhythm_sensitivity', {
+            type: 'str',
+            default: 'medium',
+            choices: SENSITIVITY_CHOICES,
+            help: 'Sensitivity level for rhythm analysis (default: medium)'
+        }]
+    ],
+    prompt: args => {
+        const scenes = selectedChoices(args.scene_types, SCENE_TYPES);
+
+        return `You are a line editor listening to the rhythm of a novel's prose: how sentence length and structure vary, and whether the rhythm suits what is happening.
+Focus on these kinds of passages: ${scenes.join(', ')}.
+
+Write a report with these sections:
+
+OVERALL RHYTHM
+How sentence and paragraph lengths vary across the manuscript, and the author's habitual patterns.
+
+MONOTONOUS PASSAGES
+Runs of sentences with the same length or structure: quote them and show a revision with more variety.
+
+RHYTHM AND MOOD
+Passages where the rhythm works against the mood, such as long flowing sentences in a fight or clipped fragments in a reflective moment, with revisions.
+
+STRONG PASSAGES
+A few places where the rhythm works well, and why.
+
+RECOMMENDATIONS
+Specific habits to change in revision.
+
+${sensitivityInstruction(args.rhythm_sensitivity)}
+${levelInstruction(args.analysis_level)}`;
+    }
+});
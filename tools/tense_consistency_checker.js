@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+const { LEVEL_CHOICES, levelInstruction, main } = require('./analyzer-framework');
+
+main({
+    name: 'tense_analysis',
+    title: 'tense consistency analysis',
+    description: 'Check a manuscript for unintended verb tense shifts using Claude API.',
+    epilog: `
+Example usages:
+  node tense_consistency_checker.js --manuscript_file manuscript.txt
+  node tense_consistency_checker.js --manuscript_file manuscript.txt --analysis_level basic --chapter_markers "CHAPTER"
+    `,
+    options: [
+        ['--analysis_level', {
+            type: 'str',
+            default: 'standard',
+            choices: LEVEL_CHOICES,
+            help: 'Level of tense analysis detail (default: standard)'
+        }],
+        ['--chapter_markers', {
+            type: 'str',
+            default: 'Chapter',
+            help: "Text that marks the start of chapters (default: 'Chapter')"
+        }]
+    ],
+    prompt: args => `You are a copy editor checking the verb tense of a novel.
+Chapters start with lines beginning "${args.chapter_markers}".
+
+First identify the narrative tense the manuscript is written in. Then find places where the tense shifts between past and present without a reason, such as a flashback, a character's thoughts or dialogue, or a deliberate change of frame, and ignore shifts that have one.
+
+Write a report with these sections:
+
+NARRATIVE TENSE
+The primary tense and how consistently it is used.
+
+TENSE SHIFTS
+Each unintended shift, by chapter: quote the passage, explain why it reads as an error, and give a corrected version.
+
+PATTERNS
+Recurring causes of the shifts, and chapters that need the most attention.
+
+RECOMMENDATIONS
+How to keep the tense consistent in revision.
+
+${levelInstruction(args.analysis_level)}`
+});
@@ -0,0 +1,189 @@
+// Shared helpers for the Writer's Toolkit command-line tools: common
+// arguments, file input/output and the --output_tracking file read by the
+// Electron app. The Claude API helpers from claude-client.js and the progress
+// events from progress-events.js are re-exported so tools can take
+// everything from here.
+
+const fs = require('fs/promises');
+const { appendFileSync, mkdirSync, writeFileSync } = require('fs');
+const path = require('path');
+const {
+    addClaudeApiArguments,
+    createClient,
+    countTokens,
+    calculateTokenBudget,
+    checkThinkingBudget,
+    streamWithThinking,
+    getPartialResponse,
+    recordPartialUsage
+} = require('./claude-client');
+const {
+    progressPhase,
+    progressPercent,
+    progressChapter,
+    progressWarning
+} = require('./progress-events');
+
+/**
+ * Adds the --save_dir and --output_tracking arguments
+ * @param {ArgumentParser} parser - Parser to add the arguments to
+ */
+function addOutputArguments(parser) {
+    parser.add_argument('--save_dir', {
+        type: 'str',
+        default: ".",
+        help: 'Directory to save output files (default: current directory)'
+    });
+    parser.add_argument('--output_tracking', {
+        type: 'str',
+        default: null,
+        help: 'UUID-based file for tracking output files (used by Writer\'s Toolkit)'
+    });
+}
+
+/**
+ * Read a text file, exiting with an error message if it can't be read
+ * @param {string} filePath - Path to the text file
+ * @param {string} label - What the file is, for error messages
+ * @param {boolean} required - Exit if the file is missing or empty
+ * @returns {Promise<string>} File content, or '' for a missing optional file
+ */
+async function readTextFile(filePath, label = 'text', required = true) {
+    if (!filePath) {
+        if (required) {
+            console.error(`Error: no ${label} file given.`);
+            process.exit(1);
+        }
+        return '';
+    }
+
+    try {
+        const content = await fs.readFile(filePath, 'utf-8');
+        if (required && !content.trim()) {
+            console.error(`Error: ${label} file '${filePath}' is empty.`);
+            process.exit(1);
+        }
+        return content;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            if (!required) {
+                console.log(`Note: ${label} file '${filePath}' not found, continuing without it.`);
+                return '';
+            }
+            console.error(`Error: ${label} file '${filePath}' not found.`);
+        } else {
+            console.error(`Error reading ${label} file '${filePath}': ${error.message}`);
+        }
+        process.exit(1);
+    }
+}
+
+/**
+ * Timestamp suitable for file names, e.g. 20250314_093000
+ * @returns {string} Timestamp
+ */
+function fileTimestamp() {
+    return new Date().toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+}
+
+/**
+ * Write an output file, creating its directory if needed
+ * @param {string} filePath - Where to write
+ * @param {string} content - File content
+ * @returns {Promise<string>} Absolute path of the written file
+ */
+async function writeOutputFile(filePath, content) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, 'utf-8');
+    console.log(`Saved: ${filePath}`);
+    return path.resolve(filePath);
+}
+
+/**
+ * Save the model's thinking next to its output, with the prompt that produced it
+ * @param {string} filePath - Where to write
+ * @param {string} prompt - Prompt that was sent
+ * @param {string} thinking - Thinking text from the response
+ * @returns {Promise<string|null>} Path of the written file, or null if there was no thinking
+ */
+async function writeThinkingFile(filePath, prompt, thinking) {
+    if (!thinking.trim()) return null;
+    return writeOutputFile(filePath, `=== PROMPT ===\n${prompt}\n\n=== AI'S THINKING PROCESS ===\n\n${thinking}\n`);
+}
+
+/**
+ * Record created files for the Writer's Toolkit, one path per line
+ * @param {string|null} trackingFile - The --output_tracking file, if any
+ * @param {string[]} createdFiles - Paths of files the tool created or changed
+ */
+async function writeOutputTracking(trackingFile, createdFiles) {
+    if (!trackingFile || createdFiles.length === 0) return;
+
+    const lines = createdFiles.map(file => path.resolve(file)).join('\n');
+    await fs.appendFile(trackingFile, `${lines}\n`, 'utf-8');
+}
+
+// Exit codes of a tool stopped by SIGTERM or SIGINT, as if it had been killed
+const STOP_EXIT_CODES = { SIGTERM: 143, SIGINT: 130 };
+
+/**
+ * Save the response being streamed when the tool is stopped. The app sends
+ * SIGTERM when a run is cancelled, and kills the tool's processes if it hasn't
+ * exited a few seconds later. The text received so far, or the thinking if
+ * no text has arrived yet, is saved as <name>_partial_<timestamp>.txt and
+ * recorded in --output_tracking, with the tokens used so far; the tool then
+ * exits.
+ * @param {Object} args - Parsed command-line arguments, with save_dir and output_tracking
+ * @param {string} name - Output file prefix, e.g. "outline"
+ */
+function handleStop(args, name) {
+    const onStop = (signal) => {
+        recordPartialUsage();
+
+        const partial = getPartialResponse();
+        const text = partial ? partial.text.trim() || partial.thinking.trim() : '';
+
+        if (text) {
+            try {
+                const suffix = partial.text.trim() ? '_partial' : '_thinking_partial';
+                const filePath = path.resolve(args.save_dir, `${name}${suffix}_${fileTimestamp()}.txt`);
+                // Synchronous, as the tool exits straight after
+                mkdirSync(path.dirname(filePath), { recursive: true });
+                writeFileSync(filePath, `${text}\n`, 'utf-8');
+                if (args.output_tracking) {
+                    appendFileSync(args.output_tracking, `${filePath}\n`, 'utf-8');
+                }
+                console.log(`\n\nStopped. Partial output saved: ${filePath}`);
+            } catch (error) {
+                console.error(`\nStopped. Could not save partial output: ${error.message}`);
+            }
+        } else {
+            console.log('\n\nStopped.');
+        }
+
+        process.exit(STOP_EXIT_CODES[signal]);
+    };
+
+    process.once('SIGTERM', onStop);
+    process.once('SIGINT', onStop);
+}
+
+module.exports = {
+    addClaudeApiArguments,
+    addOutputArguments,
+    createClient,
+    readTextFile,
+    countTokens,
+    calculateTokenBudget,
+    checkThinkingBudget,
+    streamWithThinking,
+    progressPhase,
+    progressPercent,
+    progressChapter,
+    progressWarning,
+    fileTimestamp,
+    writeOutputFile,
+    writeThinkingFile,
+    writeOutputTracking,
+    handleStop
+};
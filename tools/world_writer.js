@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { ArgumentParser } = require('argparse');
+const {
+    addClaudeApiArguments,
+    addOutputArguments,
+    createClient,
+    readTextFile,
+    countTokens,
+    calculateTokenBudget,
+    checkThinkingBudget,
+    streamWithThinking,
+    fileTimestamp,
+    writeOutputFile,
+    writeThinkingFile,
+    writeOutputTracking,
+    handleStop
+} = require('./tool-utils');
+
+/**
+ * Parses command-line arguments for world writing
+ * @returns {Object} Parsed command-line arguments
+ */
+function parseArguments() {
+    const parser = new ArgumentParser({
+        description: 'Develop the characters and world of a novel from its outline using Claude API.',
+        epilog: `
+Example usages:
+  node world_writer.js --title "The Long Dark" --pov "third person perspective" --characters_file characters.txt --outline_file outline.txt
+  node world_writer.js --title "The Long Dark" --pov "first person" --characters_file characters.txt --outline_file outline.txt --detailed
+        `
+    });
+
+    // Content Configuration Arguments
+    parser.add_argument('--lang', {
+        type: 'str',
+        default: 'English',
+        help: 'Language for writing (default: English)'
+    });
+    parser.add_argument('--title', {
+        type: 'str',
+        required: true,
+        help: 'Title of story (required)'
+    });
+    parser.add_argument('--pov', {
+        type: 'str',
+        default: 'third person perspective',
+        help: 'Point of view (default: third person perspective)'
+    });
+
+    // Input File Arguments
+    parser.add_argument('--characters_file', {
+        type: 'str',
+        required: true,
+        help: 'File containing the character list or descriptions (required)'
+    });
+    parser.add_argument('--outline_file', {
+        type: 'str',
+        required: true,
+        help: 'Path to the outline file generated by outline_writer.js (required)'
+    });
+    parser.add_argument('--detailed', {
+        action: 'store_true',
+        help: 'Generate more detailed character and world profiles'
+    });
+
+    addClaudeApiArguments(parser);
+    addOutputArguments(parser);
+
+    return parser.parse_args();
+}
+
+/**
+ * Builds the world document prompt
+ * @param {Object} args - Parsed command-line arguments
+ * @param {string} outline - Content of the outline file
+ * @param {string} characters - Content of the characters file
+ * @returns {string} Prompt
+ */
+function buildPrompt(args, outline, characters) {
+    const depth = args.detailed
+        ? 'Be thorough: give each major character a full profile of several paragraphs, and describe each important location, institution and custom in depth.'
+        : 'Keep each profile and description concise, a short paragraph at most.';
+
+    return `=== OUTLINE ===
+${outline}
+=== END OUTLINE ===
+
+=== CHARACTERS ===
+${characters}
+=== END CHARACTERS ===
+
+You are a novelist preparing the reference document ("story bible") for a novel titled "${args.title}", written in ${args.pov}.
+Using the outline and characters above, write a world document with these sections:
+
+${args.title.toUpperCase()}: WORLD
+
+CHARACTERS
+For every character in the outline and character list: name, role, age and appearance, personality, background, motivation, relationships to the other characters, and arc across the outline.
+
+SETTING
+Time period, places, geography and atmosphere, and how the setting shapes the story.
+
+WORLD RULES
+Society, politics, technology or magic, history, and any rules the story must stay consistent with.
+
+THEMES AND TONE
+The themes the outline develops and the voice the ${args.pov} narration should have.
+
+${depth}
+Do not contradict the outline. Write in ${args.lang}. Use plain text only, with no markdown formatting.`;
+}
+
+/**
+ * Main function to run the world writing process
+ */
+async function main() {
+    // Parse command-line arguments
+    const args = parseArguments();
+
+    // Save what has been written so far if the run is stopped
+    handleStop(args, 'world');
+
+    // Initialize Anthropic client
+    const client = createClient(args);
+
+    // Read input files
+    const outline = await readTextFile(args.outline_file, 'outline');
+    const characters = await readTextFile(args.characters_file, 'characters');
+    console.log(`Building the world of "${args.title}" from: ${args.outline_file}`);
+
+    const prompt = buildPrompt(args, outline, characters);
+    const promptTokens = await countTokens(client, prompt);
+    const { maxTokens, thinkingBudget } = calculateTokenBudget(args, promptTokens);
+    checkThinkingBudget(args, thinkingBudget);
+
+    const { text, thinking } = await streamWithThinking(client, prompt, maxTokens, thinkingBudget);
+    if (!text.trim()) {
+        console.error('Error: no world document was generated.');
+        process.exit(1);
+    }
+
+    const timestamp = fileTimestamp();
+    const worldFile = await writeOutputFile(path.join(args.save_dir, `world_${timestamp}.txt`), text);
+    const thinkingFile = await writeThinkingFile(path.join(args.save_dir, `world_thinking_${timestamp}.txt`), prompt, thinking);
+
+    await writeOutputTracking(args.output_tracking, thinkingFile ? [worldFile, thinkingFile] : [worldFile]);
+    console.log('\nWorld document complete.');
+}
+
+// Run the main function and handle any unhandled promise rejections
+main().catch(error => {
+    console.error("Unhandled error:", error);
+    process.exit(1);
+});
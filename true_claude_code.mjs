@@ -27,12 +27,18 @@
  * Requires: @anthropic-ai/sdk, argparse
  */
 
-import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs/promises';
 import path from 'path';
 import { ArgumentParser } from 'argparse';
 import { fileURLToPath } from 'url';
 import * as readline from 'readline';
+import {
+    addClaudeApiArguments,
+    createClient,
+    withRetries,
+    countTokens,
+    streamWithThinking
+} from './tools/claude-client.js';
 
 // Helper to get __dirname in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -127,42 +133,9 @@ Example usages:
         help: "Preview mode: prepare prompt and count tokens but don't call API (except free token counting)"
     });
 
-    // API Configuration Arguments
-    parser.add_argument('--request_timeout', {
-        type: 'int',
-        default: 300,
-        help: 'Maximum timeout for each *streamed chunk* of output (default: 300 seconds)'
-    });
-    
-    parser.add_argument('--max_retries', {
-        type: 'int',
-        default: 0,
-        help: 'Maximum times to retry request, may get expensive if too many'
-    });
-    
-    parser.add_argument('--context_window', {
-        type: 'int',
-        default: 200000,
-        help: 'Context window for Claude 3.7 Sonnet (default: 200000)'
-    });
-    
-    parser.add_argument('--betas_max_tokens', {
-        type: 'int',
-        default: 128000,
-        help: 'Maximum tokens for AI output (default: 128000)'
-    });
-    
-    parser.add_argument('--thinking_budget_tokens', {
-        type: 'int',
-        default: 32000,
-        help: 'Maximum tokens for AI thinking (default: 32000)'
-    });
-    
-    parser.add_argument('--desired_output_tokens', {
-        type: 'int',
-        default: 96000, // changed from 8000
-        help: 'User desired number of tokens to generate before stopping output (max 96000)'
-    });    
+    // API Configuration Arguments, defaulting to the app's API settings; this
+    // tool writes long responses, so it keeps its larger output default
+    addClaudeApiArguments(parser, { desired_output_tokens: 96000 });
 
     parser.add_argument('--show_token_stats', {
         action: 'store_true',
@@ -401,25 +374,15 @@ async function saveOutput(filename, content) {
 
 /**
  * Calculate maximum tokens for API call
- * @param {Anthropic} client - Anthropic API client
+ * @param {Object} client - Claude client from createClient
  * @param {string} prompt - Prompt text
  * @param {Object} args - Command-line arguments
  * @returns {Promise<Object>} Token calculations
  */
 async function calculateMaxTokens(client, prompt, args) {
     try {
-        const response = await client.beta.messages.countTokens({
-            model: "claude-3-7-sonnet-20250219",
-            thinking: {
-                type: "enabled",
-                budget_tokens: args.thinking_budget_tokens
-            },
-            messages: [{ role: "user", content: prompt }],
-            betas: ["output-128k-2025-02-19"]
-        });
-
         // Calculate available tokens after prompt
-        const promptTokens = response.input_tokens;
+        const promptTokens = await countTokens(client, prompt);
         const availableTokens = args.context_window - promptTokens;
         
         // Check if we have enough room for both thinking and desired output
@@ -754,7 +717,7 @@ async function processScreenshots(args) {
 
 /**
  * Process single file or directory using Anthropic API
- * @param {Anthropic} client - Anthropic API client
+ * @param {Object} client - Claude client from createClient
  * @param {Object} args - Command-line arguments
  * @returns {Promise<string>} Path to results file
  */
@@ -815,7 +778,7 @@ async function processCode(client, args) {
     console.log(`Available tokens: [${availableTokens}]  = ${args.context_window} - ${promptTokens} = context_window - prompt`);
     console.log(`Desired output tokens: [${args.desired_output_tokens}]`);
     console.log(`\nMax output tokens (max_tokens): [${maxTokens}] tokens  = min(${availableTokens}, ${args.betas_max_tokens})`);
-    console.log(`                                   = can not exceed: 'betas=["output-128k-2025-02-19"]'`);
+    console.log(`                                   = can not exceed: 'betas=${JSON.stringify(client.config.betas)}'`);
     console.log(`AI model thinking budget: [${thinkingBudget}] tokens  = ${maxTokens} - ${args.desired_output_tokens}`);
     console.log(`                           = can not exceed: 32K`);
     
@@ -896,31 +859,10 @@ async function processCode(client, args) {
     console.log(`****************************************************************************`);
     
     try {
-        const responseStream = await client.beta.messages.stream({
-            model: "claude-3-7-sonnet-20250219",
-            max_tokens: maxTokens,
-            messages: [{ role: "user", content: messageContent }],
-            thinking: {
-                type: "enabled",
-                budget_tokens: thinkingBudget
-            },
-            betas: ["output-128k-2025-02-19"]
-        });
-
-        // Track both thinking and text output
-        for await (const event of responseStream) {
-            if (event.type === "content_block_delta") {
-                if (event.delta.type === "thinking_delta") {
-                    thinkingContent += event.delta.thinking;
-                } else if (event.delta.type === "text_delta") {
-                    fullResponse += event.delta.text;
-                    // Print the response as it comes in
-                    process.stdout.write(event.delta.text);
-                }
-            }
-        }
-        // Add a newline after streaming completes
-        console.log();
+        // Track both thinking and text output, printing the response as it comes in
+        const response = await streamWithThinking(client, messageContent, maxTokens, thinkingBudget);
+        fullResponse = response.text;
+        thinkingContent = response.thinking;
     } catch (error) {
         console.error(`\nError during API call: ${error.message}`);
     }
@@ -974,15 +916,17 @@ async function processCode(client, args) {
     
     let outputTokenCount = 0;
     try {
-        const response = await client.beta.messages.countTokens({
-            model: "claude-3-7-sonnet-20250219",
-            thinking: {
-                type: "enabled",
-                budget_tokens: args.thinking_budget_tokens
-            },
-            messages: [{ role: "user", content: fullResponse }],
-            betas: ["output-128k-2025-02-19"]
-        });
+        const response = await withRetries(client, 'Token counting', () =>
+            client.anthropic.beta.messages.countTokens({
+                model: client.config.model,
+                thinking: {
+                    type: "enabled",
+                    budget_tokens: args.thinking_budget_tokens
+                },
+                messages: [{ role: "user", content: fullResponse }],
+                betas: client.config.betas
+            })
+        );
         outputTokenCount = response.input_tokens;
         console.log(`Output is ${outputTokenCount} tokens (via client.beta.messages.countTokens)`);
     } catch (error) {
@@ -1031,10 +975,7 @@ async function main() {
         const args = parseArguments();
         
         // Initialize Anthropic client
-        const client = new Anthropic({
-            timeout: args.request_timeout * 1000, // Convert to milliseconds
-            maxRetries: args.max_retries
-        });
+        const client = createClient(args);
         
         // Print initial setup information
         console.log(`Starting code analysis/modification tool with ${args.file ? 'single file' : 'directory'} mode`);
@@ -1061,6 +1002,7 @@ async function main() {
         console.log(`Save directory: ${path.resolve(args.save_dir)}`);
         
         if (!args.preview) {
+            console.log(`Model: ${client.config.model}`);
             console.log(`Max request timeout: ${args.request_timeout} seconds`);
             console.log(`Max retries: ${args.max_retries}`);
             console.log(`Context window: ${args.context_window} tokens`);
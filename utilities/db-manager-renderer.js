@@ -40,6 +40,7 @@ document.addEventListener('DOMContentLoaded', () => {
   const toolTitle = document.getElementById('tool-title');
   const toolDescription = document.getElementById('tool-description');
   const toolHelpText = document.getElementById('tool-help-text');
+  const toolModel = document.getElementById('tool-model');
   const toolOptions = document.getElementById('tool-options');
   
   // Settings management
@@ -98,6 +99,11 @@ document.addEventListener('DOMContentLoaded', () => {
       help_text: toolHelpText.value || null
     };
     
+    // Only tools that need a different model carry one
+    if (toolModel.value.trim()) {
+      toolData.model = toolModel.value.trim();
+    }
+    
     // Parse options if provided
     if (toolOptions.value.trim()) {
       try {
@@ -289,6 +295,7 @@ document.addEventListener('DOMContentLoaded', () => {
       toolTitle.value = tool.title || '';
       toolDescription.value = tool.description || '';
       toolHelpText.value = tool.help_text || '';
+      toolModel.value = tool.model || '';
       
       // Format options as JSON
       if (tool.options) {
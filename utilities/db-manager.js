@@ -147,12 +147,15 @@ const { app, BrowserWindow, ipcMain, dialog } = require('electron');
           current_project: null,
           current_project_path: null,
           claude_api_configuration: {
+            model: 'claude-3-7-sonnet-20250219',
+            betas: 'output-128k-2025-02-19',
             max_retries: 1,
             request_timeout: 300,
             context_window: 200000,
             thinking_budget_tokens: 32000,
             betas_max_tokens: 128000,
-            desired_output_tokens: 12000
+            desired_output_tokens: 12000,
+            base_url: ''
           }
         };
 
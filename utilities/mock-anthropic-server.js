@@ -0,0 +1,425 @@
+// mock-anthropic-server.js
+// Offline stand-in for the Anthropic API, for developing and testing tools
+// without a network connection or API costs. Serves the Messages endpoint
+// (streaming and not), countTokens and the models list.
+//
+// node utilities/mock-anthropic-server.js [--port 8765] [--scenario file.json]
+// node utilities/mock-anthropic-server.js --record file.json
+//
+// Then set Base URL in Settings > API Settings to http://127.0.0.1:8765
+// (or run a tool with ANTHROPIC_BASE_URL=http://127.0.0.1:8765).
+//
+// A scenario is a JSON file with a "responses" list. For each request the
+// first response whose endpoint and "match" fit, and which has not been used
+// up, is replayed:
+//   {
+//     "responses": [
+//       { "match": "Chapter 2", "status": 529, "times": 1 },
+//       { "match": "Chapter 2", "thinking": "Plan...", "text": "Chapter 2\n..." },
+//       { "endpoint": "count_tokens", "input_tokens": 5000 },
+//       { "text": "Fallback reply", "chunk_size": 10, "delay_ms": 20 }
+//     ]
+//   }
+// Response fields:
+//   endpoint    - "messages" (default), "count_tokens" or "models"
+//   match       - text, or list of texts, the prompt must contain; "/re/" for a regex
+//   times       - how many requests the response answers (default: unlimited)
+//   status      - HTTP error status to return instead, with "error_type",
+//                 "message" and "retry_after" (seconds) for the error body
+//   thinking, text, usage, stop_reason - the reply; usage is estimated if missing
+//   error_after - end the stream with an overloaded error after this many
+//                 characters of text
+//   chunk_size, delay_ms - size of each streamed delta and the pause between them
+//   input_tokens - count_tokens reply
+// Without a match the server echoes the start of the prompt, so tools still
+// run end to end.
+//
+// --record forwards every request to the real API (using ANTHROPIC_API_KEY)
+// and appends what came back to the scenario file, in order, to replay later.
+// --upstream points it at another server instead.
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const DEFAULT_PORT = 8765;
+const UPSTREAM = 'https://api.anthropic.com';
+
+const DEFAULT_MODELS = [
+  { id: 'claude-3-7-sonnet-20250219', display_name: 'Claude 3.7 Sonnet', created_at: '2025-02-19T00:00:00Z' },
+  { id: 'claude-3-5-haiku-20241022', display_name: 'Claude 3.5 Haiku', created_at: '2024-10-22T00:00:00Z' }
+];
+
+// Error types the API uses for each status
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  500: 'api_error',
+  529: 'overloaded_error'
+};
+
+// Rough token estimate, good enough for budgets and usage figures
+function estimateTokens(text) {
+  return Math.max(1, Math.ceil((text || '').length / 4));
+}
+
+// All the text in a request's messages, for matching
+function promptText(body) {
+  const parts = [];
+  if (typeof body.system === 'string') parts.push(body.system);
+
+  for (const message of body.messages || []) {
+    if (typeof message.content === 'string') {
+      parts.push(message.content);
+    } else if (Array.isArray(message.content)) {
+      message.content.forEach(block => {
+        if (block && typeof block.text === 'string') parts.push(block.text);
+      });
+    }
+  }
+  return parts.join('\n');
+}
+
+function matches(pattern, text) {
+  if (pattern === undefined || pattern === null) return true;
+  if (Array.isArray(pattern)) return pattern.every(item => matches(item, text));
+
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  return regex ? new RegExp(regex[1], regex[2]).test(text) : text.includes(pattern);
+}
+
+class MockAnthropicServer {
+  constructor({ scenario = null, scenarioFile = null, recordFile = null, upstream = UPSTREAM, quiet = false } = {}) {
+    this.scenarioFile = scenarioFile;
+    this.recordFile = recordFile;
+    this.upstream = upstream;
+    this.quiet = quiet;
+    this.requests = [];
+    this.loadScenario(scenario || (scenarioFile && !recordFile ? JSON.parse(fs.readFileSync(scenarioFile, 'utf8')) : {}));
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  // Replace the scripted responses, e.g. between automated tests
+  loadScenario(scenario) {
+    this.responses = (scenario.responses || []).map(response => ({ ...response, used: 0 }));
+    this.models = scenario.models || DEFAULT_MODELS;
+  }
+
+  log(message) {
+    if (!this.quiet) console.log(message);
+  }
+
+  listen(port = DEFAULT_PORT, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        this.url = `http://${host}:${address.port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    let body = {};
+    try {
+      const raw = await readBody(req);
+      body = raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      return sendError(res, 400, 'invalid_request_error', `Invalid JSON body: ${error.message}`);
+    }
+
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    const endpoint = req.method === 'GET' && pathname === '/v1/models' ? 'models'
+      : req.method === 'POST' && pathname === '/v1/messages/count_tokens' ? 'count_tokens'
+      : req.method === 'POST' && pathname === '/v1/messages' ? 'messages'
+      : null;
+
+    if (!endpoint) {
+      return sendError(res, 404, 'not_found_error', `No mock for ${req.method} ${pathname}`);
+    }
+
+    const text = promptText(body);
+    this.requests.push({ endpoint, body, prompt: text });
+    this.log(`${req.method} ${pathname}${body.stream ? ' (stream)' : ''}`);
+
+    if (this.recordFile) {
+      return this.forward(req, res, endpoint, body);
+    }
+
+    const response = this.nextResponse(endpoint, text);
+
+    if (response.status) {
+      const headers = response.retry_after !== undefined ? { 'retry-after': String(response.retry_after) } : {};
+      return sendError(res, response.status, response.error_type || ERROR_TYPES[response.status] || 'api_error',
+        response.message || `Mock ${response.status} error`, headers);
+    }
+
+    if (endpoint === 'models') {
+      return sendJson(res, 200, { data: this.models, has_more: false, first_id: null, last_id: null });
+    }
+    if (endpoint === 'count_tokens') {
+      return sendJson(res, 200, { input_tokens: response.input_tokens || estimateTokens(text) });
+    }
+
+    const message = buildMessage(body, text, response);
+    if (body.stream) {
+      return streamMessage(res, message, response);
+    }
+    return sendJson(res, 200, message);
+  }
+
+  // First unused response for the request, or the default echo
+  nextResponse(endpoint, text) {
+    const response = this.responses.find(candidate =>
+      (candidate.endpoint || 'messages') === endpoint &&
+      (candidate.times === undefined || candidate.used < candidate.times) &&
+      matches(candidate.match, text));
+
+    if (!response) {
+      return { text: `Mock response to: ${text.slice(0, 200)}` };
+    }
+    response.used++;
+    return response;
+  }
+
+  // Pass the request to the real API and save the reply as a response
+  forward(req, res, endpoint, body) {
+    const url = new URL(req.url, this.upstream);
+    const headers = {
+      'content-type': 'application/json',
+      'x-api-key': process.env.ANTHROPIC_API_KEY || req.headers['x-api-key'] || '',
+      'anthropic-version': req.headers['anthropic-version'] || '2023-06-01'
+    };
+    if (req.headers['anthropic-beta']) headers['anthropic-beta'] = req.headers['anthropic-beta'];
+
+    const transport = url.protocol === 'https:' ? https : http;
+    const upstreamReq = transport.request(url, { method: req.method, headers }, upstreamRes => {
+      res.writeHead(upstreamRes.statusCode, {
+        'content-type': upstreamRes.headers['content-type'] || 'application/json'
+      });
+
+      let raw = '';
+      upstreamRes.on('data', chunk => {
+        raw += chunk;
+        res.write(chunk);
+      });
+      upstreamRes.on('end', () => {
+        res.end();
+        this.record(recordedResponse(endpoint, upstreamRes, raw, !!body.stream));
+      });
+    });
+
+    upstreamReq.on('error', error => sendError(res, 502, 'api_error', `Upstream request failed: ${error.message}`));
+    if (req.method === 'POST') upstreamReq.write(JSON.stringify(body));
+    upstreamReq.end();
+  }
+
+  record(response) {
+    let scenario = { responses: [] };
+    if (fs.existsSync(this.recordFile)) {
+      scenario = JSON.parse(fs.readFileSync(this.recordFile, 'utf8'));
+    }
+    scenario.responses = scenario.responses || [];
+    scenario.responses.push(response);
+    fs.writeFileSync(this.recordFile, JSON.stringify(scenario, null, 2));
+    this.log(`Recorded ${response.endpoint} response ${scenario.responses.length}`);
+  }
+}
+
+// Scenario entry for a reply from the real API, replayed once in order
+function recordedResponse(endpoint, upstreamRes, raw, streamed) {
+  const response = { endpoint, times: 1 };
+
+  if (upstreamRes.statusCode >= 400) {
+    response.status = upstreamRes.statusCode;
+    try {
+      const error = JSON.parse(raw).error || {};
+      response.error_type = error.type;
+      response.message = error.message;
+    } catch (error) {
+      response.message = raw;
+    }
+    if (upstreamRes.headers['retry-after']) response.retry_after = Number(upstreamRes.headers['retry-after']);
+    return response;
+  }
+
+  if (endpoint === 'count_tokens') {
+    response.input_tokens = JSON.parse(raw).input_tokens;
+    return response;
+  }
+  if (endpoint === 'models') {
+    return response;
+  }
+
+  const message = streamed ? messageFromEvents(raw) : JSON.parse(raw);
+  const thinking = message.content.filter(block => block.type === 'thinking').map(block => block.thinking).join('');
+  const text = message.content.filter(block => block.type === 'text').map(block => block.text).join('');
+  if (thinking) response.thinking = thinking;
+  response.text = text;
+  response.usage = message.usage;
+  response.stop_reason = message.stop_reason;
+  return response;
+}
+
+// Rebuild a message from a recorded event stream
+function messageFromEvents(raw) {
+  let message = { content: [], usage: {} };
+
+  raw.split('\n').filter(line => line.startsWith('data: ')).forEach(line => {
+    const event = JSON.parse(line.slice(6));
+    if (event.type === 'message_start') {
+      message = { ...event.message, content: [] };
+    } else if (event.type === 'content_block_start') {
+      message.content[event.index] = { ...event.content_block };
+    } else if (event.type === 'content_block_delta') {
+      const block = message.content[event.index];
+      if (event.delta.type === 'thinking_delta') block.thinking = (block.thinking || '') + event.delta.thinking;
+      if (event.delta.type === 'text_delta') block.text = (block.text || '') + event.delta.text;
+    } else if (event.type === 'message_delta') {
+      message.stop_reason = event.delta.stop_reason;
+      message.usage = { ...message.usage, ...event.usage };
+    }
+  });
+  return message;
+}
+
+function buildMessage(body, text, response) {
+  const content = [];
+  if (response.thinking !== undefined && body.thinking && body.thinking.type === 'enabled') {
+    content.push({ type: 'thinking', thinking: response.thinking, signature: 'mock-signature' });
+  }
+  content.push({ type: 'text', text: response.text || '' });
+
+  return {
+    id: `msg_mock_${Date.now().toString(36)}`,
+    type: 'message',
+    role: 'assistant',
+    model: body.model || DEFAULT_MODELS[0].id,
+    content,
+    stop_reason: response.stop_reason || 'end_turn',
+    stop_sequence: null,
+    usage: {
+      input_tokens: estimateTokens(text),
+      output_tokens: estimateTokens((response.thinking || '') + (response.text || '')),
+      ...response.usage
+    }
+  };
+}
+
+// Send a message as server-sent events, the way the API streams it
+async function streamMessage(res, message, response) {
+  const chunkSize = response.chunk_size || 40;
+  const delay = response.delay_ms || 0;
+
+  res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache' });
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+  const pause = () => delay ? new Promise(resolve => setTimeout(resolve, delay)) : Promise.resolve();
+
+  send('message_start', {
+    message: { ...message, content: [], stop_reason: null, usage: { ...message.usage, output_tokens: 1 } }
+  });
+
+  let textSent = 0;
+  for (const [index, block] of message.content.entries()) {
+    const field = block.type === 'thinking' ? 'thinking' : 'text';
+    send('content_block_start', { index, content_block: { ...block, [field]: '', ...(field === 'thinking' ? { signature: '' } : {}) } });
+
+    const value = block[field];
+    for (let offset = 0; offset < value.length; offset += chunkSize) {
+      const chunk = value.slice(offset, offset + chunkSize);
+      send('content_block_delta', { index, delta: { type: `${field}_delta`, [field]: chunk } });
+
+      if (field === 'text') {
+        textSent += chunk.length;
+        if (response.error_after !== undefined && textSent >= response.error_after) {
+          send('error', { error: { type: 'overloaded_error', message: 'Overloaded' } });
+          return res.end();
+        }
+      }
+      await pause();
+    }
+
+    if (field === 'thinking') {
+      send('content_block_delta', { index, delta: { type: 'signature_delta', signature: block.signature } });
+    }
+    send('content_block_stop', { index });
+  }
+
+  send('message_delta', {
+    delta: { stop_reason: message.stop_reason, stop_sequence: null },
+    usage: { output_tokens: message.usage.output_tokens }
+  });
+  send('message_stop', {});
+  res.end();
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => resolve(raw));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+function sendError(res, status, type, message, headers = {}) {
+  sendJson(res, status, { type: 'error', error: { type, message } }, headers);
+}
+
+// Command line: --port, --scenario, --record, --upstream, --quiet
+function parseArgs(argv) {
+  const args = { port: DEFAULT_PORT };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') args.port = parseInt(argv[++i], 10);
+    else if (arg === '--scenario') args.scenarioFile = path.resolve(argv[++i]);
+    else if (arg === '--record') args.recordFile = path.resolve(argv[++i]);
+    else if (arg === '--upstream') args.upstream = argv[++i];
+    else if (arg === '--quiet') args.quiet = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (args.recordFile && !process.env.ANTHROPIC_API_KEY) {
+    console.error('Recording needs ANTHROPIC_API_KEY to reach the real API.');
+    process.exit(1);
+  }
+
+  const mock = new MockAnthropicServer(args);
+  mock.listen(args.port).then(url => {
+    console.log(`Mock Anthropic API listening on ${url}`);
+    if (args.recordFile) console.log(`Recording responses from ${mock.upstream} to ${args.recordFile}`);
+    else if (args.scenarioFile) console.log(`Replaying ${mock.responses.length} responses from ${args.scenarioFile}`);
+  }).catch(error => {
+    console.error(`Could not start the mock server: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { MockAnthropicServer, DEFAULT_PORT };
@@ -0,0 +1,222 @@
+// mock-smoke-test.js
+// Runs the tools end to end against the mock Anthropic server, the way the
+// app runs them: with the option defaults from writers-toolkit-db.json, in a
+// temporary project. Checks what the app relies on: the exit code, the
+// progress events on stdout, the files listed in the --output_tracking file
+// and the token usage records. Needs no network connection or API key.
+//
+// npm test
+// node utilities/mock-smoke-test.js [--keep]
+//
+// --keep leaves the temporary project folder in place to look at.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { MockAnthropicServer } = require('./mock-anthropic-server');
+const { ProgressStream, PROGRESS_ENV } = require('../src/tool-progress');
+const { normalizeToolOptions } = require('../src/option-schema');
+const { buildToolArguments } = require('../src/tool-arguments');
+
+const APP_ROOT = path.resolve(__dirname, '..');
+const SCENARIO_FILE = path.join(__dirname, 'mock-anthropic-scenario.json');
+const DB_FILE = path.join(APP_ROOT, 'writers-toolkit-db.json');
+
+// Longest a tool may take before the run counts as hung
+const TOOL_TIMEOUT = 60000;
+
+// Files of the temporary project
+const PROJECT_FILES = {
+  'ideas.txt': 'A lighthouse keeper finds a map that leads under the sea.\n',
+  'premise.txt': 'A lighthouse keeper follows a drowned map to a city under the harbour.\n',
+  'characters.txt': 'Mara Quill: the lighthouse keeper.\nTomas Reed: a fisherman who knows the old stories.\n',
+  'manuscript.txt': 'Chapter 1: The Harbour\n\nRain hammered the harbour wall as the last boat came in.\n',
+  'outline.txt': 'Chapter 1: The Harbour\nThe storm arrives.\n\nChapter 2: The Lighthouse\nMara climbs to the lamp room.\n',
+  'world.txt': 'A fishing town on a cold northern coast.\n'
+};
+
+// The tools to run, with values for the options the database leaves empty
+// and what each run must show besides a clean exit. By default a tool
+// records its token usage and lists a thinking file.
+const SMOKE_RUNS = [
+  { tool: 'tokens_words_counter.js', values: { input_file: '${PROJECT_PATH}/manuscript.txt' }, usage: false, thinkingFile: false },
+  { tool: 'brainstorm.js' },
+  { tool: 'outline_writer.js', values: { '--premise_file': '${PROJECT_PATH}/premise.txt' } },
+  {
+    tool: 'world_writer.js',
+    values: {
+      '--title': 'The Drowned Map',
+      '--characters_file': '${PROJECT_PATH}/characters.txt',
+      '--outline_file': '${PROJECT_PATH}/outline.txt'
+    }
+  },
+  {
+    tool: 'chapter_writer.js',
+    values: { '--request': 'Chapter 2: The Lighthouse', '--chapters_to_write': '', '--no_append': true }
+  },
+  { tool: 'character_analyzer.js', values: { '--manuscript_file': '${PROJECT_PATH}/manuscript.txt' } },
+  { tool: 'tense_consistency_checker.js' },
+  { tool: 'adjective_adverb_optimizer.js' },
+  { tool: 'dangling_modifier_checker.js' },
+  { tool: 'rhythm_analyzer.js' },
+  { tool: 'crowding_leaping_evaluator.js' },
+  { tool: 'punctuation_auditor.js' },
+  { tool: 'consistency_checker.js' },
+  { tool: 'conflict_analyzer.js' },
+  { tool: 'foreshadowing_tracker.js' },
+  { tool: 'plot_thread_tracker.js' }
+];
+
+// Command line of a tool: its database defaults with the run's values, and
+// ${PROJECT_PATH} set to the project folder
+function getToolArguments(tools, smokeRun, project) {
+  const record = Object.values(tools).find(tool => tool.name === smokeRun.tool);
+  if (!record) {
+    throw new Error(`${smokeRun.tool} is not in ${path.basename(DB_FILE)}`);
+  }
+
+  const optionDefs = normalizeToolOptions(record.options, record.name);
+  const values = {};
+  for (const def of optionDefs) {
+    if (def.default !== undefined) values[def.name] = def.default;
+  }
+  Object.assign(values, smokeRun.values);
+
+  for (const [name, value] of Object.entries(values)) {
+    if (typeof value === 'string') values[name] = value.split('${PROJECT_PATH}').join(project);
+  }
+  return buildToolArguments(optionDefs, values);
+}
+
+// Run a tool like ToolRunner does, collecting its output and progress events
+function runTool(tool, args, env, cwd) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('node', ['--no-warnings', path.join(APP_ROOT, 'tools', tool), ...args], { cwd, env });
+    let output = '';
+    let stderr = '';
+    const events = [];
+    const progress = new ProgressStream(text => { output += text; }, event => events.push(event));
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`${tool} did not finish within ${TOOL_TIMEOUT / 1000} seconds`));
+    }, TOOL_TIMEOUT);
+
+    child.stdout.on('data', data => progress.write(data.toString()));
+    child.stderr.on('data', data => { stderr += data.toString(); });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      progress.end();
+      resolve({ code, output, stderr, events });
+    });
+  });
+}
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// Problems with a tool's run, empty if it did what the app expects
+function checkRun(smokeRun, result, trackingFile, usageFile) {
+  const problems = [];
+  if (result.code !== 0) {
+    problems.push(`exited with code ${result.code}: ${result.stderr.trim().split('\n').pop()}`);
+  }
+  if (result.events.length === 0) {
+    problems.push('wrote no progress events');
+  }
+
+  const createdFiles = readLines(trackingFile);
+  if (createdFiles.length === 0) {
+    problems.push('listed no files in the tracking file');
+  }
+  createdFiles.filter(file => !fs.existsSync(file))
+    .forEach(file => problems.push(`listed a missing file: ${file}`));
+  if (smokeRun.thinkingFile !== false && !createdFiles.some(file => path.basename(file).includes('thinking'))) {
+    problems.push('did not list its thinking file');
+  }
+
+  if (smokeRun.usage !== false) {
+    let records = [];
+    try {
+      records = readLines(usageFile).map(line => JSON.parse(line));
+    } catch (error) {
+      problems.push(`wrote an unreadable usage record: ${error.message}`);
+    }
+    if (records.length === 0) {
+      problems.push('recorded no token usage');
+    } else if (!records.every(record => record.input_tokens > 0 && record.output_tokens > 0)) {
+      problems.push('recorded usage without input or output tokens');
+    }
+  }
+  return problems;
+}
+
+async function main() {
+  const keep = process.argv.includes('--keep');
+  const { tools } = JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
+  const project = fs.mkdtempSync(path.join(os.tmpdir(), 'wt-smoke-'));
+  for (const [name, content] of Object.entries(PROJECT_FILES)) {
+    fs.writeFileSync(path.join(project, name), content);
+  }
+
+  const mock = new MockAnthropicServer({ quiet: true, scenario: JSON.parse(fs.readFileSync(SCENARIO_FILE, 'utf8')) });
+  const url = await mock.listen(0);
+
+  let failures = 0;
+  try {
+    for (const smokeRun of SMOKE_RUNS) {
+      const name = path.basename(smokeRun.tool, '.js');
+      const trackingFile = path.join(project, `${name}-tracking.txt`);
+      const usageFile = path.join(project, `${name}-tracking.usage.jsonl`);
+      const env = {
+        ...process.env,
+        ANTHROPIC_API_KEY: 'mock-key',
+        ANTHROPIC_BASE_URL: url,
+        WRITERS_TOOLKIT_USAGE_FILE: usageFile,
+        [PROGRESS_ENV]: '1'
+      };
+      delete env.WRITERS_TOOLKIT_API_CONFIG;
+
+      let problems;
+      try {
+        const args = [...getToolArguments(tools, smokeRun, project), '--output_tracking', trackingFile];
+        const result = await runTool(smokeRun.tool, args, env, project);
+        problems = checkRun(smokeRun, result, trackingFile, usageFile);
+      } catch (error) {
+        problems = [error.message];
+      }
+
+      if (problems.length === 0) {
+        console.log(`ok   ${smokeRun.tool}`);
+      } else {
+        failures++;
+        console.log(`FAIL ${smokeRun.tool}`);
+        problems.forEach(problem => console.log(`     ${problem}`));
+      }
+    }
+  } finally {
+    await mock.close();
+    if (keep) {
+      console.log(`Project folder kept at ${project}`);
+    } else {
+      fs.rmSync(project, { recursive: true, force: true });
+    }
+  }
+
+  console.log(failures === 0
+    ? `All ${SMOKE_RUNS.length} tools passed.`
+    : `${failures} of ${SMOKE_RUNS.length} tools failed.`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main().catch(error => {
+  console.error(`Smoke test could not run: ${error.message}`);
+  process.exitCode = 1;
+});